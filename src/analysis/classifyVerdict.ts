@@ -0,0 +1,37 @@
+export type VerdictCategory = "superseded" | "related" | "no_action" | "not_judged";
+
+export type VerdictSummary = {
+  category: VerdictCategory;
+  confidence: number | null;
+  supersededBy: number[];
+  related: number[];
+};
+
+function prNumbers(links: unknown): number[] {
+  if (!Array.isArray(links)) return [];
+  return links
+    .map((l) => (l && typeof l === "object" ? (l as any).pr_number : null))
+    .filter((n): n is number => typeof n === "number");
+}
+
+/**
+ * Collapse a judge result (see `src/llm/judge_schema.mjs`) into a single triage category.
+ *
+ * A `null` verdict means the judge did not run (e.g. no Anthropic API key).
+ */
+export function classifyVerdict(verdict: unknown): VerdictSummary {
+  if (!verdict || typeof verdict !== "object") {
+    return { category: "not_judged", confidence: null, supersededBy: [], related: [] };
+  }
+
+  const v = verdict as any;
+  const supersededBy = prNumbers(v.superseded_by);
+  const related = prNumbers(v.related);
+  const confidence = typeof v.confidence === "number" ? v.confidence : null;
+
+  let category: VerdictCategory = "no_action";
+  if (supersededBy.length > 0) category = "superseded";
+  else if (related.length > 0) category = "related";
+
+  return { category, confidence, supersededBy, related };
+}
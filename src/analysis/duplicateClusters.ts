@@ -0,0 +1,338 @@
+/**
+ * Group open PRs that duplicate each other across a batch run, and recommend which one to keep.
+ *
+ * Each analyzed PR only knows its own pairwise links (`competingOpenPRs`, judge `related` /
+ * `superseded_by`), so a cluster of N duplicates is otherwise reported N times. Clustering
+ * merges those links into connected groups and ranks each group's members once.
+ */
+
+export type DuplicateSignal =
+  /** The judge listed the other PR as `related` with relationship "duplicate". */
+  | "judge_duplicate"
+  /** The judge said this PR is superseded by the other (still open) PR. */
+  | "judge_superseded"
+  /** The PR's own text calls the other a duplicate / superseding / superseded PR. */
+  | "duplicate_reference"
+  /** The two diffs overlap (`codeOverlap.score` at or above the threshold). */
+  | "code_overlap"
+  /** The other PR is an open PR in this PR's reference graph, with nothing stronger. */
+  | "graph_related";
+
+export type DuplicateLink = { from: number; to: number; signal: DuplicateSignal; detail: string | null };
+
+/**
+ * Only these signals join PRs into a cluster. `graph_related` (an open PR anywhere in the
+ * reference graph) is too weak to recommend closing anything, so it is reported next to clusters.
+ */
+const DUPLICATE_SIGNALS = new Set<DuplicateSignal>(["judge_duplicate", "judge_superseded", "duplicate_reference", "code_overlap"]);
+const DUPLICATE_REFERENCE_TYPES = new Set(["duplicate_of", "superseded_by", "supersedes"]);
+
+export const CODE_OVERLAP_THRESHOLD = 0.5;
+
+function sameRepo(link: any, repo: string): boolean {
+  return String(link?.repo ?? repo).toLowerCase() === repo.toLowerCase();
+}
+
+/**
+ * Pairwise duplicate/related links from analyze-pr results (batch `analysis` objects).
+ *
+ * `repo` is the analyzed "owner/repo"; judge links into other repos are ignored.
+ */
+export function collectDuplicateLinks(analyses: Array<{ number: number; analysis: any }>, repo: string): DuplicateLink[] {
+  const links: DuplicateLink[] = [];
+  for (const { number, analysis } of analyses) {
+    const verdict = analysis?.verdict;
+    for (const l of Array.isArray(verdict?.related) ? verdict.related : []) {
+      if (l?.relationship !== "duplicate" || typeof l.pr_number !== "number" || !sameRepo(l, repo)) continue;
+      links.push({ from: number, to: l.pr_number, signal: "judge_duplicate", detail: l.summary ?? null });
+    }
+    for (const l of Array.isArray(verdict?.superseded_by) ? verdict.superseded_by : []) {
+      if (typeof l?.pr_number !== "number" || !sameRepo(l, repo)) continue;
+      links.push({ from: number, to: l.pr_number, signal: "judge_superseded", detail: l.summary ?? null });
+    }
+    for (const c of analysis?.judgeInput?.competingOpenPRs ?? []) {
+      if (typeof c?.number !== "number") continue;
+      const score = typeof c.codeOverlap?.score === "number" ? c.codeOverlap.score : null;
+      if (DUPLICATE_REFERENCE_TYPES.has(c.referenceType)) {
+        links.push({ from: number, to: c.number, signal: "duplicate_reference", detail: `#${number} refers to #${c.number} as ${c.referenceType}` });
+      } else if (score !== null && score >= CODE_OVERLAP_THRESHOLD) {
+        links.push({ from: number, to: c.number, signal: "code_overlap", detail: `code overlap ${score.toFixed(2)}` });
+      } else {
+        links.push({ from: number, to: c.number, signal: "graph_related", detail: null });
+      }
+    }
+  }
+  return links.filter((l) => l.from !== l.to);
+}
+
+/** Connected components (size >= 2) over the links, each sorted by PR number. */
+export function groupLinks(links: DuplicateLink[]): number[][] {
+  const parent = new Map<number, number>();
+  const find = (n: number): number => {
+    let root = n;
+    while (parent.get(root) !== undefined && parent.get(root) !== root) root = parent.get(root)!;
+    parent.set(n, root);
+    return root;
+  };
+  for (const l of links) {
+    for (const n of [l.from, l.to]) if (!parent.has(n)) parent.set(n, n);
+    const [a, b] = [find(l.from), find(l.to)];
+    if (a !== b) parent.set(Math.max(a, b), Math.min(a, b));
+  }
+
+  const groups = new Map<number, number[]>();
+  for (const n of parent.keys()) groups.set(find(n), [...(groups.get(find(n)) ?? []), n]);
+  return Array.from(groups.values())
+    .filter((g) => g.length >= 2)
+    .map((g) => g.sort((a, b) => a - b))
+    .sort((a, b) => a[0]! - b[0]!);
+}
+
+export type CiState = "success" | "failure" | "pending" | "none";
+
+/** What the keeper choice is based on, per PR. */
+export type KeeperSignals = {
+  number: number;
+  title: string | null;
+  url: string | null;
+  state: string | null;
+  draft: boolean;
+  author: string | null;
+  createdAt: string | null;
+  updatedAt: string | null;
+  /** Latest review state per reviewer (dismissed and comment-only reviews don't count). */
+  approvals: number;
+  changesRequested: number;
+  ci: CiState;
+  /** Earliest non-author comment or review the author hasn't answered yet, if any. */
+  awaitingAuthorSince: string | null;
+  lastAuthorActivityAt: string | null;
+};
+
+const FAILED_CONCLUSIONS = new Set(["failure", "timed_out", "cancelled", "action_required", "startup_failure"]);
+
+/** Collapse the legacy combined status and check runs into one CI state. */
+export function summarizeCi(combined: any, checkRuns: any[]): CiState {
+  const states: CiState[] = [];
+  if (combined && Array.isArray(combined.statuses) && combined.statuses.length > 0) {
+    states.push(combined.state === "success" ? "success" : combined.state === "pending" ? "pending" : "failure");
+  }
+  for (const run of checkRuns) {
+    if (run?.status !== "completed") states.push("pending");
+    else if (FAILED_CONCLUSIONS.has(run.conclusion)) states.push("failure");
+    else states.push("success");
+  }
+  if (states.includes("failure")) return "failure";
+  if (states.includes("pending")) return "pending";
+  return states.length > 0 ? "success" : "none";
+}
+
+const isBot = (login: string | null | undefined) => !login || /\[bot\]$/i.test(login);
+
+/**
+ * Fetch keeper signals for one PR: details, reviews, CI on the head commit, and comments
+ * (for author responsiveness).
+ */
+export async function fetchKeeperSignals(gh: any, number: number, useCache: boolean): Promise<KeeperSignals> {
+  const pr = await gh.getPR(number, { useCache });
+  const author: string | null = pr?.user?.login ?? null;
+  const reviews: any[] = await gh.listPRReviews(number, { useCache });
+  const sha: string | null = pr?.head?.sha ?? null;
+  const ci = sha ? summarizeCi(await gh.getCombinedStatus(sha, { useCache }), await gh.listCheckRuns(sha, { useCache })) : "none";
+  const comments = await gh.listPRComments(number, { useCache });
+
+  const latestByReviewer = new Map<string, string>();
+  for (const r of reviews) {
+    const login = r?.user?.login;
+    if (!login || login === author || !["APPROVED", "CHANGES_REQUESTED", "DISMISSED"].includes(r.state)) continue;
+    latestByReviewer.set(login, r.state);
+  }
+  const reviewStates = Array.from(latestByReviewer.values());
+
+  // Author activity vs. feedback from others, oldest first.
+  const events = [
+    ...(comments?.all ?? []).map((c: any) => ({ at: c.created_at ?? null, login: c.user?.login ?? null })),
+    // An approval asks nothing of the author.
+    ...reviews
+      .filter((r: any) => r?.state !== "APPROVED" && r?.state !== "DISMISSED")
+      .map((r: any) => ({ at: r.submitted_at ?? null, login: r.user?.login ?? null }))
+  ]
+    .filter((e): e is { at: string; login: string | null } => typeof e.at === "string" && !isBot(e.login))
+    .sort((a, b) => a.at.localeCompare(b.at));
+  const authorEvents = events.filter((e) => e.login === author);
+  const lastAuthorActivityAt = authorEvents.at(-1)?.at ?? pr?.created_at ?? null;
+  const pending = events.find((e) => e.login !== author && (!lastAuthorActivityAt || e.at > lastAuthorActivityAt));
+
+  return {
+    number,
+    title: pr?.title ?? null,
+    url: pr?.html_url ?? null,
+    state: pr?.state ?? null,
+    draft: Boolean(pr?.draft),
+    author,
+    createdAt: pr?.created_at ?? null,
+    updatedAt: pr?.updated_at ?? null,
+    approvals: reviewStates.filter((s) => s === "APPROVED").length,
+    changesRequested: reviewStates.filter((s) => s === "CHANGES_REQUESTED").length,
+    ci,
+    awaitingAuthorSince: pending?.at ?? null,
+    lastAuthorActivityAt
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** Feedback left unanswered this long counts against a PR. */
+const UNRESPONSIVE_DAYS = 14;
+
+/**
+ * Keeper score, highest wins: approvals outweigh everything else, then CI, then draft /
+ * change requests / an author who stopped answering; recency breaks what's left.
+ */
+export function keeperScore(s: KeeperSignals, now: Date): number {
+  let score = Math.min(s.approvals, 2) * 3 - s.changesRequested * 2;
+  score += s.ci === "success" ? 2 : s.ci === "failure" ? -2 : 0;
+  if (s.draft) score -= 2;
+  if (s.awaitingAuthorSince && now.getTime() - Date.parse(s.awaitingAuthorSince) > UNRESPONSIVE_DAYS * DAY_MS) score -= 2;
+  const ageDays = s.updatedAt ? (now.getTime() - Date.parse(s.updatedAt)) / DAY_MS : Infinity;
+  score += ageDays <= 30 ? 1 : ageDays <= 90 ? 0.5 : 0;
+  return score;
+}
+
+function describeSignals(s: KeeperSignals, now: Date): string[] {
+  const out: string[] = [];
+  out.push(`${s.approvals} approval${s.approvals === 1 ? "" : "s"}`);
+  if (s.changesRequested > 0) out.push(`${s.changesRequested} change request${s.changesRequested === 1 ? "" : "s"}`);
+  out.push(s.ci === "none" ? "no CI" : `CI ${s.ci}`);
+  if (s.draft) out.push("draft");
+  if (s.awaitingAuthorSince) {
+    const days = Math.floor((now.getTime() - Date.parse(s.awaitingAuthorSince)) / DAY_MS);
+    out.push(`author silent on feedback for ${days}d`);
+  }
+  if (s.updatedAt) out.push(`updated ${s.updatedAt.slice(0, 10)}`);
+  return out;
+}
+
+/** Why `keeper` beats `other`, factor by factor (falls back to the overall score). */
+function closeRationale(keeper: KeeperSignals, other: KeeperSignals, now: Date): string {
+  const reasons: string[] = [];
+  if (keeper.approvals > other.approvals) reasons.push(`#${keeper.number} has more approvals (${keeper.approvals} vs ${other.approvals})`);
+  if (other.changesRequested > keeper.changesRequested) reasons.push(`changes were requested on #${other.number}`);
+  const ciRank: Record<CiState, number> = { success: 2, pending: 1, none: 1, failure: 0 };
+  if (ciRank[keeper.ci] > ciRank[other.ci]) reasons.push(`CI ${keeper.ci} on #${keeper.number} vs ${other.ci}`);
+  if (other.draft && !keeper.draft) reasons.push(`#${other.number} is a draft`);
+  if (other.awaitingAuthorSince && !keeper.awaitingAuthorSince) reasons.push(`@${other.author ?? "author"} hasn't answered feedback since ${other.awaitingAuthorSince.slice(0, 10)}`);
+  if ((keeper.updatedAt ?? "") > (other.updatedAt ?? "")) reasons.push(`#${keeper.number} was updated more recently`);
+  if (reasons.length === 0) reasons.push(`#${keeper.number} ranks higher overall (${describeSignals(keeper, now).join(", ")})`);
+  return `Close in favour of #${keeper.number}: ${reasons.join("; ")}.`;
+}
+
+export type DuplicateCluster = {
+  members: number[];
+  /** Duplicate-grade links between members. */
+  links: DuplicateLink[];
+  /**
+   * Open PRs outside the cluster that a member's reference graph reached (`graph_related`).
+   * Not ranked or fetched, and never close candidates.
+   */
+  related: Array<{ number: number; via: number[] }>;
+  keeper: { number: number; title: string | null; url: string | null; score: number; rationale: string };
+  closeCandidates: Array<{ number: number; title: string | null; url: string | null; score: number; rationale: string }>;
+  /** Members that could not be ranked (fetch failed), left out of keeper/close lists. */
+  unranked: Array<{ number: number; error: string }>;
+};
+
+/** Most API calls `fetchKeeperSignals` makes for one PR (PR, reviews, status, check runs, comments). */
+export const KEEPER_API_CALLS_PER_PR = 5;
+
+export type DuplicateClusterStats = {
+  maxApiCalls: number;
+  apiCalls: number;
+  /** Groups not ranked because fetching all their members could overrun `maxApiCalls`. */
+  skippedGroups: number[][];
+};
+
+/**
+ * Build clusters and pick keepers. Members that are no longer open are dropped; a group
+ * left with fewer than two open PRs is not reported.
+ *
+ * Keeper signals cost up to `KEEPER_API_CALLS_PER_PR` calls per member, counted against
+ * `maxApiCalls`. A group is ranked whole or not at all (it lands in `stats.skippedGroups`),
+ * so no PR is recommended for closing next to an unranked member that might be the keeper.
+ */
+export async function clusterDuplicatePRs(opts: {
+  analyses: Array<{ number: number; analysis: any }>;
+  repo: string;
+  gh: any;
+  useCache: boolean;
+  maxApiCalls: number;
+  now?: Date;
+}): Promise<{ clusters: DuplicateCluster[]; stats: DuplicateClusterStats }> {
+  const now = opts.now ?? new Date();
+  const links = collectDuplicateLinks(opts.analyses, opts.repo);
+  const duplicateLinks = links.filter((l) => DUPLICATE_SIGNALS.has(l.signal));
+  const clusters: DuplicateCluster[] = [];
+  const stats: DuplicateClusterStats = { maxApiCalls: opts.maxApiCalls, apiCalls: 0, skippedGroups: [] };
+
+  // Every call goes through here, so `stats.apiCalls` is exact.
+  const counted = (name: string) => (...args: unknown[]) => {
+    stats.apiCalls += 1;
+    return opts.gh[name](...args);
+  };
+  const gh = Object.fromEntries(
+    ["getPR", "listPRReviews", "getCombinedStatus", "listCheckRuns", "listPRComments"].map((name) => [name, counted(name)])
+  );
+
+  for (const group of groupLinks(duplicateLinks)) {
+    if (stats.apiCalls + group.length * KEEPER_API_CALLS_PER_PR > opts.maxApiCalls) {
+      stats.skippedGroups.push(group);
+      continue;
+    }
+    const ranked: Array<KeeperSignals & { score: number }> = [];
+    const unranked: DuplicateCluster["unranked"] = [];
+    for (const number of group) {
+      try {
+        const signals = await fetchKeeperSignals(gh, number, opts.useCache);
+        if (signals.state === "open") ranked.push({ ...signals, score: keeperScore(signals, now) });
+      } catch (err) {
+        unranked.push({ number, error: err instanceof Error ? err.message : String(err) });
+      }
+    }
+    if (ranked.length < 2) continue;
+
+    ranked.sort((a, b) => b.score - a.score || (b.updatedAt ?? "").localeCompare(a.updatedAt ?? "") || a.number - b.number);
+    const [keeper, ...rest] = ranked as [KeeperSignals & { score: number }, ...Array<KeeperSignals & { score: number }>];
+    const members = ranked.map((r) => r.number).sort((a, b) => a - b);
+    const related = new Map<number, Set<number>>();
+    for (const l of links) {
+      if (l.signal !== "graph_related") continue;
+      for (const [member, other] of [[l.from, l.to], [l.to, l.from]] as const) {
+        if (!members.includes(member) || group.includes(other)) continue;
+        related.set(other, (related.get(other) ?? new Set()).add(member));
+      }
+    }
+
+    clusters.push({
+      members,
+      links: duplicateLinks.filter((l) => members.includes(l.from) && members.includes(l.to)),
+      related: Array.from(related.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([number, via]) => ({ number, via: Array.from(via).sort((a, b) => a - b) })),
+      keeper: {
+        number: keeper.number,
+        title: keeper.title,
+        url: keeper.url,
+        score: keeper.score,
+        rationale: `Keep #${keeper.number}: ${describeSignals(keeper, now).join(", ")}.`
+      },
+      closeCandidates: rest.map((r) => ({
+        number: r.number,
+        title: r.title,
+        url: r.url,
+        score: r.score,
+        rationale: closeRationale(keeper, r, now)
+      })),
+      unranked
+    });
+  }
+  return { clusters, stats };
+}
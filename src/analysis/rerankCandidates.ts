@@ -0,0 +1,134 @@
+/**
+ * Timeline-aware reranking of analyze-pr candidates before they reach the judge.
+ *
+ * Every signal is normalized to [0, 1] and multiplied by its weight in `RERANK_WEIGHTS`;
+ * the score is the sum. Each candidate keeps the per-signal breakdown so a surprising
+ * ranking can be debugged from the JSON output alone.
+ */
+
+export type RerankSignal =
+  /** The target's own text calls the candidate superseded_by / duplicate_of / closes / ... */
+  | "explicitReference"
+  /** Fraction of the issues the target closes that the candidate closes too. */
+  | "sharedClosingIssues"
+  /** Deterministic diff similarity (`codeOverlap.score`). */
+  | "fileOverlap"
+  /** qmd score from the semantic candidate source. */
+  | "semantic"
+  /** Strongest graph edge touching the candidate, discounted by its distance from the target. */
+  | "graphProximity"
+  /** Merged after the target was opened: newer work that can supersede it. */
+  | "mergedAfterTarget"
+  /** How recently it merged (half-life `MERGE_RECENCY_HALF_LIFE_DAYS`). */
+  | "mergeRecency"
+  /** Backed out after merging; it can't supersede anything. */
+  | "reverted";
+
+export const RERANK_WEIGHTS: Record<RerankSignal, number> = {
+  explicitReference: 3,
+  sharedClosingIssues: 2,
+  fileOverlap: 2,
+  semantic: 1.5,
+  graphProximity: 1,
+  mergedAfterTarget: 1,
+  mergeRecency: 0.5,
+  reverted: -2
+};
+
+export const DEFAULT_RERANK_TOP_K = 20;
+const MERGE_RECENCY_HALF_LIFE_DAYS = 90;
+
+/** How strongly a graph edge type ties two nodes (see `buildReferenceGraph` edge types). */
+const GRAPH_EDGE_WEIGHTS: Record<string, number> = {
+  closed_by: 1,
+  closed_by_commit: 1,
+  associated_pr: 0.8,
+  references: 0.6,
+  cross_referenced_by: 0.5,
+  reverted_by: 0.5
+};
+
+export type RerankInput = {
+  number: number;
+  mergedAt: string | null;
+  refType: string | null;
+  semanticScore: number | null;
+  codeOverlapScore: number | null;
+  /** Hops from the target in the reference graph, when the candidate is in it. */
+  graphDepth: number | null;
+  /** Graph edges touching the candidate node. */
+  graphEdges: Array<{ type: string; refType?: string }>;
+  /** Same-repo issues the candidate closes (closing keywords or `closed_by` edges). */
+  closingIssues: number[];
+  reverted: boolean;
+};
+
+export type RerankedCandidate = {
+  number: number;
+  rank: number;
+  score: number;
+  /** Within the top K, or explicitly referenced by the target (those always reach the judge). */
+  selected: boolean;
+  signals: Record<RerankSignal, { value: number; contribution: number }>;
+};
+
+const round = (n: number) => Math.round(n * 1000) / 1000 || 0;
+
+function edgeWeight(e: { type: string; refType?: string }): number {
+  // A typed reference ("supersedes #12", "fixes #3") is as strong as a closing edge.
+  if (e.type === "references" && e.refType && e.refType !== "mention") return 1;
+  return GRAPH_EDGE_WEIGHTS[e.type] ?? 0.3;
+}
+
+export function rerankSignals(
+  c: RerankInput,
+  ctx: { targetCreatedAt: string | null; targetClosingIssues: number[]; now: Date }
+): Record<RerankSignal, number> {
+  const mergedMs = c.mergedAt ? Date.parse(c.mergedAt) : NaN;
+  const createdMs = ctx.targetCreatedAt ? Date.parse(ctx.targetCreatedAt) : NaN;
+  const ageDays = Number.isFinite(mergedMs) ? Math.max(0, (ctx.now.getTime() - mergedMs) / 86_400_000) : null;
+  const bestEdge = c.graphEdges.reduce((best, e) => Math.max(best, edgeWeight(e)), 0);
+  const shared = c.closingIssues.filter((n) => ctx.targetClosingIssues.includes(n)).length;
+
+  return {
+    explicitReference: c.refType && c.refType !== "mention" ? 1 : 0,
+    sharedClosingIssues: ctx.targetClosingIssues.length > 0 ? shared / ctx.targetClosingIssues.length : 0,
+    fileOverlap: Math.min(1, Math.max(0, c.codeOverlapScore ?? 0)),
+    semantic: Math.min(1, Math.max(0, c.semanticScore ?? 0)),
+    graphProximity: c.graphDepth !== null && c.graphDepth > 0 ? bestEdge / c.graphDepth : 0,
+    mergedAfterTarget: Number.isFinite(mergedMs) && Number.isFinite(createdMs) && mergedMs >= createdMs ? 1 : 0,
+    mergeRecency: ageDays === null ? 0 : Math.pow(0.5, ageDays / MERGE_RECENCY_HALF_LIFE_DAYS),
+    reverted: c.reverted ? 1 : 0
+  };
+}
+
+/**
+ * Score, sort and select candidates for the judge. Ties keep the input order.
+ */
+export function rerankCandidates(
+  items: RerankInput[],
+  ctx: { targetCreatedAt: string | null; targetClosingIssues: number[]; topK?: number; now?: Date }
+): RerankedCandidate[] {
+  const topK = ctx.topK ?? DEFAULT_RERANK_TOP_K;
+  const now = ctx.now ?? new Date();
+  const scored = items.map((c, index) => {
+    const values = rerankSignals(c, { targetCreatedAt: ctx.targetCreatedAt, targetClosingIssues: ctx.targetClosingIssues, now });
+    const signals = {} as RerankedCandidate["signals"];
+    let score = 0;
+    for (const name of Object.keys(RERANK_WEIGHTS) as RerankSignal[]) {
+      const contribution = values[name] * RERANK_WEIGHTS[name];
+      signals[name] = { value: round(values[name]), contribution: round(contribution) };
+      score += contribution;
+    }
+    return { number: c.number, index, score: round(score), explicit: values.explicitReference > 0, signals };
+  });
+
+  scored.sort((a, b) => b.score - a.score || a.index - b.index);
+  return scored.map((s, i) => ({
+    number: s.number,
+    rank: i + 1,
+    score: s.score,
+    selected: i < topK || s.explicit,
+    signals: s.signals
+  }));
+}
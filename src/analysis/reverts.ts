@@ -0,0 +1,76 @@
+/** What backed out a merged candidate. */
+export type RevertedBy =
+  | {
+      kind: "pr";
+      repo: string;
+      number: number;
+      title: string | null;
+      url: string | null;
+      mergedAt: string | null;
+      /** Where the revert was found: a `reverted_by` graph edge or a merged-search hit. */
+      via: "graph" | "merged_search";
+    }
+  | { kind: "commit"; sha: string; subject: string; via: "git" };
+
+export function describeRevertedBy(r: RevertedBy): string {
+  return r.kind === "pr" ? `#${r.number} "${r.title ?? ""}"` : `commit ${r.sha.slice(0, 12)} "${r.subject}"`;
+}
+
+/**
+ * Drop reverts that were themselves reverted: that re-applied the change. Works on a snapshot
+ * of `reverted`, so chains resolve the same whatever order the reverts were found in; a revert
+ * of a revert that was itself reverted counts again (#3 reverts #2 reverts #1 reverts #0: #0
+ * stays reverted). Returns a new map; `repo` is the analyzed "owner/repo".
+ */
+export function effectiveReverts(reverted: Map<number, RevertedBy[]>, repo: string): Map<number, RevertedBy[]> {
+  const home = repo.toLowerCase();
+  const undone = new Map<number, boolean>();
+  const isUndone = (n: number): boolean => {
+    const known = undone.get(n);
+    if (known !== undefined) return known;
+    // Guards against cycles in bad data; real revert chains are acyclic.
+    undone.set(n, false);
+    const value = (reverted.get(n) ?? []).some(isLive);
+    undone.set(n, value);
+    return value;
+  };
+  const isLive = (r: RevertedBy): boolean => r.kind !== "pr" || r.repo.toLowerCase() !== home || !isUndone(r.number);
+
+  const out = new Map<number, RevertedBy[]>();
+  for (const [n, list] of reverted) {
+    const live = list.filter(isLive);
+    if (live.length > 0) out.set(n, live);
+  }
+  return out;
+}
+
+/**
+ * A reverted PR can't supersede anything. Move any `superseded_by` link the judge made to a
+ * reverted PR into `related` (relationship "other") so the verdict never points a contributor
+ * at work that was backed out.
+ *
+ * `repo` is the analyzed "owner/repo"; links into other repos are left alone.
+ */
+export function demoteRevertedSupersessions(verdict: unknown, reverted: Map<number, RevertedBy[]>, repo: string): unknown {
+  if (!verdict || typeof verdict !== "object") return verdict;
+  const v = verdict as any;
+  if (!Array.isArray(v.superseded_by) || !Array.isArray(v.related)) return verdict;
+
+  const isReverted = (l: any) =>
+    l && typeof l.pr_number === "number" && reverted.has(l.pr_number) && String(l.repo ?? repo).toLowerCase() === repo.toLowerCase();
+  const demoted = v.superseded_by.filter(isReverted);
+  if (demoted.length === 0) return verdict;
+
+  return {
+    ...v,
+    superseded_by: v.superseded_by.filter((l: any) => !isReverted(l)),
+    related: [
+      ...v.related,
+      ...demoted.map((l: any) => ({
+        ...l,
+        relationship: "other",
+        summary: `Reverted by ${reverted.get(l.pr_number)!.map(describeRevertedBy).join(", ")}; cannot supersede. ${l.summary}`
+      }))
+    ]
+  };
+}
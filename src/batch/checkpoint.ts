@@ -0,0 +1,123 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import type { VerdictSummary } from "../analysis/classifyVerdict.js";
+
+/**
+ * One NDJSON line in a batch checkpoint file.
+ *
+ * Lines are appended as each PR finishes, so a crashed or interrupted run leaves
+ * every completed PR on disk. Later lines for the same PR win.
+ */
+export type BatchCheckpointRecord = {
+  kind: "batch_result";
+  number: number;
+  inputKey: string;
+  status: "ok" | "error";
+  finishedAt: string;
+  title: string | null;
+  url: string | null;
+  verdict?: VerdictSummary;
+  analysis?: unknown;
+  error?: { message: string };
+};
+
+/** JSON with object keys sorted, so equal options always hash the same. */
+function stableJson(value: unknown): string {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value as Record<string, unknown>)
+      .filter(([, v]) => v !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    return `{${entries.map(([k, v]) => `${JSON.stringify(k)}:${stableJson(v)}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Fingerprint everything that affects a PR's analysis result.
+ *
+ * If the PR was updated since the checkpoint, or the judge config or any resolved analysis
+ * option (`options`) changed, the key changes and `--resume` re-analyzes it instead of
+ * reusing the stale line.
+ */
+export function batchInputKey(parts: {
+  owner: string;
+  repo: string;
+  number: number;
+  updatedAt: string | null;
+  judge: { enabled: boolean; model: string | null };
+  /** Plain JSON data only; key order doesn't matter. */
+  options: Record<string, unknown>;
+}): string {
+  const stable = stableJson([parts.owner, parts.repo, parts.number, parts.updatedAt, parts.judge.enabled, parts.judge.model, parts.options]);
+  return crypto.createHash("sha256").update(stable).digest("hex");
+}
+
+/**
+ * Parse checkpoint NDJSON into a map of PR number -> latest record.
+ *
+ * Unparseable lines (e.g. a line truncated by a crash mid-write) are skipped.
+ */
+export function parseCheckpoint(raw: string): Map<number, BatchCheckpointRecord> {
+  const out = new Map<number, BatchCheckpointRecord>();
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    let rec: any;
+    try {
+      rec = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (!rec || rec.kind !== "batch_result" || typeof rec.number !== "number") continue;
+    out.set(rec.number, rec as BatchCheckpointRecord);
+  }
+  return out;
+}
+
+/**
+ * Read a checkpoint file (see `parseCheckpoint`). A missing file is treated as an empty
+ * checkpoint.
+ */
+export async function readCheckpoint(filePath: string): Promise<Map<number, BatchCheckpointRecord>> {
+  let raw: string;
+  try {
+    raw = await fs.readFile(filePath, "utf8");
+  } catch (err) {
+    if ((err as NodeJS.ErrnoException).code === "ENOENT") return new Map();
+    throw err;
+  }
+  return parseCheckpoint(raw);
+}
+
+/** Whether the file exists, is non-empty and doesn't end with a newline. */
+async function endsMidLine(filePath: string): Promise<boolean> {
+  let handle: fs.FileHandle;
+  try {
+    handle = await fs.open(filePath, "r");
+  } catch (err) {
+    if ((err as NodeJS.ErrnoException).code === "ENOENT") return false;
+    throw err;
+  }
+  try {
+    const { size } = await handle.stat();
+    if (size === 0) return false;
+    const last = Buffer.alloc(1);
+    await handle.read(last, 0, 1, size - 1);
+    return last[0] !== 0x0a;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Append one record as a single NDJSON line.
+ *
+ * A line left partial by a crash is terminated first, so the new record starts on its own
+ * line (and only the partial one is skipped by `readCheckpoint`).
+ */
+export async function appendCheckpoint(filePath: string, record: BatchCheckpointRecord): Promise<void> {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const prefix = (await endsMidLine(filePath)) ? "\n" : "";
+  await fs.appendFile(filePath, `${prefix}${JSON.stringify(record)}\n`, "utf8");
+}
@@ -1,8 +1,10 @@
 import type { AppConfig } from "../config/types.js";
 import type { QmdRunner } from "../qmd/types.js";
-import { runQmd } from "../qmd/runQmd.js";
+import { QMD_NOT_FOUND_EXIT_CODE, runQmd } from "../qmd/runQmd.js";
 import { parseQmdJsonOutput } from "../qmd/parseQmdJson.js";
-import { parseCorpusFrontmatter } from "./parseFrontmatter.js";
+import { parseCorpusFrontmatter, type CorpusFrontmatter } from "./parseFrontmatter.js";
+import { loadCorpusMetadata, lookupCorpusFrontmatter, type CorpusMetadataUpdate } from "../corpus/corpusMetadata.js";
+import { loadLexicalIndex, searchLexicalIndex, type LexicalIndexUpdate } from "../corpus/lexicalIndex.js";
 
 export type QmdQueryHit = {
   docid?: string;
@@ -26,11 +28,30 @@ export type Candidate = {
     docType: string | null;
     title: string | null;
     url: string | null;
+    state: string | null;
     updatedAt: string | null;
     mergedAt: string | null;
+    labels: string[];
   };
 };
 
+/**
+ * Filters applied to each hit's corpus frontmatter (see docs/corpus/FORMAT.md). All given
+ * filters must match; a hit missing a field a filter needs is dropped.
+ */
+export type CandidateFilters = {
+  docType?: "github_pull" | "github_issue";
+  state?: "open" | "closed";
+  /** `true`: merged PRs only; `false`: anything not merged (issues included). */
+  merged?: boolean;
+  /** Inclusive bounds on `merged_at`: ISO timestamps or YYYY-MM-DD dates. */
+  mergedAfter?: string;
+  mergedBefore?: string;
+  /** Hits must carry every one of these labels. */
+  labels?: string[];
+  excludeNumbers?: number[];
+};
+
 export type CandidateRetrievalError =
   | { code: "QMD_COLLECTION_NOT_FOUND"; message: string; collection: string }
   | { code: "QMD_QUERY_FAILED"; message: string };
@@ -38,8 +59,49 @@ export type CandidateRetrievalError =
 export type RetrieveCandidatesResult = {
   candidates: Candidate[];
   error: CandidateRetrievalError | null;
+  /** Over-fetching done to fill `n` after filtering (absent when no filters were given). */
+  filtering?: { qmdN: number; hits: number; filteredOut: number };
+  /**
+   * Frontmatter index used to enrich hits (absent when `config.corpusDir` isn't available
+   * locally and every hit went through `qmd get`). `qmdGets` counts hits missing from it.
+   */
+  metadata?: { corpusDir: string; indexPath: string; update: CorpusMetadataUpdate; qmdGets: number };
+  /** Set when qmd isn't installed and hits came from the built-in BM25 index over `config.corpusDir`. */
+  lexical?: { indexPath: string; update: LexicalIndexUpdate };
 };
 
+/** Over-fetch: first ask qmd for `n * OVERFETCH_FACTOR` hits, doubling up to `n * MAX_OVERFETCH_FACTOR`. */
+const OVERFETCH_FACTOR = 3;
+const MAX_OVERFETCH_FACTOR = 10;
+const MAX_QMD_N = 500;
+
+function hasFilters(f: CandidateFilters | undefined): f is CandidateFilters {
+  return Boolean(f && Object.values(f).some((v) => v !== undefined && !(Array.isArray(v) && v.length === 0)));
+}
+
+/** `merged_at` bound check; a bare date is inclusive of the whole day. */
+function withinBound(mergedAt: string, bound: string, side: "after" | "before"): boolean {
+  const t = Date.parse(mergedAt);
+  const isDate = /^\d{4}-\d{2}-\d{2}$/.test(bound);
+  const b = Date.parse(isDate ? `${bound}T00:00:00Z` : bound);
+  if (!Number.isFinite(t) || !Number.isFinite(b)) return false;
+  return side === "after" ? t >= b : t < (isDate ? b + 24 * 60 * 60 * 1000 : b + 1);
+}
+
+export function matchesCandidateFilters(c: Candidate["corpus"], f: CandidateFilters): boolean {
+  if (f.docType && c.docType !== f.docType) return false;
+  if (f.state && c.state !== f.state) return false;
+  if (f.merged !== undefined && Boolean(c.mergedAt) !== f.merged) return false;
+  if (f.mergedAfter && !(c.mergedAt && withinBound(c.mergedAt, f.mergedAfter, "after"))) return false;
+  if (f.mergedBefore && !(c.mergedAt && withinBound(c.mergedAt, f.mergedBefore, "before"))) return false;
+  if (f.labels?.length) {
+    const have = new Set(c.labels.map((l) => l.toLowerCase()));
+    if (!f.labels.every((l) => have.has(l.toLowerCase()))) return false;
+  }
+  if (f.excludeNumbers?.length && c.number !== null && f.excludeNumbers.includes(c.number)) return false;
+  return true;
+}
+
 function parseCorpusPathFromQmdFile(file: string): { repo: string | null; type: string | null; number: number | null } {
   // Expected corpus path: <owner>/<repo>/<type>/<number>.md
   // qmd file can be: qmd://<collection>/<path>
@@ -63,89 +125,147 @@ function parseCorpusPathFromQmdFile(file: string): { repo: string | null; type:
   };
 }
 
-async function getCorpusFrontmatterForFile(
-  qmdRunner: QmdRunner,
-  file: string
-): Promise<ReturnType<typeof parseCorpusFrontmatter>> {
+async function getCorpusFrontmatterForFile(qmdRunner: QmdRunner, file: string): Promise<CorpusFrontmatter | null> {
   const res = await qmdRunner(["get", file, "-l", "120"]);
   if (res.exitCode !== 0) return null;
   return parseCorpusFrontmatter(res.stdout);
 }
 
+function toCandidate(hit: QmdQueryHit & { file: string }, fm: CorpusFrontmatter | null): Candidate {
+  const fromPath = parseCorpusPathFromQmdFile(hit.file);
+  const pathDocType = fromPath.type === "pull" ? "github_pull" : fromPath.type === "issue" ? "github_issue" : null;
+  return {
+    rank: 0,
+    qmd: {
+      docid: hit.docid ?? null,
+      score: typeof hit.score === "number" ? hit.score : null,
+      file: hit.file,
+      snippet: hit.snippet ?? null
+    },
+    corpus: {
+      repo: fm?.repo ?? fromPath.repo,
+      number: typeof fm?.number === "number" ? fm.number : fromPath.number,
+      docType: fm?.doc_type ?? pathDocType,
+      title: fm?.title ?? hit.title ?? null,
+      url: fm?.url ?? null,
+      state: fm?.state ?? null,
+      updatedAt: fm?.updated_at ?? null,
+      mergedAt: fm?.merged_at ?? null,
+      labels: fm?.labels ?? []
+    }
+  };
+}
+
 /**
  * Retrieve candidate corpus docs for a target summary using `qmd query`.
  *
  * This is the "first pass" retrieval layer feeding later reranking/LLM steps.
  * It is designed to degrade gracefully when the qmd collection is missing.
+ *
+ * With `filters`, hits are checked against their corpus frontmatter and qmd is asked for
+ * more hits (re-querying with a larger `-n`) until `n` pass or qmd runs out.
+ *
+ * Frontmatter comes from the corpus metadata index when `config.corpusDir` exists locally
+ * (see src/corpus/corpusMetadata.ts); otherwise, and for hits the index doesn't know, it is
+ * read with one `qmd get` per hit.
+ *
+ * When the qmd binary isn't installed, hits come from the built-in BM25 index over the local
+ * corpus instead (see src/corpus/lexicalIndex.ts), with the same `Candidate` shape.
  */
 export async function retrieveCandidates(opts: {
   summary: string;
   n: number;
-  config: Pick<AppConfig, "qmdCollection" | "qmdIndex">;
+  config: Pick<AppConfig, "qmdCollection" | "qmdIndex" | "corpusDir">;
+  filters?: CandidateFilters;
   qmdRunner?: QmdRunner;
 }): Promise<RetrieveCandidatesResult> {
   const qmdRunner = opts.qmdRunner ?? runQmd;
   const collection = opts.config.qmdCollection;
+  const filters = hasFilters(opts.filters) ? opts.filters : null;
+  const index = opts.config.corpusDir ? await loadCorpusMetadata(opts.config.corpusDir) : null;
+  let qmdGets = 0;
+  let lexical: Awaited<ReturnType<typeof loadLexicalIndex>> = null;
+  const frontmatterFor = async (file: string): Promise<CorpusFrontmatter | null> => {
+    const indexed = index ? lookupCorpusFrontmatter(index.metadata, file) : undefined;
+    if (indexed !== undefined) return indexed;
+    qmdGets += 1;
+    return await getCorpusFrontmatterForFile(qmdRunner, file);
+  };
+  const metadataStats = () => ({
+    ...(index ? { metadata: { corpusDir: index.metadata.corpusDir, indexPath: index.indexPath, update: index.update, qmdGets } } : {}),
+    ...(lexical ? { lexical: { indexPath: lexical.indexPath, update: lexical.update } } : {})
+  });
 
   const baseArgs: string[] = [];
   if (opts.config.qmdIndex) baseArgs.push("--index", opts.config.qmdIndex);
 
-  const queryArgs = [...baseArgs, "query", opts.summary, "-c", collection, "--json", "-n", String(opts.n)];
-  const q = await qmdRunner(queryArgs);
+  const maxQmdN = filters ? Math.max(opts.n, Math.min(MAX_QMD_N, opts.n * MAX_OVERFETCH_FACTOR)) : opts.n;
+  let qmdN = filters ? Math.min(maxQmdN, opts.n * OVERFETCH_FACTOR) : opts.n;
+  // Frontmatter per file, kept across re-queries so each doc is read once.
+  const seen = new Map<string, Candidate>();
 
-  if (q.exitCode !== 0) {
-    const combined = `${q.stdout}\n${q.stderr}`.trim();
-    if (combined.includes("Collection not found:")) {
-      return {
-        candidates: [],
-        error: {
-          code: "QMD_COLLECTION_NOT_FOUND",
-          message: `qmd collection not found: ${collection}`,
-          collection
+  for (;;) {
+    let hits: QmdQueryHit[];
+    if (lexical) {
+      hits = searchLexicalIndex(lexical.index, opts.summary, qmdN).map((h) => ({ file: h.file, score: h.score, title: h.title ?? undefined }));
+    } else {
+      const queryArgs = [...baseArgs, "query", opts.summary, "-c", collection, "--json", "-n", String(qmdN)];
+      const q = await qmdRunner(queryArgs);
+
+      if (q.exitCode === QMD_NOT_FOUND_EXIT_CODE && opts.config.corpusDir) {
+        lexical = await loadLexicalIndex(opts.config.corpusDir);
+        if (lexical) continue;
+        return {
+          candidates: [],
+          error: { code: "QMD_QUERY_FAILED", message: `qmd is not installed and there is no local corpus at ${opts.config.corpusDir}` }
+        };
+      }
+      if (q.exitCode !== 0) {
+        const combined = `${q.stdout}\n${q.stderr}`.trim();
+        if (combined.includes("Collection not found:")) {
+          return {
+            candidates: [],
+            error: {
+              code: "QMD_COLLECTION_NOT_FOUND",
+              message: `qmd collection not found: ${collection}`,
+              collection
+            }
+          };
         }
-      };
+        return {
+          candidates: [],
+          error: { code: "QMD_QUERY_FAILED", message: combined || "qmd query failed" }
+        };
+      }
+      hits = parseQmdJsonOutput(q.stdout) as QmdQueryHit[];
     }
-    return {
-      candidates: [],
-      error: { code: "QMD_QUERY_FAILED", message: combined || "qmd query failed" }
-    };
-  }
-
-  const hitsRaw = parseQmdJsonOutput(q.stdout);
-  const hits = hitsRaw as QmdQueryHit[];
-  const candidates: Candidate[] = [];
-
-  for (let i = 0; i < hits.length; i++) {
-    const hit = hits[i] ?? {};
-    if (!hit.file) continue;
-
-    const fm = await getCorpusFrontmatterForFile(qmdRunner, hit.file);
-    const fromPath = parseCorpusPathFromQmdFile(hit.file);
-
-    const repo = fm?.repo ?? fromPath.repo;
-    const number = typeof fm?.number === "number" ? fm.number : fromPath.number;
-    const docType = fm?.doc_type ?? null;
-
-    candidates.push({
-      rank: candidates.length + 1,
-      qmd: {
-        docid: hit.docid ?? null,
-        score: typeof hit.score === "number" ? hit.score : null,
-        file: hit.file,
-        snippet: hit.snippet ?? null
-      },
-      corpus: {
-        repo,
-        number,
-        docType,
-        title: fm?.title ?? hit.title ?? null,
-        url: fm?.url ?? null,
-        updatedAt: fm?.updated_at ?? null,
-        mergedAt: fm?.merged_at ?? null
+    const candidates: Candidate[] = [];
+    let filteredOut = 0;
+    for (const hit of hits) {
+      if (!hit?.file) continue;
+      let c = seen.get(hit.file);
+      if (!c) {
+        c = toCandidate(hit as QmdQueryHit & { file: string }, await frontmatterFor(hit.file));
+        seen.set(hit.file, c);
       }
-    });
-  }
+      if (filters && !matchesCandidateFilters(c.corpus, filters)) {
+        filteredOut += 1;
+        continue;
+      }
+      candidates.push({ ...c, rank: candidates.length + 1 });
+      if (candidates.length >= opts.n) break;
+    }
 
-  return { candidates, error: null };
+    const exhausted = hits.length < qmdN || qmdN >= maxQmdN;
+    if (!filters) return { candidates, error: null, ...metadataStats() };
+    if (candidates.length >= opts.n || exhausted) {
+      return {
+        candidates,
+        error: null,
+        filtering: { qmdN, hits: hits.length, filteredOut },
+        ...metadataStats()
+      };
+    }
+    qmdN = Math.min(maxQmdN, qmdN * 2);
+  }
 }
-
@@ -0,0 +1,162 @@
+import type { AppConfig } from "../config/types.js";
+import type { QmdRunner } from "../qmd/types.js";
+import { extractTypedReferences } from "../graph/index.mjs";
+import { retrieveCandidates, type Candidate, type CandidateFilters, type CandidateRetrievalError } from "./retrieveCandidates.js";
+
+/** Reciprocal rank fusion constant: a hit at rank r in one query contributes 1 / (RRF_K + r). */
+export const RRF_K = 60;
+
+const MAX_LINKED_ISSUES = 5;
+const MAX_QUERY_FILES = 30;
+
+export type PullRequestQueryName = "title" | "body" | "linked_issues" | "files";
+
+export type PullRequestQuery = { name: PullRequestQueryName; text: string };
+
+export type FusedCandidate = Candidate & {
+  fusion: {
+    score: number;
+    /** The queries that returned this doc, with its rank in each. */
+    queries: Array<{ name: PullRequestQueryName; rank: number }>;
+  };
+};
+
+export type PullRequestCandidatesResult = {
+  queries: Array<PullRequestQuery & { hits: number; error: CandidateRetrievalError | null }>;
+  candidates: FusedCandidate[];
+  /** Set only when every query failed. */
+  error: CandidateRetrievalError | null;
+};
+
+/** qmd query text for a PR: its title plus the start of its body. */
+export function pullRequestQueryText(title: unknown, body: unknown): string {
+  const parts = [title, body].filter((p): p is string => typeof p === "string" && p.trim().length > 0);
+  // Drop HTML comments (PR templates) and collapse whitespace; qmd gets one long line.
+  const text = parts.join("\n\n").replace(/<!--[\s\S]*?-->/g, " ").replace(/\s+/g, " ").trim();
+  return text.slice(0, 1000);
+}
+
+/**
+ * One query per angle on the PR, skipping empty ones: the title alone (short and precise),
+ * title + body, the titles of the issues it links, and its changed file paths.
+ */
+export function buildPullRequestQueries(input: {
+  title: string | null;
+  body: string | null;
+  linkedIssueTitles: string[];
+  filePaths: string[];
+}): PullRequestQuery[] {
+  const queries: PullRequestQuery[] = [];
+  const title = pullRequestQueryText(input.title, null);
+  if (title) queries.push({ name: "title", text: title });
+  const body = pullRequestQueryText(input.title, input.body);
+  if (body && body !== title) queries.push({ name: "body", text: body });
+  const issues = pullRequestQueryText(input.linkedIssueTitles.join("; "), null);
+  if (issues) queries.push({ name: "linked_issues", text: issues });
+  const files = input.filePaths.slice(0, MAX_QUERY_FILES).join(" ").slice(0, 1000);
+  if (files) queries.push({ name: "files", text: files });
+  return queries;
+}
+
+const docKey = (c: Candidate) => (c.corpus.repo && c.corpus.number !== null ? `${c.corpus.repo}#${c.corpus.number}` : c.qmd.file);
+
+/**
+ * Reciprocal rank fusion over per-query rankings. Ties keep first-seen order; `fusion.queries`
+ * follows query order.
+ */
+export function fuseCandidateRankings(rankings: Array<{ name: PullRequestQueryName; candidates: Candidate[] }>): FusedCandidate[] {
+  const fused = new Map<string, FusedCandidate>();
+  for (const { name, candidates } of rankings) {
+    for (const c of candidates) {
+      const key = docKey(c);
+      const entry = fused.get(key) ?? { ...c, fusion: { score: 0, queries: [] } };
+      entry.fusion.score += 1 / (RRF_K + c.rank);
+      entry.fusion.queries.push({ name, rank: c.rank });
+      fused.set(key, entry);
+    }
+  }
+  return [...fused.values()]
+    .map((c, index) => ({ c, index }))
+    .sort((a, b) => b.c.fusion.score - a.c.fusion.score || a.index - b.index)
+    .map(({ c }, i) => ({ ...c, rank: i + 1, fusion: { ...c.fusion, score: Math.round(c.fusion.score * 1e6) / 1e6 } }));
+}
+
+/** Titles of the same-repo issues (not PRs) a PR's title/body refers to, closing references first. */
+async function linkedIssueTitles(gh: any, owner: string, repo: string, pr: any, useCache: boolean): Promise<string[]> {
+  const refs = (extractTypedReferences(`${pr?.title ?? ""}\n\n${pr?.body ?? ""}`, { owner, repo }) as Array<{
+    owner: string;
+    repo: string;
+    number: number;
+    type: string;
+  }>)
+    .filter((r) => r.owner === owner && r.repo === repo && r.number !== pr?.number)
+    .sort((a, b) => Number(b.type === "closes") - Number(a.type === "closes"));
+
+  const titles: string[] = [];
+  for (const number of [...new Set(refs.map((r) => r.number))].slice(0, MAX_LINKED_ISSUES)) {
+    try {
+      const issue = await gh.getIssue(number, { useCache });
+      if (!issue?.pull_request && typeof issue?.title === "string") titles.push(issue.title);
+    } catch {
+      // A reference to something we can't read is just not a query term.
+    }
+  }
+  return titles;
+}
+
+/**
+ * Candidates for a PR without a hand-written summary: build queries from the PR (see
+ * `buildPullRequestQueries`), run each through `retrieveCandidates`, fuse the rankings and
+ * drop the PR's own corpus doc.
+ */
+export async function retrieveCandidatesForPullRequest(opts: {
+  gh: any;
+  owner: string;
+  repo: string;
+  pr: number;
+  n: number;
+  config: Pick<AppConfig, "qmdCollection" | "qmdIndex" | "corpusDir">;
+  filters?: CandidateFilters;
+  useCache?: boolean;
+  qmdRunner?: QmdRunner;
+}): Promise<PullRequestCandidatesResult> {
+  const useCache = opts.useCache ?? true;
+  const pr = await opts.gh.getPR(opts.pr, { useCache });
+  let files: any[] = [];
+  try {
+    files = await opts.gh.listPRFiles(opts.pr, { useCache });
+  } catch {
+    // Missing file list: the other queries still work.
+  }
+
+  const queries = buildPullRequestQueries({
+    title: pr?.title ?? null,
+    body: pr?.body ?? null,
+    linkedIssueTitles: await linkedIssueTitles(opts.gh, opts.owner, opts.repo, pr, useCache),
+    filePaths: files.map((f) => String(f?.filename ?? "")).filter(Boolean)
+  });
+
+  const isTarget = (c: Candidate) => c.corpus.repo === `${opts.owner}/${opts.repo}` && c.corpus.number === opts.pr;
+  const ran: PullRequestCandidatesResult["queries"] = [];
+  const rankings: Array<{ name: PullRequestQueryName; candidates: Candidate[] }> = [];
+  for (const q of queries) {
+    // One extra hit so dropping the target still leaves `n`.
+    const res = await retrieveCandidates({
+      summary: q.text,
+      n: opts.n + 1,
+      config: opts.config,
+      filters: opts.filters,
+      qmdRunner: opts.qmdRunner
+    });
+    const candidates = res.candidates.filter((c) => !isTarget(c)).map((c, i) => ({ ...c, rank: i + 1 }));
+    ran.push({ ...q, hits: candidates.length, error: res.error });
+    rankings.push({ name: q.name, candidates });
+  }
+
+  const failed = ran.filter((q) => q.error);
+  return {
+    queries: ran,
+    candidates: fuseCandidateRankings(rankings).slice(0, opts.n),
+    error: ran.length > 0 && failed.length === ran.length ? failed[0]!.error : null
+  };
+}
@@ -5,11 +5,12 @@ export function getRootHelp(): RootHelp {
     name: "pr-sheriff",
     usage: "pr-sheriff [--config PATH] <command> [options]",
     commands: [
-      { name: "analyze-pr", description: "Analyze a single PR (placeholder)" },
-      { name: "batch", description: "Analyze many PRs in a repo (placeholder)" },
+      { name: "analyze-pr", description: "Analyze a single PR" },
+      { name: "batch", description: "Analyze many PRs in a repo" },
       { name: "candidates", description: "Retrieve candidate matches via qmd" },
-      { name: "index", description: "Build/search a local index (placeholder)" },
-      { name: "report", description: "Generate a report from results (placeholder)" }
+      { name: "graph", description: "Render a PR's reference graph as Mermaid, DOT or GraphML" },
+      { name: "index", description: "Fetch PRs/issues into the qmd corpus and index it" },
+      { name: "report", description: "Generate a report from analyze-pr/batch results" }
     ]
   };
 }
@@ -2,6 +2,7 @@ import type { CommandContext } from "../types/context.js";
 import { analyzePr } from "./subcommands/analyzePr.js";
 import { batch } from "./subcommands/batch.js";
 import { candidates } from "./subcommands/candidates.js";
+import { graph } from "./subcommands/graph.js";
 import { index } from "./subcommands/index.js";
 import { report } from "./subcommands/report.js";
 
@@ -16,6 +17,8 @@ export async function runCommand(command: string, argv: string[], ctx: CommandCo
       return await batch(argv, ctx);
     case "candidates":
       return await candidates(argv, ctx);
+    case "graph":
+      return await graph(argv, ctx);
     case "index":
       return await index(argv, ctx);
     case "report":
@@ -2,7 +2,26 @@ import { parseArgs } from "node:util";
 import fs from "node:fs/promises";
 import path from "node:path";
 import type { CommandContext } from "../../types/context.js";
-import { GitHubFetch } from "../../github/index.mjs";
+import type { AppConfig } from "../../config/types.js";
+import { computeCodeOverlap, describeCodeOverlap, type CodeOverlap } from "../../diff/codeOverlap.js";
+import { splitUnifiedDiffByFile } from "../../diff/unifiedDiff.js";
+import { DEFAULT_RERANK_TOP_K, rerankCandidates, RERANK_WEIGHTS, type RerankedCandidate, type RerankInput } from "../../analysis/rerankCandidates.js";
+import { demoteRevertedSupersessions, describeRevertedBy, effectiveReverts, type RevertedBy } from "../../analysis/reverts.js";
+import { findLandedPatches, type LandedPatchesResult } from "../../git/landedPatches.js";
+import { findRevertCommits, type RevertCommit } from "../../git/revertCommits.js";
+import { createFetchRunner, GitHubFetch } from "../../github/index.mjs";
+import { DEFAULT_GRAPH_BUDGETS } from "../../graph/index.mjs";
+import { retrieveCandidates, type CandidateRetrievalError } from "../../candidates/retrieveCandidates.js";
+import { pullRequestQueryText } from "../../candidates/retrieveForPullRequest.js";
+import type { QmdRunner } from "../../qmd/types.js";
+import { corpusSubgraph, updateCorpusGraph, type CorpusGraph, type CorpusGraphUpdate } from "../../corpus/corpusGraph.js";
+
+/** See `REFERENCE_TYPES` in `src/graph/reference_extraction.mjs` (strongest first). */
+type ReferenceType = "closes" | "supersedes" | "superseded_by" | "duplicate_of" | "replaces" | "reverts" | "mention";
+
+/** See `REFERENCE_REGIONS`: where in the Markdown the reference was found. */
+type ReferenceRegion = "text" | "code" | "quote" | "html_comment";
+type TypedReference = { owner: string; repo: string; number: number; type: ReferenceType; snippet: string; region: ReferenceRegion };
 
 type AnalyzePrReference = {
   kind: "issue";
@@ -10,14 +29,27 @@ type AnalyzePrReference = {
   repo: string;
   number: number;
   url: string | null;
+  /** PR whose title/body ("pr") or comments ("comment") contain the reference. */
   source: "pr" | "comment";
+  fromPr: number;
+  refType: ReferenceType;
+  snippet: string;
+  region: ReferenceRegion;
 };
 
 type AnalyzePrCandidate = {
   number: number;
   title: string | null;
   url: string | null;
-  source: "merged_search" | "reference_chain" | "graph_duplicate";
+  source: "merged_search" | "reference_chain" | "graph_duplicate" | "semantic";
+  mergedAt?: string | null;
+  /** qmd score when the corpus search also returned this PR. */
+  semanticScore?: number | null;
+  /** How the target PR's own text refers to this candidate, if it does. */
+  refType?: ReferenceType | null;
+  codeOverlap?: CodeOverlap | null;
+  /** Set when this (merged) PR was later reverted and so cannot supersede anything. */
+  revertedBy?: RevertedBy[] | null;
 };
 
 type AnalyzePrOpenCandidate = {
@@ -26,9 +58,29 @@ type AnalyzePrOpenCandidate = {
   url: string | null;
   state: string | null;
   draft: boolean | null;
-  source: "graph_duplicate";
+  source: "graph_duplicate" | "semantic";
+  semanticScore?: number | null;
+};
+
+type AnalyzePrFile = {
+  filename: string;
+  status: string | null;
+  additions: number;
+  deletions: number;
+  patch: string | null;
+  patchTruncated: boolean;
+};
+
+type AnalyzePrFiles = {
+  totalFiles: number;
+  truncated: boolean;
+  files: AnalyzePrFile[];
 };
 
+/** Judge payload budget: keep per-PR diffs small enough for many candidates. */
+const MAX_JUDGE_FILES_PER_PR = 30;
+const MAX_JUDGE_PATCH_CHARS_PER_FILE = 2000;
+
 function toIsoDate(v: unknown): string | null {
   if (typeof v !== "string") return null;
   // Accept `YYYY-MM-DD` or full ISO timestamps.
@@ -41,38 +93,6 @@ function uniqNumbers(nums: number[]): number[] {
   return Array.from(new Set(nums)).sort((a, b) => a - b);
 }
 
-/**
- * Extract `#123`, PR URLs, and issue URLs from text.
- *
- * Notes:
- * - We keep the extraction intentionally permissive (false positives are OK).
- * - Downstream logic uses `getIssue()` to determine if a `#123` is a PR.
- */
-function extractIssueNumbersFromText(text: string, owner: string, repo: string): number[] {
-  const out: number[] = [];
-  const add = (nRaw: string | undefined) => {
-    if (!nRaw) return;
-    const n = Number(nRaw);
-    if (!Number.isFinite(n) || n <= 0) return;
-    out.push(n);
-  };
-
-  // `#123`
-  for (const m of text.matchAll(/(^|[^A-Za-z0-9_])#(\d+)\b/g)) add(m[2]);
-
-  // `owner/repo#123`
-  for (const m of text.matchAll(/([A-Za-z0-9_.-]+)\/([A-Za-z0-9_.-]+)#(\d+)\b/g)) {
-    if (m[1] === owner && m[2] === repo) add(m[3]);
-  }
-
-  // Full GitHub URLs.
-  for (const m of text.matchAll(/https?:\/\/github\.com\/([^/]+)\/([^/]+)\/(issues|pull)\/(\d+)\b/g)) {
-    if (m[1] === owner && m[2] === repo) add(m[4]);
-  }
-
-  return uniqNumbers(out);
-}
-
 function pickKeywordQuery(title: unknown): string {
   if (typeof title !== "string" || title.trim().length === 0) return "";
   const stop = new Set(["the", "and", "for", "with", "from", "into", "this", "that", "fix", "adds", "add"]);
@@ -86,26 +106,126 @@ function pickKeywordQuery(title: unknown): string {
   return `in:title ${uniq.join(" ")}`;
 }
 
+export type SemanticOptions = {
+  config: Pick<AppConfig, "qmdCollection" | "qmdIndex" | "corpusDir">;
+  /** qmd hits to request; defaults to 20. */
+  n?: number;
+  qmdRunner?: QmdRunner;
+};
+
+/**
+ * Load a PR's changed files, filling in patches GitHub omitted (large files) from the
+ * full diff. Returns the untruncated file list; failures are treated as "no data".
+ */
+async function loadPrFiles(gh: any, number: number, useCache: boolean): Promise<any[] | null> {
+  let files: any[];
+  try {
+    files = await gh.listPRFiles(number, { useCache });
+  } catch {
+    return null;
+  }
+
+  if (files.some((f) => f && typeof f.patch !== "string")) {
+    try {
+      const byFile = splitUnifiedDiffByFile(await gh.getPRDiff(number, { useCache }));
+      files = files.map((f) => (typeof f?.patch === "string" || !byFile.has(f?.filename) ? f : { ...f, patch: byFile.get(f.filename) }));
+    } catch {
+      // Keep the partial file list; the diff endpoint rejects very large PRs.
+    }
+  }
+
+  return files;
+}
+
+function truncateFilesForJudge(files: any[] | null): AnalyzePrFiles | null {
+  if (!files) return null;
+  return {
+    totalFiles: files.length,
+    truncated: files.length > MAX_JUDGE_FILES_PER_PR,
+    files: files.slice(0, MAX_JUDGE_FILES_PER_PR).map((f) => {
+      const patch = typeof f?.patch === "string" ? f.patch : null;
+      const patchTruncated = patch !== null && patch.length > MAX_JUDGE_PATCH_CHARS_PER_FILE;
+      return {
+        filename: String(f?.filename ?? ""),
+        status: f?.status ?? null,
+        additions: typeof f?.additions === "number" ? f.additions : 0,
+        deletions: typeof f?.deletions === "number" ? f.deletions : 0,
+        patch: patchTruncated ? `${patch.slice(0, MAX_JUDGE_PATCH_CHARS_PER_FILE)}\n[... truncated]` : patch,
+        patchTruncated
+      };
+    })
+  };
+}
+
 async function readFixture(fixturesDir: string, filename: string): Promise<string> {
   const p = path.join(fixturesDir, filename);
   return await fs.readFile(p, "utf8");
 }
 
+export type GraphBudgets = { maxDepth?: number; maxApiCalls?: number };
+
+/**
+ * Read `--graph-depth` / `--graph-max-calls` (shared by analyze-pr and batch).
+ */
+export function parseGraphBudgets(values: { "graph-depth"?: string; "graph-max-calls"?: string }): GraphBudgets {
+  const out: GraphBudgets = {};
+  const depthRaw = values["graph-depth"];
+  if (depthRaw !== undefined) {
+    const n = Number(depthRaw);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`Invalid --graph-depth value: ${depthRaw}`);
+    out.maxDepth = n;
+  }
+  const callsRaw = values["graph-max-calls"];
+  if (callsRaw !== undefined) {
+    const n = Number(callsRaw);
+    if (!Number.isInteger(n) || n <= 0) throw new Error(`Invalid --graph-max-calls value: ${callsRaw}`);
+    out.maxApiCalls = n;
+  }
+  return out;
+}
+
+/** `budgets` with the graph builder's defaults filled in, so equal limits compare equal. */
+export function resolveGraphBudgets(budgets: GraphBudgets): Required<GraphBudgets> {
+  return {
+    maxDepth: budgets.maxDepth ?? DEFAULT_GRAPH_BUDGETS.maxDepth,
+    maxApiCalls: budgets.maxApiCalls ?? DEFAULT_GRAPH_BUDGETS.maxApiCalls
+  };
+}
+
 /**
  * Create a `ghRunner` compatible stub backed by `.http` fixtures.
  *
  * Supported endpoints:
- * - `GET /repos/<owner>/<repo>/pulls/<n>`
+ * - `GET /repos/<owner>/<repo>/pulls`
+ * - `GET /repos/<owner>/<repo>/pulls/<n>` (JSON, or `rest_pr_diff_<n>.http` with a diff `Accept` header)
+ * - `GET /repos/<owner>/<repo>/pulls/<n>/files`
+ * - `GET /repos/<owner>/<repo>/issues` (`rest_list_issues_page<p>.http`)
  * - `GET /repos/<owner>/<repo>/issues/<n>`
  * - `GET /repos/<owner>/<repo>/issues/<n>/comments`
  * - `GET /repos/<owner>/<repo>/pulls/<n>/comments`
+ * - `GET /repos/<owner>/<repo>/pulls/<n>/reviews`
+ * - `GET /repos/<owner>/<repo>/commits/<ref>/status` and `.../check-runs`
  * - `GET /search/issues`
+ * - GraphQL issue timelines (`graphql_issue_timeline_<n>_page1.http`, then `..._<endCursor>.http`)
+ * - GraphQL PR timelines (`graphql_pr_timeline_<n>_page1.http`, same paging)
  */
-function makeFixtureGhRunner(fixturesDir: string) {
+export function makeFixtureGhRunner(fixturesDir: string) {
   return async (args: string[]) => {
     const isGraphql = args[0] === "api" && args[1] === "graphql";
     if (isGraphql) {
-      throw new Error("fixtures runner does not support GraphQL in analyze-pr dry mode");
+      const field = (name: string) => {
+        const i = args.findIndex((a, idx) => (args[idx - 1] === "-f" || args[idx - 1] === "-F") && a.startsWith(`${name}=`));
+        return i >= 0 ? args[i]!.slice(name.length + 1) : null;
+      };
+      const query = field("query") ?? "";
+      const number = field("number");
+      if (!/timelineItems/.test(query) || !number) {
+        throw new Error("fixtures runner only supports GraphQL timeline queries in dry mode");
+      }
+      const cursor = field("cursor");
+      const kind = /pullRequest\(number/.test(query) ? "pr" : "issue";
+      const stdout = await readFixture(fixturesDir, `graphql_${kind}_timeline_${number}_${cursor ?? "page1"}.http`);
+      return { exitCode: 0, stdout, stderr: "" };
     }
 
     const endpoint = args[args.length - 1] ?? "";
@@ -121,8 +241,18 @@ function makeFixtureGhRunner(fixturesDir: string) {
 
     let fixtureName: string | null = null;
 
+    const mPulls = /^\/repos\/([^/]+)\/([^/]+)\/pulls$/.exec(pathname);
+    if (mPulls) fixtureName = `rest_list_pulls_page${page}.http`;
+
+    const mIssues = /^\/repos\/([^/]+)\/([^/]+)\/issues$/.exec(pathname);
+    if (!fixtureName && mIssues) fixtureName = `rest_list_issues_page${page}.http`;
+
+    const wantsDiff = args.some((a) => /^accept:.*diff/i.test(a));
     const mPull = /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)$/.exec(pathname);
-    if (mPull) fixtureName = `rest_get_pr_${mPull[3]}.http`;
+    if (!fixtureName && mPull) fixtureName = wantsDiff ? `rest_pr_diff_${mPull[3]}.http` : `rest_get_pr_${mPull[3]}.http`;
+
+    const mPullFiles = /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)\/files$/.exec(pathname);
+    if (!fixtureName && mPullFiles) fixtureName = `rest_pr_files_${mPullFiles[3]}_page${page}.http`;
 
     const mIssue = /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)$/.exec(pathname);
     if (!fixtureName && mIssue) fixtureName = `rest_get_issue_${mIssue[3]}.http`;
@@ -133,6 +263,12 @@ function makeFixtureGhRunner(fixturesDir: string) {
     const mReviewComments = /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)\/comments$/.exec(pathname);
     if (!fixtureName && mReviewComments) fixtureName = `rest_review_comments_${mReviewComments[3]}_page${page}.http`;
 
+    const mReviews = /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)\/reviews$/.exec(pathname);
+    if (!fixtureName && mReviews) fixtureName = `rest_pr_reviews_${mReviews[3]}_page${page}.http`;
+
+    const mStatus = /^\/repos\/([^/]+)\/([^/]+)\/commits\/([^/]+)\/(status|check-runs)$/.exec(pathname);
+    if (!fixtureName && mStatus) fixtureName = `rest_commit_${mStatus[4] === "status" ? "status" : "check_runs"}_${mStatus[3]}.http`;
+
     if (!fixtureName && pathname === "/search/issues") fixtureName = `rest_search_issues_page${page}.http`;
 
     if (!fixtureName) {
@@ -144,7 +280,117 @@ function makeFixtureGhRunner(fixturesDir: string) {
   };
 }
 
-export async function analyzePr(argv: string[], _ctx: CommandContext): Promise<unknown> {
+/**
+ * Repos the reference graph may follow besides the analyzed one: `--follow-repo` (repeatable)
+ * when given, else `followRepos` from config.
+ */
+export function parseFollowRepos(values: { "follow-repo"?: string[] }, config: AppConfig): string[] {
+  const raw = values["follow-repo"]?.length ? values["follow-repo"] : config.followRepos ?? [];
+  for (const r of raw) {
+    if (!/^[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+$/.test(r)) throw new Error(`Invalid --follow-repo value: ${r} (expected owner/repo)`);
+  }
+  return Array.from(new Set(raw));
+}
+
+/**
+ * `--corpus-dir DIR`: bring the offline corpus reference graph for `owner/repo` up to date
+ * (re-parsing only changed docs) so PRs in the corpus skip the live graph build.
+ */
+export async function loadCorpusGraph(
+  values: { "corpus-dir"?: string },
+  owner: string,
+  repo: string
+): Promise<{ corpusGraph: CorpusGraph; input: { corpusDir: string; graphPath: string; update: CorpusGraphUpdate } } | null> {
+  const corpusDir = values["corpus-dir"];
+  if (!corpusDir) return null;
+  const { graph, graphPath, update } = await updateCorpusGraph({ corpusDir, repo: `${owner}/${repo}` });
+  return { corpusGraph: graph, input: { corpusDir, graphPath, update } };
+}
+
+/**
+ * Re-read open PRs in a graph cut from the corpus: the snapshot may be older than their merge
+ * or close. Each refresh is a `getPR`, capped by the graph's API budget; a node that couldn't be
+ * refreshed loses its state (and gets `staleState`) so it isn't taken for a competing PR.
+ */
+async function refreshCorpusOpenPRs(graph: any, gh: any, opts: { root: number; maxApiCalls: number; useCache: boolean }): Promise<void> {
+  const refresh = { refreshed: [] as number[], closedSince: [] as number[], failed: [] as number[], skipped: [] as number[] };
+  const open = (Object.values(graph.nodes) as any[])
+    .filter((n) => n.type === "pr" && n.state === "open" && n.number !== opts.root)
+    .sort((a, b) => (a.depth ?? 0) - (b.depth ?? 0) || a.number - b.number);
+  for (const node of open) {
+    if (refresh.refreshed.length + refresh.failed.length >= opts.maxApiCalls) {
+      refresh.skipped.push(node.number);
+      Object.assign(node, { state: null, staleState: true });
+      continue;
+    }
+    try {
+      const live = await gh.getPR(node.number, { useCache: opts.useCache });
+      refresh.refreshed.push(node.number);
+      Object.assign(node, {
+        title: live?.title ?? node.title,
+        url: live?.html_url ?? node.url,
+        state: live?.state ?? null,
+        mergedAt: live?.merged_at ?? null,
+        closedAt: live?.closed_at ?? null
+      });
+      if (node.state !== "open") refresh.closedSince.push(node.number);
+    } catch {
+      refresh.failed.push(node.number);
+      Object.assign(node, { state: null, staleState: true });
+    }
+  }
+  const calls = refresh.refreshed.length + refresh.failed.length;
+  graph.stats.apiCalls = { total: calls, getPR: calls };
+  graph.stats.refresh = refresh;
+}
+
+/**
+ * `--top-k N`: how many reranked candidates reach the judge (shared by analyze-pr and batch).
+ */
+export function parseRerankTopK(values: { "top-k"?: string }): number | undefined {
+  const raw = values["top-k"];
+  if (raw === undefined) return undefined;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n <= 0) throw new Error(`Invalid --top-k value: ${raw}`);
+  return n;
+}
+
+/**
+ * The qmd semantic candidate source (shared by analyze-pr and batch): on by default with the
+ * configured collection, off with `--no-semantic` and in `--dry-fixtures` runs (qmd output
+ * can't be replayed from `.http` fixtures). Hit frontmatter is read from `--corpus-dir` (or the
+ * configured corpus root) when it exists locally.
+ */
+export function parseSemanticOptions(
+  values: { "no-semantic"?: boolean; "qmd-collection"?: string; "qmd-index"?: string; "corpus-dir"?: string },
+  config: AppConfig,
+  fixturesDir: string | null
+): SemanticOptions | undefined {
+  if (values["no-semantic"] || fixturesDir) return undefined;
+  return {
+    config: {
+      qmdCollection: values["qmd-collection"] ?? config.qmdCollection,
+      qmdIndex: values["qmd-index"] ?? config.qmdIndex,
+      corpusDir: values["corpus-dir"] ?? config.corpusDir
+    }
+  };
+}
+
+/**
+ * Pick the `ghRunner` for a command: `.http` fixtures in dry mode, otherwise the
+ * transport selected by `githubTransport` (undefined means `GitHubFetch`'s `gh` default).
+ */
+export async function resolveGhRunner(config: AppConfig, fixturesDir: string | null) {
+  if (fixturesDir) return makeFixtureGhRunner(fixturesDir);
+
+  const transport = config.githubTransport ?? "auto";
+  if (transport === "http" || (transport === "auto" && config.githubToken)) {
+    return createFetchRunner({ apiUrl: config.githubApiUrl, token: config.githubToken });
+  }
+  return undefined;
+}
+
+export async function analyzePr(argv: string[], ctx: CommandContext): Promise<unknown> {
   const parsed = parseArgs({
     args: argv,
     allowPositionals: false,
@@ -155,6 +401,18 @@ export async function analyzePr(argv: string[], _ctx: CommandContext): Promise<u
       "pr-url": { type: "string" },
       "dry-fixtures": { type: "string" },
       "no-cache": { type: "boolean" },
+      "git-dir": { type: "string" },
+      "base-ref": { type: "string" },
+      "head-ref": { type: "string" },
+      "graph-depth": { type: "string" },
+      "graph-max-calls": { type: "string" },
+      "follow-repo": { type: "string", multiple: true },
+      "include-ignored-refs": { type: "boolean" },
+      "corpus-dir": { type: "string" },
+      "no-semantic": { type: "boolean" },
+      "qmd-collection": { type: "string" },
+      "qmd-index": { type: "string" },
+      "top-k": { type: "string" },
       help: { type: "boolean", short: "h" }
     }
   });
@@ -163,8 +421,27 @@ export async function analyzePr(argv: string[], _ctx: CommandContext): Promise<u
     return {
       help: {
         usage:
-          "pr-sheriff analyze-pr --owner OWNER --repo REPO --pr NUMBER [--pr-url URL] [--dry-fixtures DIR] [--no-cache]",
-        options: ["--owner", "--repo", "--pr", "--pr-url", "--dry-fixtures", "--no-cache"]
+          "pr-sheriff analyze-pr --owner OWNER --repo REPO --pr NUMBER [--pr-url URL] [--dry-fixtures DIR] [--no-cache] [--git-dir PATH [--base-ref REF] [--head-ref REF]] [--graph-depth 4] [--graph-max-calls 100] [--follow-repo OWNER/REPO ...] [--include-ignored-refs] [--corpus-dir DIR] [--no-semantic] [--qmd-collection NAME] [--qmd-index NAME] [--top-k 20]",
+        options: [
+          "--owner",
+          "--repo",
+          "--pr",
+          "--pr-url",
+          "--dry-fixtures",
+          "--no-cache",
+          "--git-dir",
+          "--base-ref",
+          "--head-ref",
+          "--graph-depth",
+          "--graph-max-calls",
+          "--follow-repo",
+          "--include-ignored-refs",
+          "--corpus-dir",
+          "--no-semantic",
+          "--qmd-collection",
+          "--qmd-index",
+          "--top-k"
+        ]
       }
     };
   }
@@ -177,25 +454,121 @@ export async function analyzePr(argv: string[], _ctx: CommandContext): Promise<u
   }
 
   const pr = Number(prRaw);
-  if (!Number.isFinite(pr) || pr <= 0) {
+  if (!Number.isInteger(pr) || pr <= 0) {
     throw new Error(`Invalid --pr value: ${prRaw}`);
   }
 
   const fixturesDir = parsed.values["dry-fixtures"] ?? null;
   const useCache = parsed.values["no-cache"] ? false : !fixturesDir;
-  const ghRunner = fixturesDir ? makeFixtureGhRunner(fixturesDir) : undefined;
+  const ghRunner = await resolveGhRunner(ctx.config, fixturesDir);
+  const gh = new GitHubFetch({ repo: `${owner}/${repo}`, ghRunner });
 
-  // Note: `src/github/*.mjs` and `src/graph/*.mjs` are plain JS modules.
-  // We use dynamic import to avoid TS type declaration friction.
-  const [{ GitHubFetch }, { buildReferenceGraph }] = await Promise.all([
-    import("../../github/index.mjs"),
-    import("../../graph/index.mjs")
-  ]);
+  const gitDir = parsed.values["git-dir"] ?? null;
+  const git = gitDir ? { gitDir, baseRef: parsed.values["base-ref"], headRef: parsed.values["head-ref"] } : undefined;
 
-  const gh = new GitHubFetch({ repo: `${owner}/${repo}`, ghRunner });
+  const graphBudgets = parseGraphBudgets(parsed.values);
+  const followRepos = parseFollowRepos(parsed.values, ctx.config);
+  const includeIgnoredRegions = Boolean(parsed.values["include-ignored-refs"]);
+  const corpus = await loadCorpusGraph(parsed.values, owner, repo);
+  const semantic = parseSemanticOptions(parsed.values, ctx.config, fixturesDir);
+  const rerankTopK = parseRerankTopK(parsed.values);
+
+  const analysis = await analyzePullRequest({
+    gh,
+    owner,
+    repo,
+    pr,
+    useCache,
+    git,
+    graphBudgets,
+    followRepos,
+    includeIgnoredRegions,
+    corpusGraph: corpus?.corpusGraph,
+    semantic,
+    rerankTopK
+  });
+
+  return {
+    kind: "analyze-pr",
+    input: {
+      owner,
+      repo,
+      pr,
+      prUrl: parsed.values["pr-url"] ?? null,
+      dryFixturesDir: fixturesDir,
+      useCache,
+      gitDir,
+      graphBudgets,
+      followRepos,
+      includeIgnoredRegions,
+      corpus: corpus?.input ?? null,
+      semantic: semantic ? semantic.config : null,
+      rerankTopK: rerankTopK ?? null
+    },
+    ...analysis
+  };
+}
+
+/**
+ * Run the analyze-pr pipeline (reference graph, merged search, judge) for a single PR.
+ *
+ * Shared by `analyze-pr` and `batch`: a batch run passes the same `gh` instance and
+ * `kindCache` for every PR so the on-disk cache and graph classification lookups are reused.
+ */
+export async function analyzePullRequest(opts: {
+  gh: any;
+  owner: string;
+  repo: string;
+  pr: number;
+  useCache: boolean;
+  kindCache?: Map<string, "issue" | "pr" | "unknown">;
+  /** Other "owner/repo"s the reference graph may follow (e.g. plugin repos). */
+  followRepos?: string[];
+  /** Also count references inside code blocks, blockquotes and HTML comments. */
+  includeIgnoredRegions?: boolean;
+  /**
+   * Local clone for offline "already landed" detection. Refs default to
+   * `origin/<base_ref>` and `refs/pull/<pr>/head`.
+   */
+  git?: { gitDir: string; baseRef?: string; headRef?: string };
+  /** Reference graph traversal limits; unset fields use the builder's defaults. */
+  graphBudgets?: GraphBudgets;
+  /**
+   * Offline graph of the whole repo (see `updateCorpusGraph`). When the PR is in it, its
+   * reference graph is cut from there and only its open PRs are re-read (within `maxApiCalls`);
+   * otherwise it's built live. The corpus graph covers one repo and skips ignored regions, so
+   * `followRepos` or `includeIgnoredRegions` also mean a live build.
+   */
+  corpusGraph?: CorpusGraph;
+  /** Candidates sent to the judge after reranking (explicit references always go); default 20. */
+  rerankTopK?: number;
+  /** qmd corpus search with the target's title + body; unset means no semantic candidates. */
+  semantic?: SemanticOptions;
+}) {
+  const { gh, owner, repo, pr, useCache } = opts;
+  const { buildReferenceGraph, detectRevert, extractTypedReferences, REFERENCE_TYPES } = await import("../../graph/index.mjs");
+  const typeRank = (t: ReferenceType) => (REFERENCE_TYPES as ReferenceType[]).indexOf(t);
 
   // Always build the reference graph first; it provides high-signal candidates.
-  const graph = await buildReferenceGraph({ gh, owner, repo, prNumber: pr });
+  const corpusCanAnswer = opts.corpusGraph && !opts.followRepos?.length && !opts.includeIgnoredRegions;
+  const fromCorpus = corpusCanAnswer ? corpusSubgraph(opts.corpusGraph!, pr, opts.graphBudgets) : null;
+  if (fromCorpus?.stats.inCorpus) {
+    await refreshCorpusOpenPRs(fromCorpus, gh, { root: pr, maxApiCalls: resolveGraphBudgets(opts.graphBudgets ?? {}).maxApiCalls, useCache });
+  }
+  const graph = fromCorpus?.stats.inCorpus ? fromCorpus : await buildReferenceGraph({
+    gh,
+    owner,
+    repo,
+    prNumber: pr,
+    budgets: opts.graphBudgets,
+    followRepos: opts.followRepos ?? [],
+    includeIgnoredRegions: opts.includeIgnoredRegions ?? false,
+    kindCache: opts.kindCache
+  });
+
+  // Candidates below are keyed by number within `owner/repo`; other repos' PRs are reported separately.
+  const refKey = (r: { owner: string; repo: string; number: number }) => `${r.owner}/${r.repo}#${r.number}`.toLowerCase();
+  const isHomeRepo = (r: { owner: string; repo: string }) => `${r.owner}/${r.repo}`.toLowerCase() === `${owner}/${repo}`.toLowerCase();
 
   // Minimal candidate set based on merged search + (optional) graph-derived PRs.
   // NOTE: We keep the existing simple candidate logic as a baseline while the
@@ -215,6 +588,7 @@ export async function analyzePr(argv: string[], _ctx: CommandContext): Promise<u
   for (const node of Object.values((graph as any)?.nodes ?? {})) {
     if (!node || typeof node !== "object") continue;
     if ((node as any).type !== "pr") continue;
+    if (!isHomeRepo(node as any)) continue;
     if ((node as any).number === pr) continue;
     if ((node as any).state !== "open") continue;
     if (typeof (node as any).number !== "number") continue;
@@ -223,7 +597,8 @@ export async function analyzePr(argv: string[], _ctx: CommandContext): Promise<u
       number: (node as any).number,
       title: (node as any).title ?? null,
       url: (node as any).url ?? null,
-      source: "graph_duplicate"
+      source: "graph_duplicate",
+      mergedAt: (node as any).mergedAt ?? null
     });
   }
 
@@ -248,21 +623,41 @@ export async function analyzePr(argv: string[], _ctx: CommandContext): Promise<u
       .map((c: any) => (typeof c?.body === "string" ? c.body : ""))
       .filter((s: string) => s.length > 0);
 
-    const nums = uniqNumbers([
-      ...extractIssueNumbersFromText(prText, owner, repo),
-      ...commentTexts.flatMap((t: string) => extractIssueNumbersFromText(t, owner, repo))
-    ]);
-
-    for (const n of nums) {
-      references.push({
+    // One reference per number, keeping the strongest type across the PR text and its comments.
+    const typedRefs = new Map<string, AnalyzePrReference>();
+    const extractOpts = { includeIgnoredRegions: opts.includeIgnoredRegions ?? false };
+    const typed = [
+      ...(extractTypedReferences(prText, { owner, repo }, extractOpts) as TypedReference[]).map((r) => ({
+        ...r,
+        source: "pr" as const
+      })),
+      ...commentTexts.flatMap((t: string) =>
+        (extractTypedReferences(t, { owner, repo }, extractOpts) as TypedReference[]).map((r) => ({
+          ...r,
+          source: "comment" as const
+        }))
+      )
+    ];
+    for (const r of typed) {
+      const prev = typedRefs.get(refKey(r));
+      if (prev && typeRank(prev.refType) <= typeRank(r.type)) continue;
+      typedRefs.set(refKey(r), {
         kind: "issue",
-        owner,
-        repo,
-        number: n,
+        owner: r.owner,
+        repo: r.repo,
+        number: r.number,
         url: null,
-        source: n === pr ? "pr" : "comment"
+        source: r.source,
+        fromPr: cur,
+        refType: r.type,
+        snippet: r.snippet,
+        region: r.region
       });
     }
+    references.push(...typedRefs.values());
+
+    // Only same-repo numbers feed the chain below; cross-repo PRs come from the graph.
+    const nums = uniqNumbers(Array.from(typedRefs.values()).filter(isHomeRepo).map((r) => r.number));
 
     // Expand the chain using `getIssue()` to detect whether a `#n` is a PR.
     for (const n of nums) {
@@ -274,7 +669,13 @@ export async function analyzePr(argv: string[], _ctx: CommandContext): Promise<u
       const isPR = Boolean(issue && typeof issue === "object" && (issue as any).pull_request);
       if (isPR) {
         chainQueue.push(n);
-        candidates.push({ number: n, title: (issue as any).title ?? null, url: (issue as any).html_url ?? null, source: "reference_chain" });
+        candidates.push({
+          number: n,
+          title: (issue as any).title ?? null,
+          url: (issue as any).html_url ?? null,
+          source: "reference_chain",
+          mergedAt: (issue as any).pull_request?.merged_at ?? null
+        });
       }
     }
   }
@@ -283,6 +684,36 @@ export async function analyzePr(argv: string[], _ctx: CommandContext): Promise<u
     throw new Error("Failed to load target PR");
   }
 
+  // "Superseded by #50" in the target's own text is far stronger than a passing "see #50".
+  const targetRefsAll = references.filter((r) => r.fromPr === pr);
+  const targetRefs = new Map(targetRefsAll.filter(isHomeRepo).map((r) => [r.number, r]));
+  const targetRefsByKey = new Map(targetRefsAll.map((r) => [refKey(r), r]));
+
+  // Commits from the target that already landed on the base branch (cherry-picked or squashed
+  // into another PR). Failures are reported in the output rather than failing the analysis.
+  // The same clone also tells us which PRs were backed out by `git revert` commits.
+  let landedPatches: LandedPatchesResult | { error: string } | null = null;
+  let revertCommits: RevertCommit[] | { error: string } | null = null;
+  if (opts.git) {
+    const baseRefName = typeof targetPR?.base?.ref === "string" ? targetPR.base.ref : null;
+    const baseRef = opts.git.baseRef ?? (baseRefName ? `origin/${baseRefName}` : null);
+    const headRef = opts.git.headRef ?? `refs/pull/${pr}/head`;
+    const errorOf = (err: unknown) => ({ error: err instanceof Error ? err.message : String(err) });
+    const missingBase = "Unknown base ref: PR has no base.ref; pass --base-ref";
+    try {
+      if (!baseRef) throw new Error(missingBase);
+      landedPatches = await findLandedPatches({ gitDir: opts.git.gitDir, baseRef, headRef });
+    } catch (err) {
+      landedPatches = errorOf(err);
+    }
+    try {
+      if (!baseRef) throw new Error(missingBase);
+      revertCommits = await findRevertCommits({ gitDir: opts.git.gitDir, baseRef });
+    } catch (err) {
+      revertCommits = errorOf(err);
+    }
+  }
+
   // Baseline merged PR candidates: simple keyword search after the target PR's creation date.
   const mergedAfter = toIsoDate(targetPR?.created_at) ?? undefined;
   const query = pickKeywordQuery(targetPR?.title);
@@ -295,20 +726,85 @@ export async function analyzePr(argv: string[], _ctx: CommandContext): Promise<u
       number: (item as any).number,
       title: (item as any).title ?? null,
       url: (item as any).html_url ?? null,
-      source: "merged_search"
+      source: "merged_search",
+      mergedAt: (item as any).pull_request?.merged_at ?? null
     });
   }
 
+  // Semantic candidates: qmd search over the corpus with the target's title + body, mapped back
+  // to PRs through corpus frontmatter. Merged hits join the candidates; open hits are checked as
+  // competing PRs below. A missing collection (or any qmd failure) is reported, not fatal.
+  let semantic: {
+    query: string;
+    collection: string;
+    hits: number;
+    merged: number[];
+    open: number[];
+    error: CandidateRetrievalError | null;
+  } | null = null;
+  const semanticScores = new Map<number, number | null>();
+  const semanticOpen = new Set<number>();
+  if (opts.semantic) {
+    const semanticQuery = pullRequestQueryText(targetPR?.title, targetPR?.body);
+    const res = semanticQuery
+      ? await retrieveCandidates({
+          summary: semanticQuery,
+          n: opts.semantic.n ?? 20,
+          config: opts.semantic.config,
+          filters: { docType: "github_pull", excludeNumbers: [pr] },
+          qmdRunner: opts.semantic.qmdRunner
+        })
+      : { candidates: [], error: null };
+    const merged: number[] = [];
+    for (const hit of res.candidates) {
+      const { number } = hit.corpus;
+      if (typeof number !== "number") continue;
+      if (String(hit.corpus.repo ?? "").toLowerCase() !== `${owner}/${repo}`.toLowerCase()) continue;
+      if (semanticScores.has(number)) continue;
+      semanticScores.set(number, hit.qmd.score);
+      if (hit.corpus.mergedAt) {
+        merged.push(number);
+        candidates.push({ number, title: hit.corpus.title, url: hit.corpus.url, source: "semantic", mergedAt: hit.corpus.mergedAt });
+      } else if (hit.corpus.state !== "closed") {
+        // The corpus may be stale; the competing-PR pass re-checks the live state.
+        semanticOpen.add(number);
+      }
+    }
+    semantic = {
+      query: semanticQuery,
+      collection: opts.semantic.config.qmdCollection,
+      hits: res.candidates.length,
+      merged,
+      open: Array.from(semanticOpen).sort((a, b) => a - b),
+      error: res.error
+    };
+  }
+  for (const c of candidates) if (semanticScores.has(c.number)) c.semanticScore = semanticScores.get(c.number) ?? null;
+
   const candidateNumbers = uniqNumbers(candidates.map((c) => c.number));
 
   const graphNodes = Object.values((graph as any)?.nodes ?? {}) as any[];
   const graphPrNodes = graphNodes.filter(
-    (node: any) => node && typeof node === "object" && node.type === "pr" && typeof node.number === "number" && node.number !== pr
+    (node: any) =>
+      node && typeof node === "object" && node.type === "pr" && typeof node.number === "number" && isHomeRepo(node) && node.number !== pr
   );
 
+  const crossRepoPRs = graphNodes
+    .filter((node: any) => node && node.type === "pr" && typeof node.number === "number" && !isHomeRepo(node))
+    .map((node: any) => ({
+      repo: `${node.owner}/${node.repo}`,
+      number: node.number as number,
+      title: node.title ?? null,
+      url: node.url ?? null,
+      state: node.state ?? null,
+      mergedAt: node.mergedAt ?? null,
+      referenceType: targetRefsByKey.get(refKey(node))?.refType ?? null
+    }))
+    .sort((a, b) => a.repo.localeCompare(b.repo) || a.number - b.number);
+
   const graphNumbers = graphPrNodes.map((node: any) => node.number as number);
   const referenceChainNumbers = candidates.filter((c) => c.source === "reference_chain").map((c) => c.number);
-  const openCandidateNumbers = uniqNumbers([...graphNumbers, ...referenceChainNumbers]);
+  const openCandidateNumbers = uniqNumbers([...graphNumbers, ...referenceChainNumbers, ...semanticOpen]);
 
   const openCandidateMap = new Map<number, any>();
   for (const node of graphPrNodes) {
@@ -318,6 +814,8 @@ export async function analyzePr(argv: string[], _ctx: CommandContext): Promise<u
   const competingOpenPRs: AnalyzePrOpenCandidate[] = [];
   for (const number of openCandidateNumbers) {
     const node = openCandidateMap.get(number);
+    // A corpus node we couldn't re-read (see `refreshCorpusOpenPRs`).
+    if (node?.staleState) continue;
     const needsRefresh =
       !node || typeof node.state !== "string" || node.state.length === 0 || typeof node.title !== "string" || typeof node.url !== "string";
 
@@ -337,18 +835,221 @@ export async function analyzePr(argv: string[], _ctx: CommandContext): Promise<u
       url: prData?.html_url ?? prData?.url ?? null,
       state: prData?.state ?? null,
       draft: prData?.draft ?? null,
-      source: "graph_duplicate"
+      source: node || !semanticOpen.has(number) ? "graph_duplicate" : "semantic",
+      semanticScore: semanticScores.get(number) ?? null
     });
   }
 
   competingOpenPRs.sort((a, b) => a.number - b.number);
 
+  for (const c of candidates) c.refType = targetRefs.get(c.number)?.refType ?? null;
+
+  // Merged PRs that were later reverted: `reverted_by` graph edges, revert PRs among the merged
+  // search hits (`Revert "<title>"`, "Reverts #n") and `git revert` commits on the base branch.
+  const foundReverts = new Map<number, RevertedBy[]>();
+  const addRevert = (n: number, r: RevertedBy) => {
+    const list = foundReverts.get(n) ?? [];
+    const same = (o: RevertedBy) =>
+      o.kind === "pr" && r.kind === "pr"
+        ? o.number === r.number && o.repo === r.repo
+        : o.kind === "commit" && r.kind === "commit" && o.sha === r.sha;
+    if (!list.some(same)) list.push(r);
+    foundReverts.set(n, list);
+  };
+  const graphById = ((graph as any)?.nodes ?? {}) as Record<string, any>;
+  for (const e of ((graph as any)?.edges ?? []) as any[]) {
+    if (e?.type !== "reverted_by") continue;
+    const from = graphById[e.from];
+    const by = graphById[e.to];
+    if (!from || !by || from.type !== "pr" || !isHomeRepo(from) || !by.mergedAt) continue;
+    addRevert(from.number, {
+      kind: "pr",
+      repo: `${by.owner}/${by.repo}`,
+      number: by.number,
+      title: by.title ?? null,
+      url: by.url ?? null,
+      mergedAt: by.mergedAt,
+      via: "graph"
+    });
+  }
+  for (const item of mergedItems as any[]) {
+    if (!item || typeof item.number !== "number") continue;
+    const revert = detectRevert({ title: item.title ?? null, body: item.body ?? null }, { owner, repo });
+    if (!revert) continue;
+    const reverted = new Set<number>(revert.revertedRefs.filter(isHomeRepo).map((r: any) => r.number as number));
+    if (revert.revertedTitle) for (const c of candidates) if (c.title === revert.revertedTitle) reverted.add(c.number);
+    for (const n of reverted) {
+      if (n === item.number) continue;
+      addRevert(n, {
+        kind: "pr",
+        repo: `${owner}/${repo}`,
+        number: item.number,
+        title: item.title ?? null,
+        url: item.html_url ?? null,
+        mergedAt: item.pull_request?.merged_at ?? item.closed_at ?? null,
+        via: "merged_search"
+      });
+    }
+  }
+  if (Array.isArray(revertCommits)) {
+    for (const c of revertCommits) {
+      if (c.revertedPr !== null && !c.undoneBy) addRevert(c.revertedPr, { kind: "commit", sha: c.sha, subject: c.subject, via: "git" });
+    }
+  }
+  const revertedBy = effectiveReverts(foundReverts, `${owner}/${repo}`);
+  for (const c of candidates) c.revertedBy = revertedBy.get(c.number) ?? null;
+
+  // Judge pool: search/semantic hits, open graph PRs and anything the target explicitly refers to
+  // (supersedes, duplicate of, ...), one entry per PR. Reranked below once code overlap is known.
+  const isExplicit = (c: AnalyzePrCandidate) => c.refType != null && c.refType !== "mention";
+  const judgeSeen = new Set<number>();
+  const judgePool = candidates
+    .filter((c) => c.source === "merged_search" || c.source === "semantic" || c.source === "graph_duplicate" || isExplicit(c))
+    .filter((c) => {
+      if (judgeSeen.has(c.number)) return false;
+      judgeSeen.add(c.number);
+      return true;
+    });
+
+  // Rerank inputs share everything but code overlap, which needs the changed files.
+  const homePrNodes = new Map<number, any>(graphPrNodes.map((n: any) => [n.number as number, n]));
+  const graphEdges = ((graph as any)?.edges ?? []) as any[];
+  const homeNumberOf = (id: string) => {
+    const node = (graph as any)?.nodes?.[id];
+    return node && isHomeRepo(node) && typeof node.number === "number" ? (node.number as number) : null;
+  };
+  const rerankInputFor = (
+    c: { number: number; mergedAt?: string | null; refType?: ReferenceType | null; semanticScore?: number | null },
+    codeOverlapScore: number | null
+  ): RerankInput => {
+    const node = homePrNodes.get(c.number);
+    const touching = node ? graphEdges.filter((e) => e.from === node.id || e.to === node.id) : [];
+    const closingIssues = touching
+      .map((e) =>
+        e.type === "closed_by" && e.to === node.id ? homeNumberOf(e.from) : e.type === "references" && e.refType === "closes" && e.from === node.id ? homeNumberOf(e.to) : null
+      )
+      .filter((n): n is number => n !== null);
+    return {
+      number: c.number,
+      mergedAt: c.mergedAt ?? node?.mergedAt ?? null,
+      refType: c.refType ?? null,
+      semanticScore: c.semanticScore ?? null,
+      codeOverlapScore,
+      graphDepth: typeof node?.depth === "number" ? node.depth : null,
+      graphEdges: touching.map((e) => ({ type: e.type, refType: e.refType })),
+      closingIssues: uniqNumbers(closingIssues),
+      reverted: revertedBy.has(c.number)
+    };
+  };
+  const rerankContext = {
+    targetCreatedAt: targetPR?.created_at ?? null,
+    targetClosingIssues: uniqNumbers(targetRefsAll.filter((r) => isHomeRepo(r) && r.refType === "closes").map((r) => r.number))
+  };
+  const rerankTopK = opts.rerankTopK ?? DEFAULT_RERANK_TOP_K;
+
+  // Changed files for the target and the candidates most likely to matter. Most real
+  // supersessions are only visible in the diff, but that's a files call (or two) per PR, so a
+  // first-pass rank without code overlap picks which ones get fetched: twice the judge's top K,
+  // leaving room for overlap to promote a candidate, plus explicit references.
+  const fileFetchLimit = 2 * rerankTopK;
+  const firstPassPool = new Map<number, Parameters<typeof rerankInputFor>[0]>();
+  for (const c of candidates) if (!firstPassPool.has(c.number)) firstPassPool.set(c.number, c);
+  for (const c of competingOpenPRs) {
+    if (!firstPassPool.has(c.number)) firstPassPool.set(c.number, { ...c, refType: targetRefs.get(c.number)?.refType ?? null });
+  }
+  const firstPass = rerankCandidates(
+    Array.from(firstPassPool.values(), (c) => rerankInputFor(c, null)),
+    { ...rerankContext, topK: fileFetchLimit }
+  );
+  const fileFetches = {
+    limit: fileFetchLimit,
+    fetched: uniqNumbers(firstPass.filter((r) => r.selected).map((r) => r.number)),
+    /** Ranked below the limit: no files, so no code overlap either. */
+    skipped: uniqNumbers(firstPass.filter((r) => !r.selected).map((r) => r.number))
+  };
+  const prFiles = new Map<number, any[] | null>();
+  for (const n of uniqNumbers([pr, ...fileFetches.fetched])) {
+    prFiles.set(n, await loadPrFiles(gh, n, useCache));
+  }
+
+  const targetFiles = prFiles.get(pr) ?? null;
+  const codeOverlap = new Map<number, CodeOverlap | null>();
+  for (const [n, files] of prFiles) {
+    if (n === pr) continue;
+    codeOverlap.set(n, targetFiles && files ? computeCodeOverlap(targetFiles, files) : null);
+  }
+  for (const c of candidates) c.codeOverlap = codeOverlap.get(c.number) ?? null;
+
+  // Timeline-aware rerank: only the top K (plus explicit references) go to the judge.
+  const reranked: RerankedCandidate[] = rerankCandidates(
+    judgePool.map((c) => rerankInputFor(c, c.codeOverlap?.score ?? null)),
+    { ...rerankContext, topK: rerankTopK }
+  );
+  const poolByNumber = new Map(judgePool.map((c) => [c.number, c]));
+  const judgeCandidates = reranked.filter((r) => r.selected).map((r) => poolByNumber.get(r.number)!);
+
+  const commitEvidence =
+    landedPatches && "commits" in landedPatches
+      ? [
+          ...(landedPatches.squashed
+            ? [
+                {
+                  id: "landed_squash",
+                  source: "commit" as const,
+                  snippet: `Combined diff of #${pr} already on ${landedPatches.baseRef} as ${landedPatches.squashed.landedAs.slice(0, 12)} "${landedPatches.squashed.landedSubject}"`,
+                  note: landedPatches.squashed.mergedPr ? `Landed via #${landedPatches.squashed.mergedPr}` : "Patch-id equivalent commit on base branch"
+                }
+              ]
+            : []),
+          ...landedPatches.commits
+            .filter((c) => c.landed)
+            .map((c) => ({
+              id: `landed_${c.sha.slice(0, 12)}`,
+              source: "commit" as const,
+              snippet: `Commit ${c.sha.slice(0, 12)} "${c.subject}" already on ${landedPatches.baseRef} as ${c.landedAs!.slice(0, 12)}`,
+              note: c.mergedPr ? `Landed via #${c.mergedPr}` : "Patch-id equivalent commit on base branch"
+            }))
+        ]
+      : [];
+
+  const referenceEvidence = targetRefsAll
+    .filter((r) => r.refType !== "mention")
+    .map((r) => {
+      const label = isHomeRepo(r) ? `#${r.number}` : `${r.owner}/${r.repo}#${r.number}`;
+      return {
+        id: `ref_${isHomeRepo(r) ? r.number : label}`,
+        source: r.source === "pr" ? ("pr_body" as const) : ("pr_comment" as const),
+        snippet: r.snippet,
+        note: `#${pr} marks ${label} as "${r.refType}"`
+      };
+    });
+
+  const revertEvidence = Array.from(revertedBy.entries()).flatMap(([n, list]) =>
+    list.map((r) => ({
+      id: r.kind === "pr" ? `revert_${n}_by_${r.number}` : `revert_${n}_${r.sha.slice(0, 12)}`,
+      source: r.kind === "pr" ? ("timeline_event" as const) : ("commit" as const),
+      snippet: `#${n} was reverted by ${describeRevertedBy(r)}`,
+      ...(r.kind === "pr" && r.url ? { url: r.url } : {}),
+      note: `#${n} was backed out and cannot supersede #${pr}`
+    }))
+  );
+
+  const diffEvidence = Array.from(codeOverlap.entries())
+    .filter(([, o]) => o && o.sharedFiles.length > 0)
+    .map(([n, o]) => ({
+      id: `diff_overlap_${n}`,
+      source: "diff" as const,
+      snippet: describeCodeOverlap(o!),
+      note: `Deterministic code overlap between #${pr} and #${n}`
+    }));
+
   const judgeInput = {
     repo: `${owner}/${repo}`,
     target: {
       number: targetPR.number,
       title: targetPR.title ?? "",
       body: targetPR.body ?? "",
+      files: truncateFilesForJudge(prFiles.get(pr) ?? null),
       comments: (targetComments?.all ?? []).map((c: any) => ({
         id: c.id ?? null,
         created_at: c.created_at ?? null,
@@ -356,11 +1057,25 @@ export async function analyzePr(argv: string[], _ctx: CommandContext): Promise<u
         body: c.body ?? ""
       }))
     },
-    candidates: candidates
-      .filter((c) => c.source === "merged_search" || c.source === "graph_duplicate")
-      .slice(0, 50)
-      .map((c) => ({ number: c.number, title: c.title ?? "", url: c.url })),
-    competingOpenPRs
+    candidates: judgeCandidates.map((c) => ({
+      number: c.number,
+      title: c.title ?? "",
+      url: c.url,
+      source: c.source,
+      referenceType: c.refType ?? null,
+      semanticScore: c.semanticScore ?? null,
+      revertedBy: revertedBy.get(c.number) ?? null,
+      codeOverlap: codeOverlap.get(c.number) ?? null,
+      files: truncateFilesForJudge(prFiles.get(c.number) ?? null)
+    })),
+    competingOpenPRs: competingOpenPRs.map((c) => ({
+      ...c,
+      referenceType: targetRefs.get(c.number)?.refType ?? null,
+      codeOverlap: codeOverlap.get(c.number) ?? null,
+      files: truncateFilesForJudge(prFiles.get(c.number) ?? null)
+    })),
+    crossRepoCandidates: crossRepoPRs,
+    evidence: [...referenceEvidence, ...commitEvidence, ...revertEvidence, ...diffEvidence]
   };
 
   let verdict: unknown = null;
@@ -368,32 +1083,23 @@ export async function analyzePr(argv: string[], _ctx: CommandContext): Promise<u
     const { buildJudgeSystemPrompt, buildJudgeUserPrompt, runAnthropicJudge } = await import("../../llm/anthropic_judge.mjs");
 
     const task =
-      "Given this open PR and these candidates, determine if the target PR has been superseded or is a duplicate. Consider: same issue references, overlapping code changes, timeline.";
+      "Given this open PR and these candidates, determine if the target PR has been superseded or is a duplicate. Consider: same issue references, overlapping code changes, timeline. `codeOverlap` is a deterministic diff similarity score; `referenceType` is how the target's own text refers to a candidate (superseded_by, duplicate_of, closes, ...) and an explicit type outweighs a plain mention; `semanticScore` is qmd similarity between the target's text and the candidate's corpus doc; a candidate with `revertedBy` was backed out after merging and cannot supersede anything; the precomputed `evidence` items may be cited by id.";
     const payload = {
       ...judgeInput,
       candidates: [
-        ...judgeInput.candidates.map((c) => ({ ...c, source: "merged_search" })),
-        ...judgeInput.competingOpenPRs.map((c) => ({ ...c }))
+        ...judgeInput.candidates.map((c) => ({ ...c })),
+        ...judgeInput.competingOpenPRs.map((c) => ({ ...c })),
+        ...judgeInput.crossRepoCandidates.map((c) => ({ ...c, source: "graph_cross_repo" }))
       ]
     };
 
     const system = buildJudgeSystemPrompt();
     const user = buildJudgeUserPrompt({ task, payload });
-    verdict = await runAnthropicJudge({ system, user });
+    verdict = demoteRevertedSupersessions(await runAnthropicJudge({ system, user }), revertedBy, `${owner}/${repo}`);
   }
 
-
   return {
-    kind: "analyze-pr",
-    input: {
-      owner,
-      repo,
-      pr,
-      prUrl: parsed.values["pr-url"] ?? null,
-      dryFixturesDir: fixturesDir,
-      useCache
-    },
-    status: "ok",
+    status: "ok" as const,
     target: {
       number: targetPR.number,
       title: targetPR.title ?? null,
@@ -412,13 +1118,35 @@ export async function analyzePr(argv: string[], _ctx: CommandContext): Promise<u
       }
     },
     references: {
-      issues: uniqNumbers(references.map((r) => r.number)).map((n) => ({ owner, repo, number: n }))
+      issues: Array.from(new Map(references.map((r) => [refKey(r), r])).values())
+        .sort((a, b) => Number(isHomeRepo(b)) - Number(isHomeRepo(a)) || `${a.owner}/${a.repo}`.localeCompare(`${b.owner}/${b.repo}`) || a.number - b.number)
+        .map((r) => ({
+          owner: r.owner,
+          repo: r.repo,
+          number: r.number,
+          refType: targetRefsByKey.get(refKey(r))?.refType ?? "mention",
+          region: (targetRefsByKey.get(refKey(r)) ?? r).region
+        }))
     },
     candidates: {
       numbers: candidateNumbers,
       items: candidates
     },
     judgeInput,
+    fileFetches,
+    rerank: {
+      topK: rerankTopK,
+      weights: RERANK_WEIGHTS,
+      items: reranked
+    },
+    semantic,
+    landedPatches,
+    reverts: {
+      prs: Array.from(revertedBy.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([number, by]) => ({ number, revertedBy: by })),
+      gitCommits: revertCommits
+    },
     verdict,
     graph
   };
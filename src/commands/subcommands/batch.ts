@@ -1,7 +1,23 @@
+import path from "node:path";
 import { parseArgs } from "node:util";
 import type { CommandContext } from "../../types/context.js";
+import { classifyVerdict, type VerdictCategory } from "../../analysis/classifyVerdict.js";
+import { clusterDuplicatePRs } from "../../analysis/duplicateClusters.js";
+import { DEFAULT_RERANK_TOP_K } from "../../analysis/rerankCandidates.js";
+import { corpusGraphFingerprint } from "../../corpus/corpusGraph.js";
+import { appendCheckpoint, batchInputKey, readCheckpoint, type BatchCheckpointRecord } from "../../batch/checkpoint.js";
+import {
+  analyzePullRequest,
+  loadCorpusGraph,
+  parseFollowRepos,
+  parseGraphBudgets,
+  parseRerankTopK,
+  parseSemanticOptions,
+  resolveGhRunner,
+  resolveGraphBudgets
+} from "./analyzePr.js";
 
-export async function batch(argv: string[], _ctx: CommandContext): Promise<unknown> {
+export async function batch(argv: string[], ctx: CommandContext): Promise<unknown> {
   const parsed = parseArgs({
     args: argv,
     allowPositionals: false,
@@ -10,6 +26,20 @@ export async function batch(argv: string[], _ctx: CommandContext): Promise<unkno
       repo: { type: "string" },
       limit: { type: "string" },
       state: { type: "string" },
+      output: { type: "string" },
+      resume: { type: "string" },
+      "dry-fixtures": { type: "string" },
+      "no-cache": { type: "boolean" },
+      "graph-depth": { type: "string" },
+      "graph-max-calls": { type: "string" },
+      "follow-repo": { type: "string", multiple: true },
+      "include-ignored-refs": { type: "boolean" },
+      "corpus-dir": { type: "string" },
+      "no-clusters": { type: "boolean" },
+      "no-semantic": { type: "boolean" },
+      "qmd-collection": { type: "string" },
+      "qmd-index": { type: "string" },
+      "top-k": { type: "string" },
       help: { type: "boolean", short: "h" }
     }
   });
@@ -17,8 +47,28 @@ export async function batch(argv: string[], _ctx: CommandContext): Promise<unkno
   if (parsed.values.help) {
     return {
       help: {
-        usage: "pr-sheriff batch --owner OWNER --repo REPO [--state open] [--limit 50]",
-        options: ["--owner", "--repo", "--state", "--limit"]
+        usage:
+          "pr-sheriff batch --owner OWNER --repo REPO [--state open|closed|all] [--limit 50] [--output FILE.ndjson] [--resume FILE.ndjson] [--dry-fixtures DIR] [--no-cache] [--graph-depth 4] [--graph-max-calls 100] [--follow-repo OWNER/REPO ...] [--include-ignored-refs] [--corpus-dir DIR] [--no-clusters] [--no-semantic] [--qmd-collection NAME] [--qmd-index NAME] [--top-k 20]",
+        options: [
+          "--owner",
+          "--repo",
+          "--state",
+          "--limit",
+          "--output",
+          "--resume",
+          "--dry-fixtures",
+          "--no-cache",
+          "--graph-depth",
+          "--graph-max-calls",
+          "--follow-repo",
+          "--include-ignored-refs",
+          "--corpus-dir",
+          "--no-clusters",
+          "--no-semantic",
+          "--qmd-collection",
+          "--qmd-index",
+          "--top-k"
+        ]
       }
     };
   }
@@ -31,11 +81,137 @@ export async function batch(argv: string[], _ctx: CommandContext): Promise<unkno
 
   const limitRaw = parsed.values.limit ?? "50";
   const limit = Number(limitRaw);
-  if (!Number.isFinite(limit) || limit <= 0) {
+  if (!Number.isInteger(limit) || limit <= 0) {
     throw new Error(`Invalid --limit value: ${limitRaw}`);
   }
 
   const state = parsed.values.state ?? "open";
+  if (state !== "open" && state !== "closed" && state !== "all") {
+    throw new Error(`Invalid --state value: ${state}`);
+  }
+
+  const graphBudgets = parseGraphBudgets(parsed.values);
+  const resolvedBudgets = resolveGraphBudgets(graphBudgets);
+  const followRepos = parseFollowRepos(parsed.values, ctx.config);
+  const includeIgnoredRegions = Boolean(parsed.values["include-ignored-refs"]);
+
+  const fixturesDir = parsed.values["dry-fixtures"] ?? null;
+  const useCache = parsed.values["no-cache"] ? false : !fixturesDir;
+  const ghRunner = await resolveGhRunner(ctx.config, fixturesDir);
+  const semantic = parseSemanticOptions(parsed.values, ctx.config, fixturesDir);
+  const rerankTopK = parseRerankTopK(parsed.values);
+
+  // One `GitHubFetch` + classification cache for the whole run, so PRs that share
+  // issues/PRs in their reference graphs don't re-fetch them.
+  const { GitHubFetch } = await import("../../github/index.mjs");
+  const gh = new GitHubFetch({ repo: `${owner}/${repo}`, ghRunner });
+  const kindCache = new Map<string, "issue" | "pr" | "unknown">();
+  // Updated once per run; every PR found in the corpus then gets its graph without API calls.
+  const corpus = await loadCorpusGraph(parsed.values, owner, repo);
+
+  // `--resume FILE` skips PRs already completed with the same inputs and keeps appending
+  // to FILE unless `--output` points somewhere else.
+  const resumePath = parsed.values.resume ?? null;
+  const outputPath = parsed.values.output ?? resumePath;
+  const checkpoint = resumePath ? await readCheckpoint(resumePath) : new Map<number, BatchCheckpointRecord>();
+  const judge = {
+    enabled: Boolean(process.env.PR_SHERIFF_ANTHROPIC_API_KEY),
+    model: process.env.PR_SHERIFF_MODEL ?? null
+  };
+  // Resolved options that change a PR's analysis: a checkpoint line computed with different
+  // ones is re-analyzed rather than resumed.
+  const analysisOptions: Record<string, unknown> = {
+    graphBudgets: resolvedBudgets,
+    // Repo names are case-insensitive and the allowlist is unordered.
+    followRepos: followRepos.map((r) => r.toLowerCase()).sort(),
+    includeIgnoredRegions,
+    // Which corpus, and what it says: re-indexed docs change the offline graphs.
+    corpus: corpus ? { corpusDir: path.resolve(corpus.input.corpusDir), graph: corpusGraphFingerprint(corpus.corpusGraph) } : null,
+    semantic: semantic
+      ? { ...semantic.config, corpusDir: semantic.config.corpusDir ? path.resolve(semantic.config.corpusDir) : null, n: semantic.n ?? 20 }
+      : null,
+    rerankTopK: rerankTopK ?? DEFAULT_RERANK_TOP_K
+  };
+
+  const prs: any[] = await gh.listPRs({ state, limit, useCache });
+
+  const counts: Record<VerdictCategory, number> = { superseded: 0, related: 0, no_action: 0, not_judged: 0 };
+  let errors = 0;
+  let resumed = 0;
+  const results: BatchCheckpointRecord[] = [];
+
+  for (const item of prs) {
+    if (!item || typeof item.number !== "number") continue;
+
+    const inputKey = batchInputKey({ owner, repo, number: item.number, updatedAt: item.updated_at ?? null, judge, options: analysisOptions });
+    const previous = checkpoint.get(item.number);
+    if (previous && previous.status === "ok" && previous.inputKey === inputKey) {
+      resumed += 1;
+      counts[classifyVerdict((previous.analysis as any)?.verdict).category] += 1;
+      results.push(previous);
+      continue;
+    }
+
+    let record: BatchCheckpointRecord;
+    try {
+      const analysis = await analyzePullRequest({
+        gh,
+        owner,
+        repo,
+        pr: item.number,
+        useCache,
+        kindCache,
+        graphBudgets,
+        followRepos,
+        includeIgnoredRegions,
+        corpusGraph: corpus?.corpusGraph,
+        semantic,
+        rerankTopK
+      });
+      const verdict = classifyVerdict(analysis.verdict);
+      counts[verdict.category] += 1;
+      record = {
+        kind: "batch_result",
+        number: item.number,
+        inputKey,
+        status: "ok",
+        finishedAt: new Date().toISOString(),
+        title: analysis.target.title,
+        url: analysis.target.url,
+        verdict,
+        analysis
+      };
+    } catch (err) {
+      // A single GitHub/Anthropic failure should not throw away the rest of the run.
+      errors += 1;
+      record = {
+        kind: "batch_result",
+        number: item.number,
+        inputKey,
+        status: "error",
+        finishedAt: new Date().toISOString(),
+        title: item.title ?? null,
+        url: item.html_url ?? null,
+        error: { message: err instanceof Error ? err.message : String(err) }
+      };
+    }
+
+    if (outputPath) await appendCheckpoint(outputPath, record);
+    results.push(record);
+  }
+
+  // Duplicate clusters across the whole run (resumed PRs included), each with a keeper. The
+  // review/CI lookups for keepers share the per-PR `--graph-max-calls` budget.
+  const clustering = parsed.values["no-clusters"]
+    ? null
+    : await clusterDuplicatePRs({
+        analyses: results.filter((r) => r.status === "ok").map((r) => ({ number: r.number, analysis: r.analysis })),
+        repo: `${owner}/${repo}`,
+        gh,
+        useCache,
+        maxApiCalls: resolvedBudgets.maxApiCalls
+      });
+  const clusters = clustering?.clusters ?? null;
 
   return {
     kind: "batch",
@@ -43,9 +219,28 @@ export async function batch(argv: string[], _ctx: CommandContext): Promise<unkno
       owner,
       repo,
       state,
-      limit
+      limit,
+      output: outputPath,
+      resume: resumePath,
+      dryFixturesDir: fixturesDir,
+      useCache,
+      graphBudgets,
+      followRepos,
+      includeIgnoredRegions,
+      corpus: corpus?.input ?? null,
+      semantic: semantic ? semantic.config : null,
+      rerankTopK: rerankTopK ?? null
     },
-    status: "not_implemented"
+    status: "ok",
+    summary: {
+      total: results.length,
+      ...counts,
+      errors,
+      resumed,
+      clusters: clusters?.length ?? null
+    },
+    clusters,
+    clusterStats: clustering?.stats ?? null,
+    results
   };
 }
-
@@ -1,7 +1,72 @@
 import { parseArgs } from "node:util";
 
 import type { CommandContext } from "../../types/context.js";
-import { retrieveCandidates } from "../../candidates/retrieveCandidates.js";
+import { retrieveCandidates, type CandidateFilters } from "../../candidates/retrieveCandidates.js";
+import { retrieveCandidatesForPullRequest } from "../../candidates/retrieveForPullRequest.js";
+import { resolveGhRunner } from "./analyzePr.js";
+
+function parseBoundDate(flag: string, raw: string | undefined): string | undefined {
+  if (raw === undefined) return undefined;
+  if (!Number.isFinite(Date.parse(raw))) throw new Error(`Invalid ${flag} value: ${raw} (expected YYYY-MM-DD or ISO8601)`);
+  return raw;
+}
+
+/**
+ * Read the frontmatter filter flags. `--exclude-number` is repeatable and also takes
+ * comma-separated lists; `--labels` is comma-separated.
+ */
+export function parseCandidateFilters(values: {
+  "doc-type"?: string;
+  state?: string;
+  merged?: string;
+  "merged-after"?: string;
+  "merged-before"?: string;
+  labels?: string;
+  "exclude-number"?: string[];
+}): CandidateFilters {
+  const filters: CandidateFilters = {};
+
+  const docType = values["doc-type"];
+  if (docType !== undefined) {
+    const normalized = docType === "pull" || docType === "pr" ? "github_pull" : docType === "issue" ? "github_issue" : docType;
+    if (normalized !== "github_pull" && normalized !== "github_issue") {
+      throw new Error(`Invalid --doc-type value: ${docType} (expected pull|issue)`);
+    }
+    filters.docType = normalized;
+  }
+
+  if (values.state !== undefined) {
+    if (values.state !== "open" && values.state !== "closed") throw new Error(`Invalid --state value: ${values.state}`);
+    filters.state = values.state;
+  }
+
+  if (values.merged !== undefined) {
+    if (values.merged !== "true" && values.merged !== "false") throw new Error(`Invalid --merged value: ${values.merged} (expected true|false)`);
+    filters.merged = values.merged === "true";
+  }
+
+  filters.mergedAfter = parseBoundDate("--merged-after", values["merged-after"]);
+  filters.mergedBefore = parseBoundDate("--merged-before", values["merged-before"]);
+
+  if (values.labels !== undefined) {
+    filters.labels = values.labels
+      .split(",")
+      .map((l) => l.trim())
+      .filter(Boolean);
+  }
+
+  if (values["exclude-number"]?.length) {
+    filters.excludeNumbers = values["exclude-number"].flatMap((raw) =>
+      raw.split(",").map((part) => {
+        const n = Number(part.trim());
+        if (!Number.isInteger(n) || n <= 0) throw new Error(`Invalid --exclude-number value: ${raw}`);
+        return n;
+      })
+    );
+  }
+
+  return filters;
+}
 
 export async function candidates(argv: string[], ctx: CommandContext): Promise<unknown> {
   const parsed = parseArgs({
@@ -9,9 +74,22 @@ export async function candidates(argv: string[], ctx: CommandContext): Promise<u
     allowPositionals: false,
     options: {
       summary: { type: "string" },
+      owner: { type: "string" },
+      repo: { type: "string" },
+      pr: { type: "string" },
+      "dry-fixtures": { type: "string" },
+      "no-cache": { type: "boolean" },
       n: { type: "string" },
       "qmd-collection": { type: "string" },
       "qmd-index": { type: "string" },
+      "corpus-dir": { type: "string" },
+      "doc-type": { type: "string" },
+      state: { type: "string" },
+      merged: { type: "string" },
+      "merged-after": { type: "string" },
+      "merged-before": { type: "string" },
+      labels: { type: "string" },
+      "exclude-number": { type: "string", multiple: true },
       help: { type: "boolean", short: "h" }
     }
   });
@@ -19,31 +97,80 @@ export async function candidates(argv: string[], ctx: CommandContext): Promise<u
   if (parsed.values.help) {
     return {
       help: {
-        usage: "pr-sheriff candidates --summary TEXT [--n N] [--qmd-collection NAME] [--qmd-index NAME]",
-        options: ["--summary", "--n", "--qmd-collection", "--qmd-index"]
+        usage:
+          "pr-sheriff candidates (--summary TEXT | --owner OWNER --repo REPO --pr NUMBER [--dry-fixtures DIR] [--no-cache]) [--n N] [--qmd-collection NAME] [--qmd-index NAME] [--corpus-dir DIR] [--doc-type pull|issue] [--state open|closed] [--merged true|false] [--merged-after DATE] [--merged-before DATE] [--labels A,B] [--exclude-number N ...]",
+        options: [
+          "--summary",
+          "--owner",
+          "--repo",
+          "--pr",
+          "--dry-fixtures",
+          "--no-cache",
+          "--n",
+          "--qmd-collection",
+          "--qmd-index",
+          "--corpus-dir",
+          "--doc-type",
+          "--state",
+          "--merged",
+          "--merged-after",
+          "--merged-before",
+          "--labels",
+          "--exclude-number"
+        ]
       }
     };
   }
 
   const summary = parsed.values.summary;
-  if (!summary) throw new Error("Missing required option: --summary");
+  const { owner, repo, pr: prRaw } = parsed.values;
+  if (summary && (owner || repo || prRaw)) throw new Error("Use either --summary or --owner/--repo/--pr, not both");
+  if (!summary && !(owner && repo && prRaw)) throw new Error("Missing required options: --summary, or --owner, --repo, --pr");
 
   const nRaw = parsed.values.n ?? "10";
   const n = Number(nRaw);
-  if (!Number.isFinite(n) || n <= 0) throw new Error(`Invalid --n value: ${nRaw}`);
+  if (!Number.isInteger(n) || n <= 0) throw new Error(`Invalid --n value: ${nRaw}`);
 
   const qmdCollection = parsed.values["qmd-collection"] ?? ctx.config.qmdCollection;
   const qmdIndex = parsed.values["qmd-index"] ?? ctx.config.qmdIndex;
+  const corpusDir = parsed.values["corpus-dir"] ?? ctx.config.corpusDir;
+  const filters = parseCandidateFilters(parsed.values);
+
+  if (!summary) {
+    const pr = Number(prRaw);
+    if (!Number.isInteger(pr) || pr <= 0) throw new Error(`Invalid --pr value: ${prRaw}`);
+    const fixturesDir = parsed.values["dry-fixtures"] ?? null;
+    const useCache = parsed.values["no-cache"] ? false : !fixturesDir;
+    const { GitHubFetch } = await import("../../github/index.mjs");
+    const gh = new GitHubFetch({ repo: `${owner}/${repo}`, ghRunner: await resolveGhRunner(ctx.config, fixturesDir) });
+
+    const res = await retrieveCandidatesForPullRequest({
+      gh,
+      owner: owner!,
+      repo: repo!,
+      pr,
+      n,
+      config: { qmdCollection, qmdIndex, corpusDir },
+      filters,
+      useCache
+    });
+    return {
+      kind: "candidates",
+      input: { owner, repo, pr, n, qmdCollection, qmdIndex: qmdIndex ?? null, corpusDir: corpusDir ?? null, dryFixturesDir: fixturesDir, useCache, filters },
+      ...res
+    };
+  }
 
   const res = await retrieveCandidates({
     summary,
     n,
-    config: { qmdCollection, qmdIndex }
+    config: { qmdCollection, qmdIndex, corpusDir },
+    filters
   });
 
   return {
     kind: "candidates",
-    input: { summary, n, qmdCollection, qmdIndex: qmdIndex ?? null },
+    input: { summary, n, qmdCollection, qmdIndex: qmdIndex ?? null, corpusDir: corpusDir ?? null, filters },
     ...res
   };
 }
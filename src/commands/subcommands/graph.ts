@@ -0,0 +1,130 @@
+import { parseArgs } from "node:util";
+import fs from "node:fs/promises";
+import path from "node:path";
+import type { CommandContext } from "../../types/context.js";
+import { renderGraph, type GraphFormat, type ReferenceGraph } from "../../report/renderGraph.js";
+import { corpusSubgraph } from "../../corpus/corpusGraph.js";
+import { loadCorpusGraph, parseFollowRepos, parseGraphBudgets, resolveGhRunner } from "./analyzePr.js";
+
+function isGraph(value: any): value is ReferenceGraph {
+  return Boolean(value && typeof value === "object" && typeof value.rootId === "string" && value.nodes && Array.isArray(value.edges));
+}
+
+/**
+ * Find the reference graph in a saved file: a CLI envelope (`analyze-pr` stdout), an
+ * analyze-pr result, a batch checkpoint line (`{analysis: {graph}}`), or a bare graph.
+ */
+export function extractGraph(value: any): ReferenceGraph {
+  for (const candidate of [value, value?.graph, value?.result?.graph, value?.analysis?.graph]) {
+    if (isGraph(candidate)) return candidate;
+  }
+  throw new Error("Input has no reference graph (expected analyze-pr output or a {rootId, nodes, edges} object)");
+}
+
+export async function graph(argv: string[], ctx: CommandContext): Promise<unknown> {
+  const parsed = parseArgs({
+    args: argv,
+    allowPositionals: false,
+    options: {
+      input: { type: "string" },
+      owner: { type: "string" },
+      repo: { type: "string" },
+      pr: { type: "string" },
+      format: { type: "string" },
+      output: { type: "string" },
+      "dry-fixtures": { type: "string" },
+      "graph-depth": { type: "string" },
+      "graph-max-calls": { type: "string" },
+      "follow-repo": { type: "string", multiple: true },
+      "corpus-dir": { type: "string" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+
+  if (parsed.values.help) {
+    return {
+      help: {
+        usage:
+          "pr-sheriff graph (--input PATH | --owner OWNER --repo REPO --pr NUMBER [--dry-fixtures DIR] [--graph-depth 4] [--graph-max-calls 100] [--follow-repo OWNER/REPO ...] [--corpus-dir DIR]) [--format mermaid|dot|graphml] [--output PATH]",
+        options: [
+          "--input",
+          "--owner",
+          "--repo",
+          "--pr",
+          "--format",
+          "--output",
+          "--dry-fixtures",
+          "--graph-depth",
+          "--graph-max-calls",
+          "--follow-repo",
+          "--corpus-dir"
+        ]
+      }
+    };
+  }
+
+  const format = parsed.values.format ?? "mermaid";
+  if (format !== "mermaid" && format !== "dot" && format !== "graphml") {
+    throw new Error(`Invalid --format value: ${format}`);
+  }
+
+  const input = parsed.values.input ?? null;
+  const { owner, repo, pr: prRaw } = parsed.values;
+  let refGraph: ReferenceGraph;
+  let source: Record<string, unknown>;
+  if (input) {
+    if (owner || repo || prRaw) throw new Error("Use either --input or --owner/--repo/--pr, not both");
+    refGraph = extractGraph(JSON.parse(await fs.readFile(input, "utf8")));
+    source = { input };
+  } else {
+    if (!owner || !repo || !prRaw) throw new Error("Missing required options: --input, or --owner, --repo, --pr");
+    const pr = Number(prRaw);
+    if (!Number.isInteger(pr) || pr <= 0) throw new Error(`Invalid --pr value: ${prRaw}`);
+
+    const graphBudgets = parseGraphBudgets(parsed.values);
+    // The corpus graph only covers the corpus repo, and this path never calls GitHub.
+    if (parsed.values["corpus-dir"] && parsed.values["follow-repo"]?.length) {
+      throw new Error("--follow-repo cannot be combined with --corpus-dir (the corpus graph covers one repo)");
+    }
+    const corpus = await loadCorpusGraph(parsed.values, owner, repo);
+    if (corpus) {
+      // Offline: cut the PR's graph out of the corpus graph; no GitHub access at all.
+      const sub = corpusSubgraph(corpus.corpusGraph, pr, graphBudgets);
+      if (!sub.stats.inCorpus) throw new Error(`PR #${pr} is not in the corpus at ${corpus.input.corpusDir}`);
+      refGraph = sub;
+      source = { owner, repo, pr, graphBudgets, corpus: corpus.input };
+    } else {
+      const fixturesDir = parsed.values["dry-fixtures"] ?? null;
+      const ghRunner = await resolveGhRunner(ctx.config, fixturesDir);
+      const { GitHubFetch } = await import("../../github/index.mjs");
+      const { buildReferenceGraph } = await import("../../graph/index.mjs");
+      const followRepos = parseFollowRepos(parsed.values, ctx.config);
+      refGraph = await buildReferenceGraph({
+        gh: new GitHubFetch({ repo: `${owner}/${repo}`, ghRunner }),
+        owner,
+        repo,
+        prNumber: pr,
+        budgets: graphBudgets,
+        followRepos
+      });
+      source = { owner, repo, pr, dryFixturesDir: fixturesDir, graphBudgets, followRepos };
+    }
+  }
+
+  // Stdout stays JSON-only; the rendered graph is returned as a string and optionally written to `--output`.
+  const output = parsed.values.output ?? null;
+  const content = renderGraph(refGraph, format as GraphFormat);
+  if (output) {
+    await fs.mkdir(path.dirname(output), { recursive: true });
+    await fs.writeFile(output, content, "utf8");
+  }
+
+  return {
+    kind: "graph",
+    input: { ...source, format, output },
+    status: "ok",
+    rootId: refGraph.rootId,
+    counts: { nodes: Object.keys(refGraph.nodes).length, edges: refGraph.edges.length },
+    content
+  };
+}
@@ -1,13 +1,45 @@
 import { parseArgs } from "node:util";
 import type { CommandContext } from "../../types/context.js";
+import { indexCorpus } from "../../corpus/indexCorpus.js";
+import { resolveGhRunner } from "./analyzePr.js";
 
-export async function index(argv: string[], _ctx: CommandContext): Promise<unknown> {
+function parseCount(flag: string, raw: string | undefined, fallback: number): number {
+  if (raw === undefined) return fallback;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`Invalid ${flag} value: ${raw} (expected a non-negative integer)`);
+  return n;
+}
+
+/** `--types pr,issue` (also `pull`/`pulls`/`issues`). */
+function parseTypes(raw: string | undefined): { pulls: boolean; issues: boolean } {
+  if (raw === undefined) return { pulls: true, issues: true };
+  const parts = raw.split(",").map((s) => s.trim()).filter(Boolean);
+  for (const p of parts) {
+    if (!["pr", "pull", "pulls", "issue", "issues"].includes(p)) throw new Error(`Invalid --types value: ${raw} (expected pr,issue)`);
+  }
+  const types = { pulls: parts.some((p) => p.startsWith("pr") || p.startsWith("pull")), issues: parts.some((p) => p.startsWith("issue")) };
+  if (!types.pulls && !types.issues) throw new Error("--types must include at least one of: pr, issue");
+  return types;
+}
+
+export async function index(argv: string[], ctx: CommandContext): Promise<unknown> {
   const parsed = parseArgs({
     args: argv,
     allowPositionals: false,
     options: {
-      input: { type: "string" },
-      output: { type: "string" },
+      repo: { type: "string" },
+      "corpus-dir": { type: "string" },
+      since: { type: "string" },
+      types: { type: "string" },
+      limit: { type: "string" },
+      "max-comments": { type: "string" },
+      "max-reviews": { type: "string" },
+      "qmd-collection": { type: "string" },
+      "qmd-index": { type: "string" },
+      "no-qmd": { type: "boolean" },
+      "dry-run": { type: "boolean" },
+      "dry-fixtures": { type: "string" },
+      "no-cache": { type: "boolean" },
       help: { type: "boolean", short: "h" }
     }
   });
@@ -15,19 +47,82 @@ export async function index(argv: string[], _ctx: CommandContext): Promise<unkno
   if (parsed.values.help) {
     return {
       help: {
-        usage: "pr-sheriff index --input PATH [--output PATH]",
-        options: ["--input", "--output"]
+        usage:
+          "pr-sheriff index --repo OWNER/NAME [--corpus-dir DIR] [--since ISO8601] [--types pr,issue] [--limit N] [--max-comments 200] [--max-reviews 200] [--qmd-collection NAME] [--qmd-index NAME] [--no-qmd] [--dry-run] [--dry-fixtures DIR] [--no-cache]",
+        options: [
+          "--repo",
+          "--corpus-dir",
+          "--since",
+          "--types",
+          "--limit",
+          "--max-comments",
+          "--max-reviews",
+          "--qmd-collection",
+          "--qmd-index",
+          "--no-qmd",
+          "--dry-run",
+          "--dry-fixtures",
+          "--no-cache"
+        ]
       }
     };
   }
 
-  const input = parsed.values.input;
-  if (!input) throw new Error("Missing required option: --input");
+  const repo = parsed.values.repo;
+  if (!repo) throw new Error("Missing required option: --repo");
+  if (!/^[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+$/.test(repo)) throw new Error(`Invalid --repo value: ${repo} (expected owner/name)`);
+
+  const sinceRaw = parsed.values.since;
+  const sinceMs = sinceRaw === undefined ? NaN : Date.parse(sinceRaw);
+  if (sinceRaw !== undefined && !Number.isFinite(sinceMs)) throw new Error(`Invalid --since value: ${sinceRaw} (expected ISO8601)`);
+  // GitHub timestamps are second-precision UTC; normalize so string comparisons hold.
+  const since = sinceRaw === undefined ? undefined : new Date(sinceMs).toISOString().replace(/\.\d{3}Z$/, "Z");
+
+  const types = parseTypes(parsed.values.types);
+  const limit = parseCount("--limit", parsed.values.limit, 0);
+  const maxComments = parseCount("--max-comments", parsed.values["max-comments"], 200);
+  const maxReviews = parseCount("--max-reviews", parsed.values["max-reviews"], 200);
+  const corpusDir = parsed.values["corpus-dir"] ?? ctx.config.corpusDir ?? "docs/corpus";
+  const qmdCollection = parsed.values["qmd-collection"] ?? ctx.config.qmdCollection;
+  const qmdIndex = parsed.values["qmd-index"] ?? ctx.config.qmdIndex;
+  const dryRun = Boolean(parsed.values["dry-run"]);
+
+  const fixturesDir = parsed.values["dry-fixtures"] ?? null;
+  const useCache = parsed.values["no-cache"] ? false : !fixturesDir;
+  const { GitHubFetch } = await import("../../github/index.mjs");
+  const gh = new GitHubFetch({ repo, ghRunner: await resolveGhRunner(ctx.config, fixturesDir) });
+
+  const res = await indexCorpus({
+    gh,
+    repo,
+    corpusDir,
+    since,
+    types,
+    limit,
+    maxComments,
+    maxReviews,
+    dryRun,
+    useCache,
+    qmd: parsed.values["no-qmd"] ? null : { config: { qmdCollection, qmdIndex } }
+  });
 
   return {
     kind: "index",
-    input: { input, output: parsed.values.output ?? null },
-    status: "not_implemented"
+    input: {
+      repo,
+      corpusDir,
+      since: since ?? null,
+      types,
+      limit,
+      maxComments,
+      maxReviews,
+      qmdCollection,
+      qmdIndex: qmdIndex ?? null,
+      qmd: !parsed.values["no-qmd"],
+      dryRun,
+      dryFixturesDir: fixturesDir,
+      useCache
+    },
+    ...res
   };
 }
-
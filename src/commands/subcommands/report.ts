@@ -1,13 +1,21 @@
 import { parseArgs } from "node:util";
+import fs from "node:fs/promises";
+import path from "node:path";
 import type { CommandContext } from "../../types/context.js";
+import { buildReport, loadReportInput } from "../../report/reportModel.js";
+import { publishPagedrop } from "../../report/publishPagedrop.js";
+import { renderHtml } from "../../report/renderHtml.js";
+import { renderMarkdown } from "../../report/renderMarkdown.js";
 
-export async function report(argv: string[], _ctx: CommandContext): Promise<unknown> {
+export async function report(argv: string[], ctx: CommandContext): Promise<unknown> {
   const parsed = parseArgs({
     args: argv,
     allowPositionals: false,
     options: {
       input: { type: "string" },
       format: { type: "string" },
+      output: { type: "string" },
+      publish: { type: "boolean" },
       help: { type: "boolean", short: "h" }
     }
   });
@@ -15,8 +23,8 @@ export async function report(argv: string[], _ctx: CommandContext): Promise<unkn
   if (parsed.values.help) {
     return {
       help: {
-        usage: "pr-sheriff report --input PATH [--format json|md]",
-        options: ["--input", "--format"]
+        usage: "pr-sheriff report --input PATH [--format json|md|html] [--output PATH] [--publish]",
+        options: ["--input", "--format", "--output", "--publish"]
       }
     };
   }
@@ -25,14 +33,43 @@ export async function report(argv: string[], _ctx: CommandContext): Promise<unkn
   if (!input) throw new Error("Missing required option: --input");
 
   const format = parsed.values.format ?? "json";
-  if (format !== "json" && format !== "md") {
+  if (format !== "json" && format !== "md" && format !== "html") {
     throw new Error(`Invalid --format value: ${format}`);
   }
 
+  const output = parsed.values.output ?? null;
+  const publish = parsed.values.publish ?? false;
+  if (publish && format === "json") {
+    throw new Error("--publish requires --format md or --format html");
+  }
+
+  const model = buildReport(await loadReportInput(input));
+
+  // Stdout stays JSON-only; rendered documents are returned as a string and
+  // optionally written to `--output`.
+  const content =
+    format === "md" ? renderMarkdown(model) : format === "html" ? renderHtml(model) : `${JSON.stringify(model, null, 2)}\n`;
+  if (output) {
+    await fs.mkdir(path.dirname(output), { recursive: true });
+    await fs.writeFile(output, content, "utf8");
+  }
+
+  const published =
+    publish && format !== "json"
+      ? await publishPagedrop({
+          content,
+          format,
+          filename: output ? path.basename(output) : `pr-sheriff-report.${format}`,
+          config: ctx.config
+        })
+      : null;
+
   return {
     kind: "report",
-    input: { input, format },
-    status: "not_implemented"
+    input: { input, format, output, publish },
+    status: "ok",
+    totals: model.totals,
+    published,
+    ...(format === "json" ? { report: model } : { content })
   };
 }
-
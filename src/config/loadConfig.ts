@@ -1,5 +1,5 @@
 import fs from "node:fs/promises";
-import type { AppConfig, LogLevel } from "./types.js";
+import type { AppConfig, GitHubTransport, LogLevel } from "./types.js";
 import { findDefaultConfigPath } from "./paths.js";
 
 export type ConfigMeta = {
@@ -14,6 +14,12 @@ function parseLogLevel(value: string | undefined): LogLevel | undefined {
   return undefined;
 }
 
+function parseGitHubTransport(value: string | undefined): GitHubTransport | undefined {
+  if (!value) return undefined;
+  if (value === "auto" || value === "gh" || value === "http") return value;
+  return undefined;
+}
+
 function env(name: string): string | undefined {
   const v = process.env[name];
   return v && v.length > 0 ? v : undefined;
@@ -22,7 +28,9 @@ function env(name: string): string | undefined {
 function getDefaults(): AppConfig {
   return {
     githubApiUrl: "https://api.github.com",
+    githubTransport: "auto",
     qmdCollection: "pr-sheriff-corpus",
+    corpusDir: "docs/corpus",
     logLevel: "info"
   };
 }
@@ -71,6 +79,11 @@ export async function loadConfig(opts: { configPath?: string }): Promise<{ confi
     envConfig.githubToken = githubToken;
     meta.loadedFromEnv.push("PR_SHERIFF_GITHUB_TOKEN");
   }
+  const githubTransport = parseGitHubTransport(env("PR_SHERIFF_GITHUB_TRANSPORT"));
+  if (githubTransport) {
+    envConfig.githubTransport = githubTransport;
+    meta.loadedFromEnv.push("PR_SHERIFF_GITHUB_TRANSPORT");
+  }
   const openaiApiKey = env("PR_SHERIFF_OPENAI_API_KEY");
   if (openaiApiKey) {
     envConfig.openaiApiKey = openaiApiKey;
@@ -91,6 +104,26 @@ export async function loadConfig(opts: { configPath?: string }): Promise<{ confi
     envConfig.qmdIndex = qmdIndex;
     meta.loadedFromEnv.push("PR_SHERIFF_QMD_INDEX");
   }
+  const corpusDir = env("PR_SHERIFF_CORPUS_DIR");
+  if (corpusDir) {
+    envConfig.corpusDir = corpusDir;
+    meta.loadedFromEnv.push("PR_SHERIFF_CORPUS_DIR");
+  }
+  const pagedropUrl = env("PR_SHERIFF_PAGEDROP_URL");
+  if (pagedropUrl) {
+    envConfig.pagedropUrl = pagedropUrl;
+    meta.loadedFromEnv.push("PR_SHERIFF_PAGEDROP_URL");
+  }
+  const pagedropToken = env("PR_SHERIFF_PAGEDROP_TOKEN");
+  if (pagedropToken) {
+    envConfig.pagedropToken = pagedropToken;
+    meta.loadedFromEnv.push("PR_SHERIFF_PAGEDROP_TOKEN");
+  }
+  const followRepos = env("PR_SHERIFF_FOLLOW_REPOS");
+  if (followRepos) {
+    envConfig.followRepos = followRepos.split(",").map((s) => s.trim()).filter(Boolean);
+    meta.loadedFromEnv.push("PR_SHERIFF_FOLLOW_REPOS");
+  }
   const logLevel = parseLogLevel(env("PR_SHERIFF_LOG_LEVEL"));
   if (logLevel) {
     envConfig.logLevel = logLevel;
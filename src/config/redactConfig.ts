@@ -7,7 +7,8 @@ export function redactConfig(config: AppConfig): AppConfig {
   return {
     ...config,
     githubToken: config.githubToken ? "[REDACTED]" : undefined,
-    openaiApiKey: config.openaiApiKey ? "[REDACTED]" : undefined
+    openaiApiKey: config.openaiApiKey ? "[REDACTED]" : undefined,
+    pagedropToken: config.pagedropToken ? "[REDACTED]" : undefined
   };
 }
 
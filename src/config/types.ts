@@ -1,8 +1,17 @@
 export type LogLevel = "silent" | "info" | "debug";
 
+/**
+ * How GitHub API calls are made:
+ * - "gh": shell out to the `gh` CLI (uses its auth)
+ * - "http": call `githubApiUrl` directly with `fetch` + `githubToken`
+ * - "auto": "http" when `githubToken` is set, otherwise "gh"
+ */
+export type GitHubTransport = "auto" | "gh" | "http";
+
 export type AppConfig = {
   githubApiUrl: string;
   githubToken?: string;
+  githubTransport?: GitHubTransport;
   openaiApiKey?: string;
   model?: string;
   /**
@@ -13,5 +22,20 @@ export type AppConfig = {
    * Optional qmd index name (passed as: qmd --index <name> ...).
    */
   qmdIndex?: string;
+  /**
+   * Local corpus root the qmd collection indexes. Candidate retrieval reads hit frontmatter
+   * from an index built over it, falling back to `qmd get` when it isn't available.
+   */
+  corpusDir?: string;
+  /**
+   * Upload endpoint used by `report --publish` (see README "Publishing reports").
+   */
+  pagedropUrl?: string;
+  pagedropToken?: string;
+  /**
+   * Other "owner/repo"s the reference graph may follow (e.g. a plugin repo that closes
+   * issues in the main one). The analyzed repo is always followed.
+   */
+  followRepos?: string[];
   logLevel: LogLevel;
 };
@@ -0,0 +1,333 @@
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseCorpusFrontmatter } from "../candidates/parseFrontmatter.js";
+import { DEFAULT_GRAPH_BUDGETS, detectRevert, extractTypedReferencesFromPRAndComments } from "../graph/index.mjs";
+
+export const CORPUS_GRAPH_SCHEMA = "pr_sheriff_corpus_graph_v1";
+
+export type CorpusGraphNode = {
+  id: string;
+  type: "pr" | "issue";
+  owner: string;
+  repo: string;
+  number: number;
+  title: string | null;
+  url: string | null;
+  state: string | null;
+  mergedAt: string | null;
+  closedAt: string | null;
+  updatedAt: string | null;
+};
+
+export type CorpusGraphEdge = {
+  from: string;
+  to: string;
+  type: "references" | "closed_by" | "cross_referenced_by" | "reverted_by";
+  refType?: string;
+  /** Derived from a closing keyword in a merged PR rather than an actual GitHub "closed" event. */
+  inferred?: true;
+};
+
+type CorpusRef = { owner: string; repo: string; number: number; type: string };
+
+/**
+ * One corpus document's contribution; reused as long as the file's mtime and size are unchanged.
+ * A doc that isn't a corpus PR/issue doc is kept with a null `node`, so it isn't re-read every run.
+ */
+type CorpusDocEntry = {
+  mtimeMs: number;
+  size: number;
+  node: CorpusGraphNode | null;
+  refs: CorpusRef[];
+  /** Same-repo PRs this PR reverts (by reference or `Revert "<title>"`), resolved when edges are derived. */
+  reverts: { numbers: number[]; title: string | null } | null;
+};
+
+export type CorpusGraph = {
+  schema: typeof CORPUS_GRAPH_SCHEMA;
+  repo: string;
+  corpusDir: string;
+  updatedAt: string;
+  /** Keyed by path relative to `<corpusDir>/<owner>/<repo>`, e.g. "pull/12.md". */
+  docs: Record<string, CorpusDocEntry>;
+  nodes: Record<string, CorpusGraphNode>;
+  edges: CorpusGraphEdge[];
+  /** References to numbers with no corpus doc (other repos, or not ingested yet). */
+  unresolved: number;
+};
+
+export type CorpusGraphUpdate = { scanned: number; parsed: number; reused: number; removed: number };
+
+const nodeId = (type: "pr" | "issue", owner: string, repo: string, number: number) => `${type}:${owner}/${repo}#${number}`;
+
+export function defaultCorpusGraphPath(repo: string): string {
+  return path.join(".cache", "pr-sheriff", "corpus-graph", `${repo}.json`);
+}
+
+/**
+ * Split a corpus doc (see docs/corpus/FORMAT.md) into its body and timeline entries, so
+ * references are extracted per comment like `buildReferenceGraph` does.
+ */
+export function splitCorpusDoc(markdown: string): { body: string; comments: string[] } {
+  const text = markdown.replace(/^---\n[\s\S]*?\n---\n/, "");
+  const bodyStart = text.indexOf("\n## Body\n");
+  const timelineStart = text.indexOf("\n## Timeline\n", bodyStart < 0 ? 0 : bodyStart);
+  const body = text.slice(bodyStart < 0 ? 0 : bodyStart + "\n## Body\n".length, timelineStart < 0 ? undefined : timelineStart);
+  const comments =
+    timelineStart < 0
+      ? []
+      : text
+          .slice(timelineStart + "\n## Timeline\n".length)
+          .split(/^### \S+ \([^)\n]*\) @\S*[ \t]*$/m)
+          .slice(1);
+  const clean = (s: string) => (s.trim() === "(no body)" ? "" : s.trim());
+  return { body: clean(body), comments: comments.map(clean).filter(Boolean) };
+}
+
+function parseDoc(markdown: string, owner: string, repo: string): Omit<CorpusDocEntry, "mtimeMs" | "size"> | null {
+  const fm = parseCorpusFrontmatter(markdown);
+  if (!fm || typeof fm.number !== "number") return null;
+  const type = fm.doc_type === "github_pull" ? "pr" : fm.doc_type === "github_issue" ? "issue" : null;
+  if (!type) return null;
+
+  const home = { owner, repo };
+  const { body, comments } = splitCorpusDoc(markdown);
+  const refs: CorpusRef[] = (
+    extractTypedReferencesFromPRAndComments({ body }, comments.map((c) => ({ body: c })), home) as CorpusRef[]
+  )
+    .filter((r) => !(r.owner === owner && r.repo === repo && r.number === fm.number))
+    .map((r) => ({ owner: r.owner, repo: r.repo, number: r.number, type: r.type }));
+
+  const revert = type === "pr" ? detectRevert({ title: fm.title ?? null, body }, home) : null;
+  return {
+    node: {
+      id: nodeId(type, owner, repo, fm.number),
+      type,
+      owner,
+      repo,
+      number: fm.number,
+      title: fm.title ?? null,
+      url: fm.url ?? null,
+      state: fm.state ?? null,
+      mergedAt: fm.merged_at ?? null,
+      closedAt: fm.closed_at ?? null,
+      updatedAt: fm.updated_at ?? null
+    },
+    refs,
+    reverts: revert
+      ? {
+          numbers: revert.revertedRefs
+            .filter((r: CorpusRef) => r.owner === owner && r.repo === repo)
+            .map((r: CorpusRef) => r.number),
+          title: revert.revertedTitle
+        }
+      : null
+  };
+}
+
+/**
+ * Derive nodes and edges from the per-doc entries, using the live builder's edge vocabulary:
+ * - `references` from a doc to every issue/PR its body/comments mention (with `refType`)
+ * - `cross_referenced_by` from an issue to each PR that mentions it (the timeline view)
+ * - `closed_by` (inferred) from an issue to a merged PR that "Fixes"/"Closes" it
+ * - `reverted_by` from a PR to the merged PR that reverts it
+ */
+function deriveGraph(docs: Record<string, CorpusDocEntry>, owner: string, repo: string) {
+  const nodes: Record<string, CorpusGraphNode> = {};
+  const byNumber = new Map<number, CorpusGraphNode>();
+  for (const rel of Object.keys(docs).sort()) {
+    const { node } = docs[rel]!;
+    if (!node) continue;
+    nodes[node.id] = node;
+    byNumber.set(node.number, node);
+  }
+
+  const edges: CorpusGraphEdge[] = [];
+  let unresolved = 0;
+  for (const rel of Object.keys(docs).sort()) {
+    const { node, refs, reverts } = docs[rel]!;
+    if (!node) continue;
+    for (const ref of refs) {
+      const target = ref.owner === owner && ref.repo === repo ? byNumber.get(ref.number) : undefined;
+      if (!target) {
+        unresolved += 1;
+        continue;
+      }
+      edges.push({ from: node.id, to: target.id, type: "references", refType: ref.type });
+      if (node.type !== "pr" || target.type !== "issue") continue;
+      if (ref.type === "closes" && node.mergedAt) edges.push({ from: target.id, to: node.id, type: "closed_by", inferred: true });
+      else edges.push({ from: target.id, to: node.id, type: "cross_referenced_by" });
+    }
+    if (reverts && node.mergedAt) {
+      const reverted = new Set(reverts.numbers);
+      if (reverts.title) {
+        for (const other of byNumber.values()) if (other.type === "pr" && other.title === reverts.title) reverted.add(other.number);
+      }
+      for (const n of reverted) {
+        const target = byNumber.get(n);
+        if (target && target.type === "pr" && target.id !== node.id) edges.push({ from: target.id, to: node.id, type: "reverted_by" });
+      }
+    }
+  }
+  return { nodes, edges, unresolved };
+}
+
+async function loadExisting(graphPath: string, repo: string): Promise<CorpusGraph | null> {
+  try {
+    const parsed = JSON.parse(await fs.readFile(graphPath, "utf8"));
+    return parsed?.schema === CORPUS_GRAPH_SCHEMA && parsed.repo === repo ? (parsed as CorpusGraph) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function listDocs(repoDir: string): Promise<string[]> {
+  const out: string[] = [];
+  for (const type of ["pull", "issue"]) {
+    let names: string[];
+    try {
+      names = await fs.readdir(path.join(repoDir, type));
+    } catch {
+      continue;
+    }
+    for (const name of names) if (name.endsWith(".md")) out.push(`${type}/${name}`);
+  }
+  return out.sort();
+}
+
+/**
+ * Build (or incrementally update) the reference graph of a whole repo from its qmd corpus
+ * (`<corpusDir>/<owner>/<repo>/{pull,issue}/<n>.md`) with zero API calls, and persist it.
+ *
+ * Only docs whose mtime or size changed since the last run are re-parsed; deleted docs are
+ * dropped. Edges are re-derived on every run (cheap) so they always match the current docs.
+ */
+export async function updateCorpusGraph(opts: {
+  corpusDir: string;
+  repo: string;
+  /** Defaults to `defaultCorpusGraphPath(repo)`. */
+  graphPath?: string;
+}): Promise<{ graph: CorpusGraph; graphPath: string; update: CorpusGraphUpdate }> {
+  const [owner, name] = opts.repo.split("/");
+  if (!owner || !name) throw new Error(`Invalid repo (expected owner/name): ${opts.repo}`);
+  const graphPath = opts.graphPath ?? defaultCorpusGraphPath(opts.repo);
+  const repoDir = path.join(opts.corpusDir, owner, name);
+
+  const previous = await loadExisting(graphPath, opts.repo);
+  const docs: Record<string, CorpusDocEntry> = {};
+  const update: CorpusGraphUpdate = { scanned: 0, parsed: 0, reused: 0, removed: 0 };
+
+  for (const rel of await listDocs(repoDir)) {
+    update.scanned += 1;
+    const abs = path.join(repoDir, rel);
+    const stat = await fs.stat(abs);
+    const prev = previous?.docs[rel];
+    if (prev && prev.mtimeMs === stat.mtimeMs && prev.size === stat.size) {
+      docs[rel] = prev;
+      update.reused += 1;
+      continue;
+    }
+    const parsed = parseDoc(await fs.readFile(abs, "utf8"), owner, name);
+    docs[rel] = { mtimeMs: stat.mtimeMs, size: stat.size, ...(parsed ?? { node: null, refs: [], reverts: null }) };
+    update.parsed += 1;
+  }
+  update.removed = Object.keys(previous?.docs ?? {}).filter((rel) => !docs[rel]).length;
+
+  const graph: CorpusGraph = {
+    schema: CORPUS_GRAPH_SCHEMA,
+    repo: opts.repo,
+    corpusDir: opts.corpusDir,
+    updatedAt: new Date().toISOString(),
+    docs,
+    ...deriveGraph(docs, owner, name)
+  };
+
+  await fs.mkdir(path.dirname(graphPath), { recursive: true });
+  const tmp = `${graphPath}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, `${JSON.stringify(graph)}\n`, "utf8");
+  await fs.rename(tmp, graphPath);
+
+  return { graph, graphPath, update };
+}
+
+/** Hash of a corpus graph's nodes and edges: the same docs give the same value on every run. */
+export function corpusGraphFingerprint(graph: CorpusGraph): string {
+  return createHash("sha256").update(JSON.stringify([graph.repo, graph.nodes, graph.edges])).digest("hex");
+}
+
+/**
+ * The part of a corpus graph reachable from one PR, in the same shape as `buildReferenceGraph`
+ * output (so `analyze-pr`, `graph` rendering and judge inputs work unchanged), with no API calls.
+ */
+export function corpusSubgraph(
+  graph: CorpusGraph,
+  prNumber: number,
+  budgets: { maxDepth?: number; maxNodes?: number } = {}
+) {
+  // Same defaults as the live builder, so both kinds of graph cover the same ground.
+  const caps = {
+    maxDepth: budgets.maxDepth ?? DEFAULT_GRAPH_BUDGETS.maxDepth,
+    maxApiCalls: 0,
+    maxNodes: budgets.maxNodes ?? DEFAULT_GRAPH_BUDGETS.maxNodes
+  };
+  const [owner, repo] = graph.repo.split("/") as [string, string];
+  const rootId = nodeId("pr", owner, repo, prNumber);
+
+  const outgoing = new Map<string, CorpusGraphEdge[]>();
+  for (const e of graph.edges) outgoing.set(e.from, [...(outgoing.get(e.from) ?? []), e]);
+
+  const nodes: Record<string, CorpusGraphNode & { depth: number }> = {};
+  const edges: CorpusGraphEdge[] = [];
+  const unexpanded: { id: string; repo: string; number: number; depth: number; reason: "maxDepth" | "budget" }[] = [];
+  let stoppedBy: "maxNodes" | null = null;
+  let stoppedAt: { id: string; repo: string; number: number; depth: number } | null = null;
+  let maxDepthReached = 0;
+  let expanded = 0;
+
+  const root = graph.nodes[rootId];
+  if (root) nodes[rootId] = { ...root, depth: 0 };
+  const queue = root ? [rootId] : [];
+  while (queue.length > 0 && !stoppedBy) {
+    const id = queue.shift()!;
+    const depth = nodes[id]!.depth;
+    maxDepthReached = Math.max(maxDepthReached, depth);
+    if (depth >= caps.maxDepth) {
+      if ((outgoing.get(id) ?? []).length > 0) unexpanded.push({ id, repo: graph.repo, number: nodes[id]!.number, depth, reason: "maxDepth" });
+      continue;
+    }
+    expanded += 1;
+    for (const e of outgoing.get(id) ?? []) {
+      if (!nodes[e.to]) {
+        if (Object.keys(nodes).length >= caps.maxNodes) {
+          stoppedBy = "maxNodes";
+          stoppedAt = { id, repo: graph.repo, number: nodes[id]!.number, depth };
+          unexpanded.push({ id: e.to, repo: graph.repo, number: graph.nodes[e.to]!.number, depth: depth + 1, reason: "budget" });
+          break;
+        }
+        nodes[e.to] = { ...graph.nodes[e.to]!, depth: depth + 1 };
+        queue.push(e.to);
+      }
+      edges.push(e);
+    }
+  }
+
+  return {
+    rootId,
+    nodes,
+    edges,
+    budgets: caps,
+    stats: {
+      source: "corpus" as const,
+      corpusUpdatedAt: graph.updatedAt,
+      inCorpus: Boolean(root),
+      apiCalls: { total: 0 },
+      expanded,
+      maxDepthReached,
+      skippedRepos: {},
+      fetchErrors: [],
+      revertChecks: { maxDepth: null, skipped: [] },
+      truncated: { stoppedBy, stoppedAt, unexpanded, droppedEdges: 0 }
+    }
+  };
+}
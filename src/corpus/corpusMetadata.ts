@@ -0,0 +1,152 @@
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseCorpusFrontmatter, type CorpusFrontmatter } from "../candidates/parseFrontmatter.js";
+
+export const CORPUS_METADATA_SCHEMA = "pr_sheriff_corpus_metadata_v1";
+
+/** One corpus doc's frontmatter; reused as long as the file's mtime and size are unchanged. */
+type CorpusMetadataEntry = {
+  mtimeMs: number;
+  size: number;
+  frontmatter: CorpusFrontmatter | null;
+};
+
+export type CorpusMetadata = {
+  schema: typeof CORPUS_METADATA_SCHEMA;
+  /** Absolute corpus root the entries were read from. */
+  corpusDir: string;
+  updatedAt: string;
+  /** Keyed by path relative to the corpus root, e.g. "octo/hello/pull/12.md". */
+  docs: Record<string, CorpusMetadataEntry>;
+};
+
+export type CorpusMetadataUpdate = { scanned: number; parsed: number; reused: number; removed: number };
+
+export function defaultCorpusMetadataPath(corpusDir: string): string {
+  const key = createHash("sha256").update(path.resolve(corpusDir)).digest("hex").slice(0, 16);
+  return path.join(".cache", "pr-sheriff", "corpus-metadata", `${key}.json`);
+}
+
+async function loadExisting(indexPath: string, corpusDir: string): Promise<CorpusMetadata | null> {
+  try {
+    const parsed = JSON.parse(await fs.readFile(indexPath, "utf8"));
+    return parsed?.schema === CORPUS_METADATA_SCHEMA && parsed.corpusDir === corpusDir ? (parsed as CorpusMetadata) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function readDirNames(dir: string): Promise<string[]> {
+  try {
+    return (await fs.readdir(dir, { withFileTypes: true })).filter((d) => d.isDirectory()).map((d) => d.name);
+  } catch {
+    return [];
+  }
+}
+
+/** Every `<owner>/<repo>/{pull,issue}/<n>.md` under the corpus root (see docs/corpus/FORMAT.md). */
+export async function listCorpusDocs(corpusDir: string): Promise<string[]> {
+  const out: string[] = [];
+  for (const owner of await readDirNames(corpusDir)) {
+    for (const repo of await readDirNames(path.join(corpusDir, owner))) {
+      for (const type of ["pull", "issue"]) {
+        let names: string[];
+        try {
+          names = await fs.readdir(path.join(corpusDir, owner, repo, type));
+        } catch {
+          continue;
+        }
+        for (const name of names) if (name.endsWith(".md")) out.push(`${owner}/${repo}/${type}/${name}`);
+      }
+    }
+  }
+  return out.sort();
+}
+
+/**
+ * Build (or incrementally update) the frontmatter index of a corpus root and persist it.
+ * Returns null when the corpus root doesn't exist locally.
+ *
+ * Only docs whose mtime or size changed since the last run are re-read; deleted docs are dropped.
+ */
+export async function updateCorpusMetadata(opts: {
+  corpusDir: string;
+  /** Defaults to `defaultCorpusMetadataPath(corpusDir)`. */
+  indexPath?: string;
+}): Promise<{ metadata: CorpusMetadata; indexPath: string; update: CorpusMetadataUpdate } | null> {
+  const corpusDir = path.resolve(opts.corpusDir);
+  try {
+    if (!(await fs.stat(corpusDir)).isDirectory()) return null;
+  } catch {
+    return null;
+  }
+  const indexPath = opts.indexPath ?? defaultCorpusMetadataPath(corpusDir);
+
+  const previous = await loadExisting(indexPath, corpusDir);
+  const docs: Record<string, CorpusMetadataEntry> = {};
+  const update: CorpusMetadataUpdate = { scanned: 0, parsed: 0, reused: 0, removed: 0 };
+
+  for (const rel of await listCorpusDocs(corpusDir)) {
+    update.scanned += 1;
+    const abs = path.join(corpusDir, rel);
+    const stat = await fs.stat(abs);
+    const prev = previous?.docs[rel];
+    if (prev && prev.mtimeMs === stat.mtimeMs && prev.size === stat.size) {
+      docs[rel] = prev;
+      update.reused += 1;
+      continue;
+    }
+    docs[rel] = { mtimeMs: stat.mtimeMs, size: stat.size, frontmatter: parseCorpusFrontmatter(await fs.readFile(abs, "utf8")) };
+    update.parsed += 1;
+  }
+  update.removed = Object.keys(previous?.docs ?? {}).filter((rel) => !docs[rel]).length;
+
+  const metadata: CorpusMetadata = { schema: CORPUS_METADATA_SCHEMA, corpusDir, updatedAt: new Date().toISOString(), docs };
+
+  await fs.mkdir(path.dirname(indexPath), { recursive: true });
+  const tmp = `${indexPath}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, `${JSON.stringify(metadata)}\n`, "utf8");
+  await fs.rename(tmp, indexPath);
+
+  return { metadata, indexPath, update };
+}
+
+const loaded = new Map<string, ReturnType<typeof updateCorpusMetadata>>();
+
+/**
+ * `updateCorpusMetadata` once per corpus root per process, so a batch run re-scans the corpus
+ * once rather than for every query.
+ */
+export function loadCorpusMetadata(corpusDir: string): ReturnType<typeof updateCorpusMetadata> {
+  const key = path.resolve(corpusDir);
+  let pending = loaded.get(key);
+  if (!pending) {
+    pending = updateCorpusMetadata({ corpusDir });
+    // Don't keep a failed scan around; the next caller retries.
+    pending.catch(() => loaded.delete(key));
+    loaded.set(key, pending);
+  }
+  return pending;
+}
+
+const foldedKeys = new WeakMap<CorpusMetadata, Map<string, string>>();
+
+/**
+ * Frontmatter for a qmd hit (`qmd://<collection>/<owner>/<repo>/<type>/<n>.md` or a path
+ * relative to the corpus root). `undefined` means the doc isn't in the index.
+ *
+ * qmd may lowercase paths, so a case-insensitive match is tried after the exact one.
+ */
+export function lookupCorpusFrontmatter(metadata: CorpusMetadata, file: string): CorpusFrontmatter | null | undefined {
+  const rel = file.startsWith("qmd://") ? file.slice("qmd://".length).split("/").slice(1).join("/") : file.replace(/^\.?\//, "");
+  const exact = metadata.docs[rel];
+  if (exact) return exact.frontmatter;
+  let folded = foldedKeys.get(metadata);
+  if (!folded) {
+    folded = new Map(Object.keys(metadata.docs).map((key) => [key.toLowerCase(), key]));
+    foldedKeys.set(metadata, folded);
+  }
+  const key = folded.get(rel.toLowerCase());
+  return key ? metadata.docs[key]!.frontmatter : undefined;
+}
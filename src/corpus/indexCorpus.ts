@@ -0,0 +1,133 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import type { AppConfig } from "../config/types.js";
+import type { QmdRunner } from "../qmd/types.js";
+import { QMD_NOT_FOUND_EXIT_CODE, runQmd } from "../qmd/runQmd.js";
+import { renderIssueDoc, renderPullDoc } from "./renderCorpusDoc.js";
+
+export type IndexedDoc = {
+  type: "pull" | "issue";
+  number: number;
+  /** Relative to the corpus root. */
+  path: string;
+  /** `unchanged` docs are left untouched, so their mtime (and every index keyed on it) stays put. */
+  status: "written" | "updated" | "unchanged";
+};
+
+export type QmdIndexOutcome = {
+  /** `collection add` for a new collection; `update` when adding fails (usually: it already exists). */
+  command: "collection add" | "update";
+  exitCode: number;
+  error: string | null;
+};
+
+export type IndexCorpusResult = {
+  listed: { pulls: number; issues: number };
+  docs: { written: number; updated: number; unchanged: number };
+  items: IndexedDoc[];
+  /** null on dry runs and with `qmd: null`. */
+  qmd: QmdIndexOutcome | null;
+};
+
+async function readIfExists(p: string): Promise<string | null> {
+  try {
+    return await fs.readFile(p, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Register the corpus root as a qmd collection, or refresh every collection when it is
+ * already registered.
+ */
+export async function runQmdCorpusIndex(opts: {
+  corpusDir: string;
+  config: Pick<AppConfig, "qmdCollection" | "qmdIndex">;
+  qmdRunner?: QmdRunner;
+}): Promise<QmdIndexOutcome> {
+  const qmdRunner = opts.qmdRunner ?? runQmd;
+  const baseArgs = opts.config.qmdIndex ? ["--index", opts.config.qmdIndex] : [];
+
+  const add = await qmdRunner([...baseArgs, "collection", "add", opts.corpusDir, "--name", opts.config.qmdCollection, "--mask", "*.md"]);
+  if (add.exitCode === 0) return { command: "collection add", exitCode: 0, error: null };
+  if (add.exitCode === QMD_NOT_FOUND_EXIT_CODE) return { command: "collection add", exitCode: add.exitCode, error: "qmd is not installed" };
+
+  const upd = await qmdRunner([...baseArgs, "update"]);
+  return { command: "update", exitCode: upd.exitCode, error: upd.exitCode === 0 ? null : `${upd.stdout}\n${upd.stderr}`.trim() || "qmd update failed" };
+}
+
+/**
+ * Fetch a repo's PRs and/or issues and write them to the corpus root as
+ * `<owner>/<repo>/{pull,issue}/<n>.md` (see docs/corpus/FORMAT.md), then index it with qmd.
+ *
+ * Items are processed most recently updated first, so `limit` keeps the freshest ones and
+ * `since` makes re-runs incremental.
+ */
+export async function indexCorpus(opts: {
+  gh: any;
+  repo: string;
+  corpusDir: string;
+  /** Only items updated at or after this ISO timestamp. */
+  since?: string;
+  types: { pulls: boolean; issues: boolean };
+  /** Max items overall (0 or undefined: no limit). */
+  limit?: number;
+  maxComments: number;
+  maxReviews: number;
+  dryRun?: boolean;
+  useCache?: boolean;
+  /** qmd settings for the final indexing step; null skips it. */
+  qmd: { config: Pick<AppConfig, "qmdCollection" | "qmdIndex">; qmdRunner?: QmdRunner } | null;
+}): Promise<IndexCorpusResult> {
+  const [owner, name] = opts.repo.split("/");
+  if (!owner || !name) throw new Error(`Invalid repo (expected owner/name): ${opts.repo}`);
+  const useCache = opts.useCache ?? true;
+  const limit = opts.limit && opts.limit > 0 ? opts.limit : undefined;
+
+  // The limit applies to the overall ingest; it also caps each list so a handful of docs
+  // doesn't page through thousands of items.
+  const pulls = opts.types.pulls
+    ? await opts.gh.listPRs({ state: "all", sort: "updated", since: opts.since, limit, useCache })
+    : [];
+  const issues = opts.types.issues ? await opts.gh.listIssues({ state: "all", since: opts.since, limit, useCache }) : [];
+
+  const work: Array<{ type: "pull" | "issue"; number: number; updatedAt: string }> = [
+    ...pulls.map((pr: any) => ({ type: "pull" as const, number: pr.number, updatedAt: String(pr.updated_at ?? "") })),
+    ...issues.map((it: any) => ({ type: "issue" as const, number: it.number, updatedAt: String(it.updated_at ?? "") }))
+  ].filter((w) => !opts.since || (w.updatedAt && w.updatedAt >= opts.since));
+  // Stable ordering (updated desc) keeps runs reproducible and makes `limit` meaningful.
+  work.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt) || a.type.localeCompare(b.type) || a.number - b.number);
+
+  const items: IndexedDoc[] = [];
+  for (const item of limit ? work.slice(0, limit) : work) {
+    const comments = opts.maxComments > 0 ? await opts.gh.listIssueComments(item.number, { limit: opts.maxComments, useCache }) : [];
+    const doc =
+      item.type === "pull"
+        ? renderPullDoc(
+            await opts.gh.getPR(item.number, { useCache }),
+            comments,
+            opts.maxReviews > 0 ? await opts.gh.listPRReviews(item.number, { limit: opts.maxReviews, useCache }) : [],
+            opts.repo
+          )
+        : renderIssueDoc(await opts.gh.getIssue(item.number, { useCache }), comments, opts.repo);
+
+    const rel = path.join(owner, name, item.type, `${item.number}.md`);
+    const abs = path.join(opts.corpusDir, rel);
+    const existing = await readIfExists(abs);
+    const status = existing === null ? "written" : existing === doc ? "unchanged" : "updated";
+    if (status !== "unchanged" && !opts.dryRun) {
+      await fs.mkdir(path.dirname(abs), { recursive: true });
+      await fs.writeFile(abs, doc, "utf8");
+    }
+    items.push({ type: item.type, number: item.number, path: rel, status });
+  }
+
+  const count = (s: IndexedDoc["status"]) => items.filter((i) => i.status === s).length;
+  return {
+    listed: { pulls: pulls.length, issues: issues.length },
+    docs: { written: count("written"), updated: count("updated"), unchanged: count("unchanged") },
+    items,
+    qmd: opts.qmd && !opts.dryRun ? await runQmdCorpusIndex({ corpusDir: opts.corpusDir, ...opts.qmd }) : null
+  };
+}
@@ -0,0 +1,230 @@
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseCorpusFrontmatter } from "../candidates/parseFrontmatter.js";
+import { listCorpusDocs } from "./corpusMetadata.js";
+import { splitCorpusDoc } from "./corpusGraph.js";
+
+export const LEXICAL_INDEX_SCHEMA = "pr_sheriff_lexical_index_v1";
+
+export type LexicalField = "title" | "body" | "timeline";
+
+/** BM25F field weights: a title match counts most, timeline chatter least. */
+export const LEXICAL_FIELD_WEIGHTS: Record<LexicalField, number> = { title: 3, body: 1, timeline: 0.5 };
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set(
+  "a an and are as at be but by for from has have if in into is it its not of on or so that the this to was were will with".split(" ")
+);
+
+/** One corpus doc's term frequencies; reused as long as the file's mtime and size are unchanged. */
+type LexicalDocEntry = {
+  mtimeMs: number;
+  size: number;
+  title: string | null;
+  fields: Record<LexicalField, { length: number; tf: Record<string, number> }>;
+};
+
+export type LexicalIndex = {
+  schema: typeof LEXICAL_INDEX_SCHEMA;
+  /** Absolute corpus root the entries were read from. */
+  corpusDir: string;
+  updatedAt: string;
+  /** Keyed by path relative to the corpus root, e.g. "octo/hello/pull/12.md". */
+  docs: Record<string, LexicalDocEntry>;
+};
+
+export type LexicalIndexUpdate = { scanned: number; parsed: number; reused: number; removed: number };
+
+export type LexicalHit = {
+  /** Path relative to the corpus root. */
+  file: string;
+  title: string | null;
+  /**
+   * BM25F score as a share (0..1) of the most the query could score, i.e. the summed IDF of its
+   * terms that occur in the corpus. Independent of the other hits: a doc matching one of many
+   * such terms scores low even when it's the best there is.
+   */
+  score: number;
+};
+
+export function defaultLexicalIndexPath(corpusDir: string): string {
+  const key = createHash("sha256").update(path.resolve(corpusDir)).digest("hex").slice(0, 16);
+  return path.join(".cache", "pr-sheriff", "lexical-index", `${key}.json`);
+}
+
+export function tokenize(text: string): string[] {
+  return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) ?? []).filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+function termFrequencies(text: string): { length: number; tf: Record<string, number> } {
+  const tokens = tokenize(text);
+  // No prototype: tokens like "constructor" or "__proto__" are plain keys here.
+  const tf: Record<string, number> = Object.create(null);
+  for (const t of tokens) tf[t] = (tf[t] ?? 0) + 1;
+  return { length: tokens.length, tf };
+}
+
+function parseDoc(markdown: string): Omit<LexicalDocEntry, "mtimeMs" | "size"> {
+  const title = parseCorpusFrontmatter(markdown)?.title ?? null;
+  const { body, comments } = splitCorpusDoc(markdown);
+  return {
+    title,
+    fields: {
+      title: termFrequencies(title ?? ""),
+      body: termFrequencies(body),
+      timeline: termFrequencies(comments.join("\n"))
+    }
+  };
+}
+
+async function loadExisting(indexPath: string, corpusDir: string): Promise<LexicalIndex | null> {
+  try {
+    const parsed = JSON.parse(await fs.readFile(indexPath, "utf8"));
+    return parsed?.schema === LEXICAL_INDEX_SCHEMA && parsed.corpusDir === corpusDir ? (parsed as LexicalIndex) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build (or incrementally update) the BM25 index of a corpus root and persist it. Returns
+ * null when the corpus root doesn't exist locally.
+ *
+ * Only docs whose mtime or size changed since the last run are re-read; deleted docs are dropped.
+ */
+export async function updateLexicalIndex(opts: {
+  corpusDir: string;
+  /** Defaults to `defaultLexicalIndexPath(corpusDir)`. */
+  indexPath?: string;
+}): Promise<{ index: LexicalIndex; indexPath: string; update: LexicalIndexUpdate } | null> {
+  const corpusDir = path.resolve(opts.corpusDir);
+  try {
+    if (!(await fs.stat(corpusDir)).isDirectory()) return null;
+  } catch {
+    return null;
+  }
+  const indexPath = opts.indexPath ?? defaultLexicalIndexPath(corpusDir);
+
+  const previous = await loadExisting(indexPath, corpusDir);
+  const docs: Record<string, LexicalDocEntry> = {};
+  const update: LexicalIndexUpdate = { scanned: 0, parsed: 0, reused: 0, removed: 0 };
+
+  for (const rel of await listCorpusDocs(corpusDir)) {
+    update.scanned += 1;
+    const abs = path.join(corpusDir, rel);
+    const stat = await fs.stat(abs);
+    const prev = previous?.docs[rel];
+    if (prev && prev.mtimeMs === stat.mtimeMs && prev.size === stat.size) {
+      docs[rel] = prev;
+      update.reused += 1;
+      continue;
+    }
+    docs[rel] = { mtimeMs: stat.mtimeMs, size: stat.size, ...parseDoc(await fs.readFile(abs, "utf8")) };
+    update.parsed += 1;
+  }
+  update.removed = Object.keys(previous?.docs ?? {}).filter((rel) => !docs[rel]).length;
+
+  const index: LexicalIndex = { schema: LEXICAL_INDEX_SCHEMA, corpusDir, updatedAt: new Date().toISOString(), docs };
+
+  await fs.mkdir(path.dirname(indexPath), { recursive: true });
+  const tmp = `${indexPath}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, `${JSON.stringify(index)}\n`, "utf8");
+  await fs.rename(tmp, indexPath);
+
+  return { index, indexPath, update };
+}
+
+const loaded = new Map<string, ReturnType<typeof updateLexicalIndex>>();
+
+/** `updateLexicalIndex` once per corpus root per process (see `loadCorpusMetadata`). */
+export function loadLexicalIndex(corpusDir: string): ReturnType<typeof updateLexicalIndex> {
+  const key = path.resolve(corpusDir);
+  let pending = loaded.get(key);
+  if (!pending) {
+    pending = updateLexicalIndex({ corpusDir });
+    pending.catch(() => loaded.delete(key));
+    loaded.set(key, pending);
+  }
+  return pending;
+}
+
+type Postings = {
+  /** Docs containing the term in any field. */
+  df: Map<string, string[]>;
+  avgLength: Record<LexicalField, number>;
+};
+
+const postingsCache = new WeakMap<LexicalIndex, Postings>();
+
+function postingsFor(index: LexicalIndex): Postings {
+  const cached = postingsCache.get(index);
+  if (cached) return cached;
+  const df = new Map<string, string[]>();
+  const total: Record<LexicalField, number> = { title: 0, body: 0, timeline: 0 };
+  const rels = Object.keys(index.docs);
+  for (const rel of rels) {
+    const doc = index.docs[rel]!;
+    const terms = new Set<string>();
+    for (const field of Object.keys(LEXICAL_FIELD_WEIGHTS) as LexicalField[]) {
+      total[field] += doc.fields[field].length;
+      for (const t of Object.keys(doc.fields[field].tf)) terms.add(t);
+    }
+    for (const t of terms) {
+      const list = df.get(t);
+      if (list) list.push(rel);
+      else df.set(t, [rel]);
+    }
+  }
+  const n = Math.max(1, rels.length);
+  const postings = {
+    df,
+    avgLength: { title: total.title / n, body: total.body / n, timeline: total.timeline / n }
+  };
+  postingsCache.set(index, postings);
+  return postings;
+}
+
+/**
+ * BM25F search over the index: per-field term frequencies are length-normalized against
+ * that field's average, weighted by `LEXICAL_FIELD_WEIGHTS` and summed before saturation.
+ * Ties keep path order. Scores are divided by the query's ceiling (see `LexicalHit.score`), not
+ * by the top hit's, so they can be weighed against qmd's 0..1 scores.
+ */
+export function searchLexicalIndex(index: LexicalIndex, query: string, n: number): LexicalHit[] {
+  const { df, avgLength } = postingsFor(index);
+  const total = Object.keys(index.docs).length;
+  const scores = new Map<string, number>();
+  // Each term adds at most its IDF (the saturation term tends to 1), so this bounds any doc's score.
+  // Terms no doc contains can't be matched and would only shrink every score (analyze-pr queries
+  // with a whole PR body), so they're left out.
+  let ceiling = 0;
+
+  for (const term of new Set(tokenize(query))) {
+    const docs = df.get(term);
+    if (!docs) continue;
+    const idf = Math.log(1 + (total - docs.length + 0.5) / (docs.length + 0.5));
+    ceiling += idf;
+    for (const rel of docs) {
+      const doc = index.docs[rel]!;
+      let weighted = 0;
+      for (const field of Object.keys(LEXICAL_FIELD_WEIGHTS) as LexicalField[]) {
+        const f = doc.fields[field];
+        const tf = Object.hasOwn(f.tf, term) ? f.tf[term]! : 0;
+        if (tf === 0) continue;
+        const norm = avgLength[field] > 0 ? 1 - BM25_B + BM25_B * (f.length / avgLength[field]) : 1;
+        weighted += (LEXICAL_FIELD_WEIGHTS[field] * tf) / norm;
+      }
+      scores.set(rel, (scores.get(rel) ?? 0) + (idf * weighted) / (BM25_K1 + weighted));
+    }
+  }
+
+  const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1)).slice(0, n);
+  return ranked.map(([file, score]) => ({
+    file,
+    title: index.docs[file]!.title,
+    score: ceiling > 0 ? Math.round((score / ceiling) * 1000) / 1000 : 0
+  }));
+}
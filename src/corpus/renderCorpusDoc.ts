@@ -0,0 +1,145 @@
+/**
+ * Render GitHub PRs/issues as corpus docs (see docs/corpus/FORMAT.md).
+ */
+
+export const CORPUS_DOC_SCHEMA = "pr_sheriff_corpus_v1";
+
+type TimelineEvent = { kind: "comment" | "review"; created_at: string; actor: string; state?: string; body: string };
+
+function yamlQuote(s: unknown): string {
+  return JSON.stringify(String(s ?? ""));
+}
+
+function yamlScalar(v: unknown): string {
+  if (v === null || v === undefined) return "null";
+  if (typeof v === "boolean") return v ? "true" : "false";
+  if (typeof v === "number") return String(v);
+  return yamlQuote(String(v));
+}
+
+function yamlStringList(items: string[], indent: number): string {
+  const pad = " ".repeat(indent);
+  if (!items.length) return "[]";
+  return "\n" + items.map((s) => `${pad}- ${yamlQuote(s)}`).join("\n");
+}
+
+/** Keep the doc readable and stable if the API returns null bodies. */
+function normalizeBody(s: unknown): string {
+  const v = String(s ?? "");
+  return v.trim() ? v : "(no body)";
+}
+
+function bounds(events: TimelineEvent[]): { firstAt: string | null; lastAt: string | null } {
+  const times = events.map((e) => e.created_at).filter(Boolean).sort();
+  return { firstAt: times[0] ?? null, lastAt: times[times.length - 1] ?? null };
+}
+
+function commentEvents(comments: any[]): TimelineEvent[] {
+  return comments.map((c) => ({
+    kind: "comment",
+    created_at: c?.created_at,
+    actor: c?.user?.login ?? "unknown",
+    body: c?.body ?? ""
+  }));
+}
+
+function lastActivity(updatedAt: string | null | undefined, timelineLastAt: string | null): string | null {
+  const candidates = [updatedAt, timelineLastAt].filter((t): t is string => Boolean(t)).sort();
+  return candidates[candidates.length - 1] ?? updatedAt ?? null;
+}
+
+function renderDoc(fm: string[], heading: string, url: string, body: unknown, timeline: TimelineEvent[]): string {
+  const lines = ["---", ...fm, "---", `# ${heading}`, "", `URL: ${url}`, "", "## Body", "", normalizeBody(body), "", "## Timeline", ""];
+  if (!timeline.length) {
+    lines.push("(no timeline events ingested)");
+  } else {
+    for (const e of timeline) {
+      const label = e.kind === "review" ? `review: ${e.state ?? ""}`.trim() : e.kind;
+      lines.push(`### ${e.created_at} (${label}) @${e.actor}`, "", normalizeBody(e.body), "");
+    }
+  }
+  return lines.join("\n").trimEnd() + "\n";
+}
+
+/**
+ * A PR doc: body plus issue comments and reviews interleaved by time. `repo` ("owner/name")
+ * is used when the payload doesn't carry it.
+ */
+export function renderPullDoc(pr: any, issueComments: any[], reviews: any[], repo = ""): string {
+  const labels = (pr.labels ?? []).map((l: any) => l?.name).filter(Boolean);
+  const assignees = (pr.assignees ?? []).map((a: any) => a?.login).filter(Boolean);
+  const reviewEvents: TimelineEvent[] = reviews
+    .map((r) => ({
+      kind: "review" as const,
+      created_at: r?.submitted_at ?? r?.submittedAt ?? r?.created_at ?? null,
+      actor: r?.user?.login ?? "unknown",
+      state: r?.state ?? "",
+      body: r?.body ?? ""
+    }))
+    .filter((e) => e.created_at);
+  const timeline = [...commentEvents(issueComments), ...reviewEvents].sort((a, b) => a.created_at.localeCompare(b.created_at));
+  const tb = bounds(timeline);
+  const url = pr.html_url ?? pr.url ?? "";
+
+  const fm = [
+    `schema: ${yamlQuote(CORPUS_DOC_SCHEMA)}`,
+    `doc_type: ${yamlQuote("github_pull")}`,
+    `repo: ${yamlQuote(pr.base?.repo?.full_name ?? (repo || pr.base?.repo?.name) ?? "")}`,
+    `number: ${yamlScalar(pr.number)}`,
+    `title: ${yamlQuote(pr.title ?? "")}`,
+    `state: ${yamlQuote(pr.state ?? "")}`,
+    `url: ${yamlQuote(url)}`,
+    `author_login: ${yamlQuote(pr.user?.login ?? "")}`,
+    `created_at: ${yamlQuote(pr.created_at ?? "")}`,
+    `updated_at: ${yamlQuote(pr.updated_at ?? "")}`,
+    `closed_at: ${yamlScalar(pr.closed_at ?? null)}`,
+    `draft: ${yamlScalar(Boolean(pr.draft))}`,
+    `merged: ${yamlScalar(Boolean(pr.merged_at))}`,
+    `merged_at: ${yamlScalar(pr.merged_at ?? null)}`,
+    `base_ref: ${yamlQuote(pr.base?.ref ?? "")}`,
+    `head_ref: ${yamlQuote(pr.head?.ref ?? "")}`,
+    `head_sha: ${yamlQuote(pr.head?.sha ?? "")}`,
+    `labels: ${yamlStringList(labels, 2)}`,
+    `assignees: ${yamlStringList(assignees, 2)}`,
+    `milestone_title: ${yamlScalar(pr.milestone?.title ?? null)}`,
+    `comment_count: ${yamlScalar(pr.comments ?? pr.comments_count ?? 0)}`,
+    `review_count: ${yamlScalar(reviews.length)}`,
+    `last_activity_at: ${yamlQuote(lastActivity(pr.updated_at, tb.lastAt) ?? "")}`,
+    `timeline_event_count: ${yamlScalar(timeline.length)}`,
+    `timeline_first_at: ${yamlScalar(tb.firstAt)}`,
+    `timeline_last_at: ${yamlScalar(tb.lastAt)}`
+  ];
+  return renderDoc(fm, `PR #${pr.number}: ${pr.title ?? ""}`.trim(), url, pr.body, timeline);
+}
+
+/** An issue doc: body plus its comments (see `renderPullDoc` for `repo`). */
+export function renderIssueDoc(issue: any, issueComments: any[], repo = ""): string {
+  const labels = (issue.labels ?? []).map((l: any) => (typeof l === "string" ? l : l?.name)).filter(Boolean);
+  const assignees = (issue.assignees ?? []).map((a: any) => a?.login).filter(Boolean);
+  const timeline = commentEvents(issueComments).sort((a, b) => a.created_at.localeCompare(b.created_at));
+  const tb = bounds(timeline);
+  const url = issue.html_url ?? issue.url ?? "";
+
+  const fm = [
+    `schema: ${yamlQuote(CORPUS_DOC_SCHEMA)}`,
+    `doc_type: ${yamlQuote("github_issue")}`,
+    `repo: ${yamlQuote(issue.repository_url?.split("/repos/")[1] ?? repo)}`,
+    `number: ${yamlScalar(issue.number)}`,
+    `title: ${yamlQuote(issue.title ?? "")}`,
+    `state: ${yamlQuote(issue.state ?? "")}`,
+    `url: ${yamlQuote(url)}`,
+    `author_login: ${yamlQuote(issue.user?.login ?? "")}`,
+    `created_at: ${yamlQuote(issue.created_at ?? "")}`,
+    `updated_at: ${yamlQuote(issue.updated_at ?? "")}`,
+    `closed_at: ${yamlScalar(issue.closed_at ?? null)}`,
+    `labels: ${yamlStringList(labels, 2)}`,
+    `assignees: ${yamlStringList(assignees, 2)}`,
+    `milestone_title: ${yamlScalar(issue.milestone?.title ?? null)}`,
+    `comment_count: ${yamlScalar(issue.comments ?? issue.comments_count ?? 0)}`,
+    `last_activity_at: ${yamlQuote(lastActivity(issue.updated_at, tb.lastAt) ?? "")}`,
+    `timeline_event_count: ${yamlScalar(timeline.length)}`,
+    `timeline_first_at: ${yamlScalar(tb.firstAt)}`,
+    `timeline_last_at: ${yamlScalar(tb.lastAt)}`
+  ];
+  return renderDoc(fm, `Issue #${issue.number}: ${issue.title ?? ""}`.trim(), url, issue.body, timeline);
+}
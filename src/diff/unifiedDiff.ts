@@ -0,0 +1,42 @@
+/**
+ * Split a `git diff` style unified diff into per-file patches.
+ *
+ * The returned patches start at the first `@@` hunk header, matching the `patch`
+ * field of GitHub's "list pull request files" API. Files without hunks (binary
+ * files, pure renames, mode changes) are omitted.
+ */
+export function splitUnifiedDiffByFile(diff: string): Map<string, string> {
+  const out = new Map<string, string>();
+  const lines = String(diff ?? "").split("\n");
+
+  let file: string | null = null;
+  let oldFile: string | null = null;
+  let hunkLines: string[] = [];
+
+  const flush = () => {
+    const name = file ?? oldFile;
+    if (name && hunkLines.length > 0) out.set(name, hunkLines.join("\n").replace(/\n+$/, ""));
+    hunkLines = [];
+  };
+
+  for (const line of lines) {
+    if (line.startsWith("diff --git ")) {
+      flush();
+      const m = /^diff --git a\/(.+) b\/(.+)$/.exec(line);
+      oldFile = m?.[1] ?? null;
+      file = m?.[2] ?? null;
+      continue;
+    }
+    if (hunkLines.length === 0) {
+      // Header section: prefer the `+++ b/...` name, but keep `a/...` for deletions.
+      if (line.startsWith("--- a/")) oldFile = line.slice("--- a/".length);
+      if (line.startsWith("+++ b/")) file = line.slice("+++ b/".length);
+      if (line === "+++ /dev/null") file = null;
+      if (!line.startsWith("@@")) continue;
+    }
+    hunkLines.push(line);
+  }
+  flush();
+
+  return out;
+}
@@ -0,0 +1,165 @@
+import { runGit, type GitRunner } from "./runGit.js";
+
+export type LandedCommit = {
+  sha: string;
+  subject: string;
+  patchId: string | null;
+  landed: boolean;
+  /** Equivalent commit on the base branch, if any. */
+  landedAs: string | null;
+  landedSubject: string | null;
+  /** PR that brought `landedAs` into the base branch, inferred from commit messages. */
+  mergedPr: number | null;
+};
+
+export type LandedPatchesResult = {
+  gitDir: string;
+  baseRef: string;
+  headRef: string;
+  mergeBase: string;
+  commits: LandedCommit[];
+  /** The target's combined diff matched a single base commit (squash-merge of the whole PR). */
+  squashed: { patchId: string; landedAs: string; landedSubject: string; mergedPr: number | null } | null;
+  summary: { total: number; landed: number; allLanded: boolean };
+};
+
+async function git(runner: GitRunner, gitDir: string, args: string[], stdin?: string): Promise<string> {
+  const res = await runner(args, { cwd: gitDir, stdin });
+  if (res.exitCode !== 0) {
+    throw new Error(`git ${args.join(" ")} failed (exit ${res.exitCode}): ${res.stderr.trim() || "unknown error"}`);
+  }
+  return res.stdout;
+}
+
+/**
+ * `git patch-id --stable` over a `git log -p` stream: commit sha -> patch id.
+ */
+async function patchIds(runner: GitRunner, gitDir: string, logArgs: string[]): Promise<Map<string, string>> {
+  const log = await git(runner, gitDir, ["log", "-p", "--no-color", "--no-decorate", "--no-ext-diff", ...logArgs]);
+  const out = new Map<string, string>();
+  if (!log.trim()) return out;
+  for (const line of (await git(runner, gitDir, ["patch-id", "--stable"], log)).split("\n")) {
+    const [patchId, sha] = line.trim().split(/\s+/);
+    if (patchId && sha) out.set(sha, patchId);
+  }
+  return out;
+}
+
+async function subjects(runner: GitRunner, gitDir: string, args: string[]): Promise<Array<{ sha: string; subject: string }>> {
+  const raw = await git(runner, gitDir, ["log", "--format=%H%x09%s", ...args]);
+  return raw
+    .split("\n")
+    .filter(Boolean)
+    .map((l) => {
+      const tab = l.indexOf("\t");
+      return { sha: l.slice(0, tab), subject: l.slice(tab + 1) };
+    });
+}
+
+/**
+ * Infer the PR number from a base-branch commit subject:
+ * - squash merges: "Fix foo (#123)"
+ * - merge commits: "Merge pull request #123 from user/branch"
+ */
+export function prNumberFromSubject(subject: string): number | null {
+  const m = /^Merge pull request #(\d+)\b/.exec(subject) ?? /\(#(\d+)\)\s*$/.exec(subject);
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * Find the PR that brought `sha` into `baseRef`: the commit's own subject, else the
+ * oldest "Merge pull request #N" merge on the ancestry path from `sha` to `baseRef`.
+ */
+async function mergedPrFor(runner: GitRunner, gitDir: string, sha: string, subject: string, baseRef: string) {
+  const direct = prNumberFromSubject(subject);
+  if (direct !== null) return direct;
+  const merges = await subjects(runner, gitDir, ["--merges", "--ancestry-path", "--reverse", `${sha}..${baseRef}`]);
+  for (const m of merges) {
+    const n = prNumberFromSubject(m.subject);
+    if (n !== null) return n;
+  }
+  return null;
+}
+
+/**
+ * Report which of the target PR's commits already landed on the base branch under a
+ * different sha (cherry-picks, rebases), using `git patch-id` equivalence.
+ *
+ * Works fully offline against a local clone; `headRef` must be fetched locally
+ * (e.g. `git fetch origin pull/123/head:refs/pull/123/head`).
+ */
+export async function findLandedPatches(opts: {
+  gitDir: string;
+  baseRef: string;
+  headRef: string;
+  /** Cap on base-branch commits scanned since the merge base. */
+  maxBaseCommits?: number;
+  runner?: GitRunner;
+}): Promise<LandedPatchesResult> {
+  const runner = opts.runner ?? runGit;
+  const { gitDir, baseRef, headRef } = opts;
+  const maxBaseCommits = opts.maxBaseCommits ?? 5000;
+
+  const mergeBase = (await git(runner, gitDir, ["merge-base", baseRef, headRef])).trim();
+
+  const headIds = await patchIds(runner, gitDir, ["--no-merges", `${mergeBase}..${headRef}`]);
+  const baseIds = await patchIds(runner, gitDir, ["--no-merges", "-n", String(maxBaseCommits), `${mergeBase}..${baseRef}`]);
+  const headSubjects = await subjects(runner, gitDir, ["--no-merges", "--reverse", `${mergeBase}..${headRef}`]);
+  const baseSubjects = new Map(
+    (await subjects(runner, gitDir, ["--no-merges", "-n", String(maxBaseCommits), `${mergeBase}..${baseRef}`])).map((s) => [
+      s.sha,
+      s.subject
+    ])
+  );
+
+  const baseByPatchId = new Map<string, string>();
+  for (const [sha, pid] of baseIds) if (!baseByPatchId.has(pid)) baseByPatchId.set(pid, sha);
+
+  const commits: LandedCommit[] = [];
+  for (const { sha, subject } of headSubjects) {
+    const patchId = headIds.get(sha) ?? null;
+    const landedAs = patchId ? baseByPatchId.get(patchId) ?? null : null;
+    const landedSubject = landedAs ? baseSubjects.get(landedAs) ?? null : null;
+    commits.push({
+      sha,
+      subject,
+      patchId,
+      landed: landedAs !== null,
+      landedAs,
+      landedSubject,
+      mergedPr: landedAs ? await mergedPrFor(runner, gitDir, landedAs, landedSubject ?? "", baseRef) : null
+    });
+  }
+
+  // Squash-merge of the whole PR: compare the combined diff against single base commits.
+  let squashed: LandedPatchesResult["squashed"] = null;
+  const combined = await git(runner, gitDir, ["diff", "--no-color", "--no-ext-diff", mergeBase, headRef]);
+  if (combined.trim()) {
+    const pid = (await git(runner, gitDir, ["patch-id", "--stable"], combined)).trim().split(/\s+/)[0];
+    const landedAs = pid ? baseByPatchId.get(pid) : undefined;
+    if (pid && landedAs) {
+      const landedSubject = baseSubjects.get(landedAs) ?? "";
+      squashed = {
+        patchId: pid,
+        landedAs,
+        landedSubject,
+        mergedPr: await mergedPrFor(runner, gitDir, landedAs, landedSubject, baseRef)
+      };
+    }
+  }
+
+  const landed = commits.filter((c) => c.landed).length;
+  return {
+    gitDir,
+    baseRef,
+    headRef,
+    mergeBase,
+    commits,
+    squashed,
+    summary: {
+      total: commits.length,
+      landed,
+      allLanded: squashed !== null || (commits.length > 0 && landed === commits.length)
+    }
+  };
+}
@@ -0,0 +1,83 @@
+import { prNumberFromSubject } from "./landedPatches.js";
+import { runGit, type GitRunner } from "./runGit.js";
+
+export type RevertCommit = {
+  sha: string;
+  subject: string;
+  /** Commits named by "This reverts commit <sha>." (full shas when they resolve locally). */
+  revertedShas: string[];
+  /** PR whose change was backed out, from the quoted subject or the reverted commit's subject. */
+  revertedPr: number | null;
+  /** A later revert on the base branch that re-applied the change, if any. */
+  undoneBy: string | null;
+};
+
+async function git(runner: GitRunner, gitDir: string, args: string[]): Promise<string> {
+  const res = await runner(args, { cwd: gitDir });
+  if (res.exitCode !== 0) {
+    throw new Error(`git ${args.join(" ")} failed (exit ${res.exitCode}): ${res.stderr.trim() || "unknown error"}`);
+  }
+  return res.stdout;
+}
+
+/**
+ * Find `git revert` commits on `baseRef` and the PRs they backed out:
+ * `Revert "Fix foo (#123)"` / `Revert "Merge pull request #123 ..."`, or the subject of the
+ * commit named in "This reverts commit <sha>.".
+ *
+ * Works fully offline against a local clone.
+ */
+export async function findRevertCommits(opts: {
+  gitDir: string;
+  baseRef: string;
+  /** Cap on base-branch commits scanned. */
+  maxCommits?: number;
+  runner?: GitRunner;
+}): Promise<RevertCommit[]> {
+  const runner = opts.runner ?? runGit;
+  const { gitDir, baseRef } = opts;
+  const maxCommits = opts.maxCommits ?? 5000;
+
+  const raw = await git(runner, gitDir, [
+    "log",
+    "-n",
+    String(maxCommits),
+    "-i",
+    "--grep=^Revert \"",
+    "--grep=This reverts commit",
+    "--format=%H%x00%s%x00%b%x1e",
+    baseRef
+  ]);
+
+  const commits: RevertCommit[] = [];
+  for (const rec of raw.split("\x1e")) {
+    const [sha, subject = "", body = ""] = rec.replace(/^\n/, "").split("\x00");
+    if (!sha) continue;
+
+    const revertedShas: string[] = [];
+    for (const m of body.matchAll(/\bThis reverts commit ([0-9a-f]{7,40})\b/gi)) {
+      const full = (await runner(["rev-parse", "--verify", "--quiet", `${m[1]}^{commit}`], { cwd: gitDir })).stdout.trim();
+      revertedShas.push(full || m[1]!.toLowerCase());
+    }
+
+    const quoted = /^Revert\s+"(.+)"\s*$/.exec(subject);
+    let revertedPr = quoted ? prNumberFromSubject(quoted[1]!) : null;
+    for (const reverted of revertedShas) {
+      if (revertedPr !== null) break;
+      const res = await runner(["log", "-1", "--format=%s", reverted], { cwd: gitDir });
+      if (res.exitCode === 0) revertedPr = prNumberFromSubject(res.stdout.trim());
+    }
+
+    commits.push({ sha, subject, revertedShas, revertedPr, undoneBy: null });
+  }
+
+  // `git log` is newest first, so a re-apply ("Revert "Revert ..."") precedes what it undoes.
+  for (const c of commits) {
+    for (const reverted of c.revertedShas) {
+      const target = commits.find((o) => o.sha === reverted || o.sha.startsWith(reverted));
+      if (target && !target.undoneBy) target.undoneBy = c.sha;
+    }
+  }
+
+  return commits;
+}
@@ -0,0 +1,41 @@
+import { spawn } from "node:child_process";
+
+export type GitRunResult = {
+  exitCode: number;
+  stdout: string;
+  stderr: string;
+};
+
+export type GitRunner = (args: string[], opts?: { cwd?: string; stdin?: string }) => Promise<GitRunResult>;
+
+/**
+ * Default git runner.
+ *
+ * Like `runQmd`, this is small and injectable; it uses `spawn` rather than
+ * `execFile` because `git patch-id` reads the patch from stdin.
+ */
+export const runGit: GitRunner = async (args, opts = {}) => {
+  const child = spawn("git", args, { cwd: opts.cwd, stdio: ["pipe", "pipe", "pipe"], env: process.env });
+
+  const out: Buffer[] = [];
+  const err: Buffer[] = [];
+  child.stdout.on("data", (c: Buffer) => out.push(c));
+  child.stderr.on("data", (c: Buffer) => err.push(c));
+  // A failing `git` may exit before draining stdin; ignore EPIPE and report its exit code instead.
+  child.stdin.on("error", () => {});
+  child.stdin.end(opts.stdin ?? "");
+
+  const exitCode = await new Promise<number>((resolve) => {
+    child.on("error", (e) => {
+      err.push(Buffer.from(String(e.message)));
+      resolve(127);
+    });
+    child.on("close", (code) => resolve(code ?? 1));
+  });
+
+  return {
+    exitCode,
+    stdout: Buffer.concat(out).toString("utf8"),
+    stderr: Buffer.concat(err).toString("utf8")
+  };
+};
@@ -0,0 +1,135 @@
+/**
+ * A `ghRunner`-compatible transport that talks to the GitHub REST/GraphQL APIs
+ * directly with `fetch`, for machines where `gh` isn't installed or authenticated.
+ *
+ * It accepts the same `gh api ...` argument lists `GitHubFetch` builds and returns
+ * the same `--include`-style output (status line + headers + body), so response
+ * parsing, pagination and rate-limit handling stay in one place.
+ */
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+/**
+ * Derive the GraphQL endpoint from a REST base URL.
+ *
+ * - https://api.github.com          -> https://api.github.com/graphql
+ * - https://ghe.example.com/api/v3  -> https://ghe.example.com/api/graphql
+ */
+export function graphqlUrlFor(apiUrl) {
+  const base = String(apiUrl || DEFAULT_API_URL).replace(/\/+$/, '');
+  if (/\/api\/v3$/.test(base)) return base.replace(/\/api\/v3$/, '/api/graphql');
+  return `${base}/graphql`;
+}
+
+/**
+ * Parse `gh api` style field flags into a JSON-ready object.
+ *
+ * `-f key=value` is always a string; `-F key=value` is typed (numbers, booleans, null),
+ * mirroring `gh api` semantics.
+ */
+function parseFieldArgs(args) {
+  /** @type {Record<string, unknown>} */
+  const fields = {};
+  for (let i = 0; i < args.length; i++) {
+    const flag = args[i];
+    if (flag !== '-f' && flag !== '-F' && flag !== '--raw-field' && flag !== '--field') continue;
+    const pair = args[i + 1] ?? '';
+    i++;
+    const eq = pair.indexOf('=');
+    if (eq < 0) continue;
+    const key = pair.slice(0, eq);
+    const raw = pair.slice(eq + 1);
+
+    if (flag === '-f' || flag === '--raw-field') {
+      fields[key] = raw;
+    } else if (raw === 'true' || raw === 'false') {
+      fields[key] = raw === 'true';
+    } else if (raw === 'null') {
+      fields[key] = null;
+    } else if (/^-?\d+(\.\d+)?$/.test(raw)) {
+      fields[key] = Number(raw);
+    } else {
+      fields[key] = raw;
+    }
+  }
+  return fields;
+}
+
+function formatIncludeOutput(res, bodyText) {
+  const lines = [`HTTP/1.1 ${res.status} ${res.statusText || ''}`.trimEnd()];
+  res.headers.forEach((value, name) => {
+    lines.push(`${name}: ${value}`);
+  });
+  return `${lines.join('\r\n')}\r\n\r\n${bodyText}`;
+}
+
+/**
+ * Create a fetch-based runner.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.apiUrl] - REST base URL (e.g. "https://api.github.com" or "https://ghe.host/api/v3")
+ * @param {string} [opts.token] - GitHub token sent as `Authorization: Bearer <token>`
+ * @param {typeof fetch} [opts.fetchFn]
+ * @param {number} [opts.timeoutMs]
+ * @returns {(args: string[]) => Promise<{exitCode:number, stdout:string, stderr:string, timedOut?:boolean}>}
+ */
+export function createFetchRunner({ apiUrl = DEFAULT_API_URL, token, fetchFn = fetch, timeoutMs = 30_000 } = {}) {
+  const restBase = String(apiUrl).replace(/\/+$/, '');
+  const graphqlUrl = graphqlUrlFor(restBase);
+
+  return async (args) => {
+    if (args[0] !== 'api') {
+      return { exitCode: 1, stdout: '', stderr: `fetch runner only supports "api" calls (got: ${args[0]})` };
+    }
+
+    const isGraphql = args[1] === 'graphql';
+    const methodIdx = args.indexOf('-X');
+    const method = isGraphql ? 'POST' : methodIdx >= 0 ? args[methodIdx + 1] : 'GET';
+
+    /** @type {Record<string, string>} */
+    const headers = {
+      accept: 'application/vnd.github+json',
+      'user-agent': 'pr-sheriff',
+      'x-github-api-version': '2022-11-28',
+    };
+    if (token) headers.authorization = `Bearer ${token}`;
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] !== '-H' && args[i] !== '--header') continue;
+      const m = /^([^:]+):\s*(.*)$/.exec(args[i + 1] ?? '');
+      if (m) headers[m[1].toLowerCase()] = m[2];
+      i++;
+    }
+
+    let url;
+    /** @type {string | undefined} */
+    let body;
+    if (isGraphql) {
+      const { query, ...variables } = parseFieldArgs(args);
+      url = graphqlUrl;
+      headers['content-type'] = 'application/json';
+      body = JSON.stringify({ query, variables });
+    } else {
+      const endpoint = args[args.length - 1] ?? '';
+      // Pagination `Link` URLs are absolute; everything else is relative to the API base.
+      url = /^https?:\/\//.test(endpoint) ? endpoint : `${restBase}${endpoint.startsWith('/') ? '' : '/'}${endpoint}`;
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timeout = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+
+    try {
+      const res = await fetchFn(url, { method, headers, body, signal: controller.signal });
+      const text = await res.text();
+      return { exitCode: res.ok ? 0 : 1, stdout: formatIncludeOutput(res, text), stderr: '' };
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      return { exitCode: 1, stdout: '', stderr: `fetch ${method} ${url} failed: ${message}`, timedOut };
+    } finally {
+      clearTimeout(timeout);
+    }
+  };
+}
@@ -6,13 +6,23 @@ function sha256Hex(text) {
   return crypto.createHash('sha256').update(text).digest('hex');
 }
 
+function sortKeysDeep(value) {
+  if (Array.isArray(value)) return value.map(sortKeysDeep);
+  if (!value || typeof value !== 'object') return value;
+  /** @type {Record<string, unknown>} */
+  const out = {};
+  for (const k of Object.keys(value).sort()) out[k] = sortKeysDeep(value[k]);
+  return out;
+}
+
 /**
  * Build a stable cache key for a request.
  *
- * Keep this deterministic across platforms by using JSON with sorted keys.
+ * Keep this deterministic across platforms by using JSON with sorted keys
+ * (recursively, so nested request params are part of the key).
  */
 export function cacheKey(parts) {
-  const stable = JSON.stringify(parts, Object.keys(parts).sort());
+  const stable = JSON.stringify(sortKeysDeep(parts));
   return sha256Hex(stable);
 }
 
@@ -101,6 +101,35 @@ export class GitHubFetch {
     this.ghRunner = ghRunner;
     this.sleepFn = sleepFn;
     this.maxBackoffSeconds = maxBackoffSeconds;
+
+    /** @type {Map<string, GitHubFetch>} */
+    this.siblings = new Map([[repo.toLowerCase(), this]]);
+  }
+
+  /**
+   * A `GitHubFetch` for another repo that shares this one's runner, cache and backoff settings.
+   *
+   * Instances are memoized (case-insensitively), so `gh.forRepo(x).forRepo(gh.repo)` is `gh`.
+   *
+   * @param {string} repo - "owner/name"
+   * @returns {GitHubFetch}
+   */
+  forRepo(repo) {
+    const key = String(repo).toLowerCase();
+    const existing = this.siblings.get(key);
+    if (existing) return existing;
+
+    const sibling = new GitHubFetch({
+      repo,
+      cacheDir: this.cacheDir,
+      cacheTtlSeconds: this.cacheTtlSeconds,
+      ghRunner: this.ghRunner,
+      sleepFn: this.sleepFn,
+      maxBackoffSeconds: this.maxBackoffSeconds,
+    });
+    sibling.siblings = this.siblings;
+    this.siblings.set(key, sibling);
+    return sibling;
   }
 
   /**
@@ -114,6 +143,73 @@ export class GitHubFetch {
     });
   }
 
+  /**
+   * List pull requests in the repo, newest first.
+   *
+   * @param {object} opts
+   * @param {"open"|"closed"|"all"} [opts.state] - defaults to "open"
+   * @param {"created"|"updated"} [opts.sort] - newest by creation (default) or by last update
+   * @param {string} [opts.since] - with `sort: "updated"`, stop at the first PR updated before this ISO timestamp
+   * @param {number} [opts.limit] - stop paginating once this many PRs are collected
+   * @param {boolean} [opts.useCache]
+   */
+  async listPRs({ state = 'open', sort = 'created', since = undefined, limit = undefined, useCache = true } = {}) {
+    const prs = await this.#restPaginateArray({
+      endpoint: `/repos/${this.owner}/${this.name}/pulls`,
+      params: { state, sort, direction: 'desc' },
+      limit,
+      useCache,
+      // The pulls endpoint has no `since`; pages are sorted by update, so stop at the first older PR.
+      stopAt: since && sort === 'updated' ? (pr) => !pr?.updated_at || pr.updated_at < since : undefined,
+      variant: since && sort === 'updated' ? { since } : undefined,
+    });
+    return limit === undefined ? prs : prs.slice(0, limit);
+  }
+
+  /**
+   * List issues (pull requests excluded), most recently updated first.
+   *
+   * @param {object} opts
+   * @param {"open"|"closed"|"all"} [opts.state] - defaults to "open"
+   * @param {string} [opts.since] - only issues updated at or after this ISO timestamp
+   * @param {number} [opts.limit] - stop paginating once this many issues are collected
+   * @param {boolean} [opts.useCache]
+   */
+  async listIssues({ state = 'open', since = undefined, limit = undefined, useCache = true } = {}) {
+    const issues = await this.#restPaginateArray({
+      endpoint: `/repos/${this.owner}/${this.name}/issues`,
+      params: { state, sort: 'updated', direction: 'desc', ...(since ? { since } : {}) },
+      limit,
+      useCache,
+      keep: (it) => !it?.pull_request,
+      variant: { issuesOnly: true },
+    });
+    return limit === undefined ? issues : issues.slice(0, limit);
+  }
+
+  /**
+   * List files changed by a PR (filename, status, additions/deletions, per-file `patch`).
+   *
+   * GitHub omits `patch` for binary and very large files; use `getPRDiff()` for those.
+   */
+  async listPRFiles(number, { useCache = true } = {}) {
+    return await this.#restPaginateArray({
+      endpoint: `/repos/${this.owner}/${this.name}/pulls/${number}/files`,
+      useCache,
+    });
+  }
+
+  /**
+   * Fetch the full unified diff for a PR as text.
+   */
+  async getPRDiff(number, { useCache = true } = {}) {
+    return await this.#restRequestText({
+      endpoint: `/repos/${this.owner}/${this.name}/pulls/${number}`,
+      accept: 'application/vnd.github.diff',
+      useCache,
+    });
+  }
+
   /**
    * Fetch issue details.
    */
@@ -131,10 +227,7 @@ export class GitHubFetch {
    * @returns {Promise<{issueComments:any[], reviewComments:any[], all:any[]}>}
    */
   async listPRComments(number, { useCache = true } = {}) {
-    const issueComments = await this.#restPaginateArray({
-      endpoint: `/repos/${this.owner}/${this.name}/issues/${number}/comments`,
-      useCache,
-    });
+    const issueComments = await this.listIssueComments(number, { useCache });
 
     const reviewComments = await this.#restPaginateArray({
       endpoint: `/repos/${this.owner}/${this.name}/pulls/${number}/comments`,
@@ -150,6 +243,74 @@ export class GitHubFetch {
     return { issueComments, reviewComments, all };
   }
 
+  /**
+   * List the conversation comments on an issue or PR (not inline review comments), oldest first.
+   *
+   * @param {number} number
+   * @param {{limit?: number, useCache?: boolean}} [opts] - `limit` keeps the first N
+   */
+  async listIssueComments(number, { limit = undefined, useCache = true } = {}) {
+    const comments = await this.#restPaginateArray({
+      endpoint: `/repos/${this.owner}/${this.name}/issues/${number}/comments`,
+      limit,
+      useCache,
+    });
+    return limit === undefined ? comments : comments.slice(0, limit);
+  }
+
+  /**
+   * List reviews on a PR (APPROVED / CHANGES_REQUESTED / COMMENTED / DISMISSED), oldest first.
+   *
+   * @param {number} number
+   * @param {{limit?: number, useCache?: boolean}} [opts] - `limit` keeps the first N
+   */
+  async listPRReviews(number, { limit = undefined, useCache = true } = {}) {
+    const reviews = await this.#restPaginateArray({
+      endpoint: `/repos/${this.owner}/${this.name}/pulls/${number}/reviews`,
+      limit,
+      useCache,
+    });
+    return limit === undefined ? reviews : reviews.slice(0, limit);
+  }
+
+  /**
+   * Fetch the combined commit status (legacy status API) for a ref: `{state, statuses}`.
+   */
+  async getCombinedStatus(ref, { useCache = true } = {}) {
+    return await this.#restRequest({
+      method: 'GET',
+      endpoint: `/repos/${this.owner}/${this.name}/commits/${ref}/status`,
+      useCache,
+    });
+  }
+
+  /**
+   * List check runs (GitHub Actions and other checks apps) for a ref.
+   *
+   * Only the first 100 runs are returned; that is plenty to tell passing from failing.
+   */
+  async listCheckRuns(ref, { useCache = true } = {}) {
+    const body = await this.#restRequest({
+      method: 'GET',
+      endpoint: `/repos/${this.owner}/${this.name}/commits/${ref}/check-runs`,
+      params: { per_page: 100 },
+      useCache,
+    });
+    return body?.check_runs ?? [];
+  }
+
+  /**
+   * List pull requests associated with a commit (the PR that merged it, or open PRs containing it).
+   *
+   * Used to resolve "closed by commit" timeline events to the PR that landed the commit.
+   */
+  async listPRsForCommit(sha, { useCache = true } = {}) {
+    return await this.#restPaginateArray({
+      endpoint: `/repos/${this.owner}/${this.name}/commits/${sha}/pulls`,
+      useCache,
+    });
+  }
+
   /**
    * Fetch issue timeline events, including cross-references and "closed by" data.
    *
@@ -179,8 +340,8 @@ export class GitHubFetch {
                   actor { login }
                   source {
                     __typename
-                    ... on PullRequest { number title url mergedAt closedAt }
-                    ... on Issue { number title url closedAt }
+                    ... on PullRequest { number title url mergedAt closedAt repository { nameWithOwner } }
+                    ... on Issue { number title url closedAt repository { nameWithOwner } }
                   }
                 }
                 ... on ReferencedEvent {
@@ -194,8 +355,8 @@ export class GitHubFetch {
                   actor { login }
                   closer {
                     __typename
-                    ... on PullRequest { number title url mergedAt closedAt }
-                    ... on Commit { oid url messageHeadline }
+                    ... on PullRequest { number title url mergedAt closedAt repository { nameWithOwner } }
+                    ... on Commit { oid url messageHeadline repository { nameWithOwner } }
                   }
                 }
                 ... on ReopenedEvent {
@@ -230,6 +391,44 @@ export class GitHubFetch {
     return nodes;
   }
 
+  /**
+   * Fetch PRs that cross-reference a PR, with the title/body needed to spot reverts
+   * ("Revert \"...\"", "Reverts owner/repo#123").
+   *
+   * Separate from `getIssueTimeline` because GraphQL's `issue(number:)` does not resolve PRs.
+   */
+  async getPRTimeline(number, { useCache = true } = {}) {
+    const query = `
+      query($owner: String!, $name: String!, $number: Int!, $cursor: String) {
+        repository(owner: $owner, name: $name) {
+          pullRequest(number: $number) {
+            timelineItems(first: 100, after: $cursor, itemTypes: [CROSS_REFERENCED_EVENT]) {
+              nodes {
+                __typename
+                ... on CrossReferencedEvent {
+                  createdAt
+                  actor { login }
+                  source {
+                    __typename
+                    ... on PullRequest { number title body url state mergedAt closedAt repository { nameWithOwner } }
+                  }
+                }
+              }
+              pageInfo { hasNextPage endCursor }
+            }
+          }
+        }
+      }
+    `.trim();
+
+    return this.#graphqlPaginateNodes({
+      query,
+      variables: { owner: this.owner, name: this.name, number },
+      extract: (data) => data?.repository?.pullRequest?.timelineItems,
+      useCache,
+    });
+  }
+
   /**
    * Search merged PRs in a repo, with optional time window.
    *
@@ -262,14 +461,20 @@ export class GitHubFetch {
     return result.items;
   }
 
-  async #restPaginateArray({ endpoint, params = {}, useCache }) {
-    const key = cacheKey({ kind: 'rest-array', endpoint, params, repo: this.repo });
+  /**
+   * @param {object} opts
+   * @param {(item: any) => boolean} [opts.keep] - drop items that don't pass (they don't count toward `limit`)
+   * @param {(item: any) => boolean} [opts.stopAt] - stop paginating at the first matching item (excluded)
+   * @param {object} [opts.variant] - distinguishes the cache key when `keep`/`stopAt` change the result
+   */
+  async #restPaginateArray({ endpoint, params = {}, limit = undefined, useCache, keep = undefined, stopAt = undefined, variant = undefined }) {
+    const key = cacheKey({ kind: 'rest-array', endpoint, params, limit, repo: this.repo, ...(variant ? { variant } : {}) });
     if (useCache) {
       const cached = readJsonCache({ cacheDir: this.cacheDir, key, ttlSeconds: this.cacheTtlSeconds });
       if (cached) return cached;
     }
 
-    const perPage = 100;
+    const perPage = limit === undefined ? 100 : Math.min(100, Math.max(1, limit));
     let url = `${endpoint}${encodeQuery({ ...params, per_page: perPage })}`;
     /** @type {any[]} */
     const out = [];
@@ -281,7 +486,11 @@ export class GitHubFetch {
       if (!Array.isArray(body)) {
         throw new Error(`Expected array response for ${endpoint}`);
       }
-      out.push(...body);
+      const stopIdx = stopAt ? body.findIndex(stopAt) : -1;
+      const pageItems = stopIdx >= 0 ? body.slice(0, stopIdx) : body;
+      out.push(...(keep ? pageItems.filter(keep) : pageItems));
+      if (stopIdx >= 0) break;
+      if (limit !== undefined && out.length >= limit) break;
 
       const rels = parseLinkHeader(headers.link);
       if (!rels.next) break;
@@ -344,6 +553,26 @@ export class GitHubFetch {
     return body;
   }
 
+  async #restRequestText({ endpoint, accept, useCache }) {
+    const key = cacheKey({ kind: 'rest-text', endpoint, accept, repo: this.repo });
+    if (useCache) {
+      const cached = readJsonCache({ cacheDir: this.cacheDir, key, ttlSeconds: this.cacheTtlSeconds });
+      if (typeof cached === 'string') return cached;
+    }
+
+    const args = ['api', '--include', '-X', 'GET', '-H', `Accept: ${accept}`, endpoint];
+    const { status, bodyText } = await this.#executeWithBackoff(args, (raw) => {
+      const { status: s, headers, bodyText: text } = splitHttpResponse(raw);
+      return { status: s, headers, bodyText: text };
+    });
+    if (status && status >= 400) {
+      throw new Error(`GitHub API error ${status} for ${endpoint}`);
+    }
+
+    if (useCache) writeJsonCache({ cacheDir: this.cacheDir, key, value: bodyText });
+    return bodyText;
+  }
+
   async #restRequestRaw({ method, endpoint }) {
     const args = ['api', '--include', '-X', method, endpoint];
     return await this.#executeWithBackoff(args, (raw) => {
@@ -17,13 +17,34 @@ export class GitHubFetch {
     maxBackoffSeconds?: number;
   });
 
+  readonly repo: string;
+  readonly owner: string;
+  readonly name: string;
+
+  forRepo(repo: string): GitHubFetch;
   getPR(number: number, opts?: { useCache?: boolean }): Promise<any>;
+  listPRs(opts?: {
+    state?: "open" | "closed" | "all";
+    sort?: "created" | "updated";
+    since?: string;
+    limit?: number;
+    useCache?: boolean;
+  }): Promise<any[]>;
+  listIssues(opts?: { state?: "open" | "closed" | "all"; since?: string; limit?: number; useCache?: boolean }): Promise<any[]>;
+  listPRFiles(number: number, opts?: { useCache?: boolean }): Promise<any[]>;
+  getPRDiff(number: number, opts?: { useCache?: boolean }): Promise<string>;
   getIssue(number: number, opts?: { useCache?: boolean }): Promise<any>;
   listPRComments(
     number: number,
     opts?: { useCache?: boolean },
   ): Promise<{ issueComments: any[]; reviewComments: any[]; all: any[] }>;
+  listIssueComments(number: number, opts?: { limit?: number; useCache?: boolean }): Promise<any[]>;
+  listPRReviews(number: number, opts?: { limit?: number; useCache?: boolean }): Promise<any[]>;
+  getCombinedStatus(ref: string, opts?: { useCache?: boolean }): Promise<any>;
+  listCheckRuns(ref: string, opts?: { useCache?: boolean }): Promise<any[]>;
+  listPRsForCommit(sha: string, opts?: { useCache?: boolean }): Promise<any[]>;
   getIssueTimeline(number: number, opts?: { useCache?: boolean }): Promise<any[]>;
+  getPRTimeline(number: number, opts?: { useCache?: boolean }): Promise<any[]>;
   searchMergedPRs(opts?: {
     query?: string;
     mergedAfter?: string | Date;
@@ -34,3 +55,10 @@ export class GitHubFetch {
 
 export function defaultGhRunner(args: string[], runnerOpts?: any): Promise<GhRunnerResult>;
 
+
+export function createFetchRunner(opts?: {
+  apiUrl?: string;
+  token?: string;
+  fetchFn?: typeof fetch;
+  timeoutMs?: number;
+}): GhRunner;
@@ -1,3 +1,4 @@
 export { GitHubFetch } from './github_fetch.mjs';
 export { defaultGhRunner } from './gh_api_runner.mjs';
 
+export { createFetchRunner } from './fetch_runner.mjs';
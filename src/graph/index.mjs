@@ -1,3 +1,11 @@
-export { buildReferenceGraph } from "./reference_graph_builder.mjs";
-export { extractReferencedNumbers, extractReferencedNumbersFromPRAndComments } from "./reference_extraction.mjs";
+export { DEFAULT_GRAPH_BUDGETS, buildReferenceGraph } from "./reference_graph_builder.mjs";
+export {
+  REFERENCE_REGIONS,
+  REFERENCE_TYPES,
+  detectRevert,
+  extractReferencedNumbers,
+  extractReferencedNumbersFromPRAndComments,
+  extractTypedReferences,
+  extractTypedReferencesFromPRAndComments,
+} from "./reference_extraction.mjs";
 
@@ -1,46 +1,256 @@
 /**
- * Extract same-repo issue/PR references from an arbitrary text blob.
+ * Reference types, strongest first. A number referenced several times keeps its strongest type.
  *
- * Supported patterns:
- * - "#123" (shorthand, same repo)
- * - "owner/repo#123" (fully qualified, only if matches owner/repo)
- * - "https://github.com/owner/repo/issues/123" (same repo)
- * - "https://github.com/owner/repo/pull/123" (same repo)
+ * Direction is from the text's author: "Superseded by #50" in PR #40's body yields
+ * `{number: 50, type: "superseded_by"}`, i.e. #50 supersedes #40.
  *
- * This function is pure and does not call the network.
+ * @typedef {"closes" | "supersedes" | "superseded_by" | "duplicate_of" | "replaces" | "reverts" | "mention"} ReferenceType
+ * @type {ReferenceType[]}
+ */
+export const REFERENCE_TYPES = ["closes", "supersedes", "superseded_by", "duplicate_of", "replaces", "reverts", "mention"];
+
+// Keyword, optional markdown emphasis and colon, then the reference: "Fixes #1", "**Closes**: #1".
+const SEP = String.raw`[*_]*\s*:?[*_]*\s*`;
+
+/** @param {string} keyword */
+const keywordBefore = (keyword) => new RegExp(String.raw`[*_]*\b(?:${keyword})${SEP}$`, "i");
+
+/** @type {[ReferenceType, RegExp][]} matched against the text right before a reference */
+const KEYWORD_PATTERNS = [
+  ["closes", keywordBefore(String.raw`close[sd]?|fix(?:e[sd])?|resolve[sd]?`)],
+  ["superseded_by", keywordBefore(String.raw`(?:superseded|replaced|obsoleted)\s+by`)],
+  ["supersedes", keywordBefore(String.raw`supersed(?:es|e|ing)`)],
+  ["duplicate_of", keywordBefore(String.raw`(?:duplicate|dup|dupe)\s+of|duplicates`)],
+  ["replaces", keywordBefore(String.raw`replac(?:es|e|ing)`)],
+  ["reverts", keywordBefore(String.raw`revert(?:s|ed|ing)?`)],
+];
+
+// "not a duplicate of #12", "doesn't fix #12": the keyword is there but the relationship isn't.
+const NEGATION = /(?:\b(?:not|never|no longer)|n't)\s+(?:(?:an?|the)\s+)?$/i;
+
+/** How far back from a reference we look for a keyword (same line only). */
+const KEYWORD_WINDOW_CHARS = 60;
+
+/**
+ * Markdown region a reference was found in. Only "text" counts by default: pasted logs,
+ * quoted replies and template comments are full of "#1"s that aren't references.
  *
- * @param {string | null | undefined} text
- * @param {{ owner: string, repo: string }} repo
- * @returns {number[]} sorted unique referenced numbers
+ * @typedef {"text" | "code" | "quote" | "html_comment"} ReferenceRegion
+ * @type {ReferenceRegion[]}
+ */
+export const REFERENCE_REGIONS = ["text", "code", "quote", "html_comment"];
+
+/**
+ * @typedef {{owner: string, repo: string, number: number, type: ReferenceType, snippet: string, region: ReferenceRegion}} TypedReference
  */
-export function extractReferencedNumbers(text, { owner, repo }) {
-  if (!text) return [];
-  const repoFull = `${owner}/${repo}`;
 
-  /** @type {Set<number>} */
-  const out = new Set();
+const FENCE_OPEN = /^ {0,3}(`{3,}|~{3,})/;
+const BLOCKQUOTE = /^ {0,3}>/;
+const INDENTED_CODE = /^(?: {4}|\t)/;
+
+/**
+ * Split Markdown into regions, line by line: fenced code (``` / ~~~, unterminated runs to the
+ * end), indented code (needs a blank line or more code before it, like CommonMark), blockquotes,
+ * and HTML comments outside code. Good enough for PR bodies; not a full CommonMark parser.
+ *
+ * @param {string} text
+ * @returns {(pos: number) => ReferenceRegion}
+ */
+function markdownRegions(text) {
+  /** @type {{start: number, end: number, region: ReferenceRegion}[]} */
+  const lines = [];
+  /** @type {{char: string, len: number} | null} */
+  let fence = null;
+  let prevBlank = true;
+  let prevIndentedCode = false;
+  let offset = 0;
+  for (const line of text.split("\n")) {
+    const start = offset;
+    offset += line.length + 1;
+    /** @type {ReferenceRegion} */
+    let region = "text";
+    if (fence) {
+      region = "code";
+      const close = FENCE_OPEN.exec(line);
+      if (close && close[1][0] === fence.char && close[1].length >= fence.len && !line.slice(close[0].length).trim()) {
+        fence = null;
+      }
+    } else if (FENCE_OPEN.test(line)) {
+      const open = /** @type {RegExpExecArray} */ (FENCE_OPEN.exec(line))[1];
+      fence = { char: open[0], len: open.length };
+      region = "code";
+    } else if (line.trim() && INDENTED_CODE.test(line) && (prevBlank || prevIndentedCode)) {
+      region = "code";
+    } else if (BLOCKQUOTE.test(line)) {
+      region = "quote";
+    }
+    prevIndentedCode = region === "code" && !fence && INDENTED_CODE.test(line);
+    prevBlank = !line.trim();
+    lines.push({ start, end: offset, region });
+  }
+
+  /** @param {number} pos */
+  const lineRegion = (pos) => lines.find((l) => pos < l.end)?.region ?? "text";
+
+  /** @type {{start: number, end: number}[]} */
+  const comments = [];
+  for (const m of text.matchAll(/<!--[\s\S]*?(?:-->|$)/g)) {
+    if (lineRegion(m.index) === "code") continue;
+    comments.push({ start: m.index, end: m.index + m[0].length });
+  }
+
+  return (pos) => (comments.some((c) => pos >= c.start && pos < c.end) ? "html_comment" : lineRegion(pos));
+}
+
+/**
+ * Find reference tokens with their positions. Shorthand "#123" belongs to the home repo;
+ * qualified references and URLs keep the repo they name.
+ *
+ * @param {string} text
+ * @param {{ owner: string, repo: string }} home
+ * @returns {{owner: string, repo: string, number: number, start: number, end: number}[]}
+ */
+function findReferenceTokens(text, home) {
+  const homeFull = `${home.owner}/${home.repo}`.toLowerCase();
+  /** @type {{owner: string, repo: string, number: number, start: number, end: number}[]} */
+  const out = [];
+  const add = (owner, repo, raw, start, end) => {
+    const num = Number.parseInt(raw, 10);
+    if (!Number.isFinite(num) || num <= 0) return;
+    // GitHub owner/repo names are case-insensitive; keep the home repo's spelling.
+    const isHome = `${owner}/${repo}`.toLowerCase() === homeFull;
+    out.push({ owner: isHome ? home.owner : owner, repo: isHome ? home.repo : repo, number: num, start, end });
+  };
 
   // Same-repo shorthand references: "#123", but avoid matching within identifiers like "foo#123bar".
-  for (const m of String(text).matchAll(/(^|[^A-Za-z0-9_])#(\d+)\b/g)) {
-    const num = Number.parseInt(m[2], 10);
-    if (Number.isFinite(num) && num > 0) out.add(num);
+  for (const m of text.matchAll(/(^|[^A-Za-z0-9_])#(\d+)\b/g)) {
+    const start = m.index + m[1].length;
+    add(home.owner, home.repo, m[2], start, m.index + m[0].length);
   }
 
-  // Fully-qualified references: "owner/repo#123"
-  for (const m of String(text).matchAll(/([A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+)#(\d+)\b/g)) {
-    if (m[1] !== repoFull) continue;
-    const num = Number.parseInt(m[2], 10);
-    if (Number.isFinite(num) && num > 0) out.add(num);
+  // Fully-qualified references: "owner/repo#123". Not right after "/", "." or ":" (or mid-name),
+  // so URL paths with fragments like "example.com/docs/page#12" aren't taken for one.
+  for (const m of text.matchAll(/(?<![A-Za-z0-9_.\-/:])([A-Za-z0-9_.-]+)\/([A-Za-z0-9_.-]+)#(\d+)\b/g)) {
+    add(m[1], m[2], m[3], m.index, m.index + m[0].length);
   }
 
   // GitHub URLs: ".../issues/123" or ".../pull/123"
-  for (const m of String(text).matchAll(/https?:\/\/github\.com\/([^/]+)\/([^/]+)\/(issues|pull)\/(\d+)\b/g)) {
-    if (`${m[1]}/${m[2]}` !== repoFull) continue;
-    const num = Number.parseInt(m[4], 10);
-    if (Number.isFinite(num) && num > 0) out.add(num);
+  for (const m of text.matchAll(/https?:\/\/github\.com\/([^/]+)\/([^/]+)\/(issues|pull)\/(\d+)\b/g)) {
+    add(m[1], m[2], m[4], m.index, m.index + m[0].length);
+  }
+
+  return out;
+}
+
+/**
+ * Classify one reference by the keyword immediately before it.
+ *
+ * @param {string} text
+ * @param {number} start - index of the reference token
+ * @returns {{type: ReferenceType, keywordStart: number}}
+ */
+function classifyReference(text, start) {
+  const lineStart = text.lastIndexOf("\n", start - 1) + 1;
+  const windowStart = Math.max(lineStart, start - KEYWORD_WINDOW_CHARS);
+  const before = text.slice(windowStart, start);
+  for (const [type, re] of KEYWORD_PATTERNS) {
+    const m = re.exec(before);
+    if (!m) continue;
+    if (NEGATION.test(before.slice(0, m.index))) return { type: "mention", keywordStart: start };
+    return { type, keywordStart: windowStart + m.index };
+  }
+  return { type: "mention", keywordStart: start };
+}
+
+/**
+ * Extract issue/PR references from an arbitrary text blob, typed by the keyword that
+ * introduces them.
+ *
+ * Supported patterns:
+ * - "#123" (shorthand, resolved against the home repo)
+ * - "owner/repo#123" (fully qualified, any repo)
+ * - "https://github.com/owner/repo/issues/123" (any repo)
+ * - "https://github.com/owner/repo/pull/123" (any repo)
+ *
+ * Keywords (case-insensitive, optionally followed by ":"): GitHub's closing keywords
+ * (close/fix/resolve and variants), "superseded by", "supersedes", "duplicate of",
+ * "replaces", "reverts". Anything else, including negated keywords, is a "mention".
+ *
+ * References inside fenced/indented code, blockquotes and HTML comments are skipped unless
+ * `opts.includeIgnoredRegions` is set; every entry reports the `region` it came from.
+ *
+ * This function is pure and does not call the network.
+ *
+ * @param {string | null | undefined} text
+ * @param {{ owner: string, repo: string }} home - repo the text lives in
+ * @param {{ includeIgnoredRegions?: boolean }} [opts]
+ * @returns {TypedReference[]}
+ *   one entry per referenced issue/PR: home-repo references first, then other repos, each sorted by
+ *   number; `snippet` is the keyword and reference as written (first occurrence of the winning type)
+ */
+export function extractTypedReferences(text, home, opts = {}) {
+  if (!text) return [];
+  const str = String(text);
+  const regionAt = markdownRegions(str);
+
+  /** @type {TypedReference[]} */
+  const refs = [];
+  for (const tok of findReferenceTokens(str, home)) {
+    const region = regionAt(tok.start);
+    if (region !== "text" && !opts.includeIgnoredRegions) continue;
+    const { type, keywordStart } = classifyReference(str, tok.start);
+    refs.push({
+      owner: tok.owner,
+      repo: tok.repo,
+      number: tok.number,
+      type,
+      snippet: str.slice(keywordStart, tok.end).trim(),
+      region,
+    });
+  }
+  return mergeTypedReferences([refs], home);
+}
+
+/**
+ * Merge reference lists (in text order) into one entry per issue/PR with the strongest type.
+ *
+ * @param {TypedReference[][]} lists
+ * @param {{ owner: string, repo: string }} home
+ * @returns {TypedReference[]}
+ */
+function mergeTypedReferences(lists, home) {
+  const homeKey = `${home.owner}/${home.repo}`.toLowerCase();
+
+  /** @type {Map<string, TypedReference>} */
+  const byRef = new Map();
+  for (const r of lists.flat()) {
+    const key = `${r.owner}/${r.repo}#${r.number}`.toLowerCase();
+    const prev = byRef.get(key);
+    if (prev && REFERENCE_TYPES.indexOf(prev.type) <= REFERENCE_TYPES.indexOf(r.type)) continue;
+    byRef.set(key, r);
   }
 
-  return Array.from(out).sort((a, b) => a - b);
+  const repoKey = (r) => {
+    const k = `${r.owner}/${r.repo}`.toLowerCase();
+    return k === homeKey ? "" : k;
+  };
+  return Array.from(byRef.values()).sort(
+    (a, b) => repoKey(a).localeCompare(repoKey(b)) || a.number - b.number,
+  );
+}
+
+/**
+ * Extract same-repo issue/PR numbers from an arbitrary text blob (untyped).
+ *
+ * @param {string | null | undefined} text
+ * @param {{ owner: string, repo: string }} repo
+ * @param {{ includeIgnoredRegions?: boolean }} [opts]
+ * @returns {number[]} sorted unique referenced numbers
+ */
+export function extractReferencedNumbers(text, repo, opts = {}) {
+  return extractTypedReferences(text, repo, opts)
+    .filter((r) => r.owner === repo.owner && r.repo === repo.repo)
+    .map((r) => r.number);
 }
 
 /**
@@ -49,14 +259,65 @@ export function extractReferencedNumbers(text, { owner, repo }) {
  * @param {{ body?: string | null } | null | undefined} pr
  * @param {{ body?: string | null }[] | null | undefined} comments
  * @param {{ owner: string, repo: string }} repo
+ * @param {{ includeIgnoredRegions?: boolean }} [opts]
  * @returns {number[]}
  */
-export function extractReferencedNumbersFromPRAndComments(pr, comments, repo) {
-  const parts = [];
-  parts.push(pr?.body ?? "");
-  for (const c of comments ?? []) {
-    parts.push(c?.body ?? "");
-  }
-  return extractReferencedNumbers(parts.join("\n\n"), repo);
+export function extractReferencedNumbersFromPRAndComments(pr, comments, repo, opts = {}) {
+  return extractTypedReferencesFromPRAndComments(pr, comments, repo, opts)
+    .filter((r) => r.owner === repo.owner && r.repo === repo.repo)
+    .map((r) => r.number);
 }
 
+/**
+ * Extract typed references from a PR body and its comments. Each text is parsed on its own,
+ * so an unclosed code fence in one comment doesn't hide the next.
+ *
+ * @param {{ body?: string | null } | null | undefined} pr
+ * @param {{ body?: string | null }[] | null | undefined} comments
+ * @param {{ owner: string, repo: string }} repo
+ * @param {{ includeIgnoredRegions?: boolean }} [opts]
+ * @returns {TypedReference[]}
+ */
+export function extractTypedReferencesFromPRAndComments(pr, comments, repo, opts = {}) {
+  const parts = [pr?.body ?? "", ...(comments ?? []).map((c) => c?.body ?? "")];
+  return mergeTypedReferences(
+    parts.map((t) => extractTypedReferences(t, repo, opts)),
+    repo,
+  );
+}
+
+/**
+ * Recognise a revert from a PR title/body or a commit message:
+ * - GitHub's revert PRs: title `Revert "Original title"`, body "Reverts owner/repo#123"
+ * - "This reverts #123" and other `reverts`-typed references (see `extractTypedReferences`)
+ * - `git revert` messages: `Revert "Subject (#123)"` plus "This reverts commit <sha>."
+ *
+ * `Revert "Revert \"X\""` re-applies X; it is reported as reverting the revert, which is
+ * what it is.
+ *
+ * @param {{ title?: string | null, body?: string | null }} item - for commits, pass the subject as `title`
+ *   and the rest of the message as `body`
+ * @param {{ owner: string, repo: string }} home - repo the item lives in
+ * @returns {{revertedTitle: string | null, revertedRefs: {owner: string, repo: string, number: number}[], revertedCommits: string[]} | null}
+ *   null when nothing marks the item as a revert
+ */
+export function detectRevert({ title = null, body = null }, home) {
+  const m = /^\s*Revert\s+"(.+)"\s*$/s.exec(title ?? "");
+  const revertedTitle = m ? m[1].trim() : null;
+
+  const revertedRefs = extractTypedReferences(body, home)
+    .filter((r) => r.type === "reverts")
+    .map(({ owner, repo, number }) => ({ owner, repo, number }));
+  // Squash-merge subjects end in "(#123)": `Revert "Fix foo (#123)"`.
+  const squashed = revertedTitle ? /\(#(\d+)\)$/.exec(revertedTitle) : null;
+  if (squashed && !revertedRefs.some((r) => r.owner === home.owner && r.repo === home.repo && r.number === Number(squashed[1]))) {
+    revertedRefs.push({ owner: home.owner, repo: home.repo, number: Number(squashed[1]) });
+  }
+
+  const revertedCommits = Array.from(
+    new Set(Array.from(String(body ?? "").matchAll(/\bThis reverts commit ([0-9a-f]{7,40})\b/gi), (c) => c[1].toLowerCase())),
+  );
+
+  if (!revertedTitle && revertedRefs.length === 0 && revertedCommits.length === 0) return null;
+  return { revertedTitle, revertedRefs, revertedCommits };
+}
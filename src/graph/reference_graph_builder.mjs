@@ -1,4 +1,4 @@
-import { extractReferencedNumbersFromPRAndComments } from "./reference_extraction.mjs";
+import { detectRevert, extractTypedReferencesFromPRAndComments } from "./reference_extraction.mjs";
 
 function prNodeId({ owner, repo, number }) {
   return `pr:${owner}/${repo}#${number}`;
@@ -8,6 +8,21 @@ function issueNodeId({ owner, repo, number }) {
   return `issue:${owner}/${repo}#${number}`;
 }
 
+/**
+ * Merged PRs this many hops from the root (the root and what it links to directly) have their
+ * timelines searched for reverts; further out, a revert rarely changes the verdict.
+ */
+const REVERT_CHECK_MAX_DEPTH = 1;
+
+/** A referenced number whose kind couldn't be fetched. */
+function unknownNodeId({ owner, repo, number }) {
+  return `unknown:${owner}/${repo}#${number}`;
+}
+
+function commitNodeId({ owner, repo, sha }) {
+  return `commit:${owner}/${repo}@${sha}`;
+}
+
 function addNode(graph, node) {
   graph.nodes[node.id] = node;
 }
@@ -16,25 +31,93 @@ function addEdge(graph, edge) {
   graph.edges.push(edge);
 }
 
+function addEdgeOnce(graph, edge) {
+  if (graph.edges.some((e) => e.from === edge.from && e.to === edge.to && e.type === edge.type)) return;
+  addEdge(graph, edge);
+}
+
 function uniquePush(arr, value) {
   if (!arr.includes(value)) arr.push(value);
 }
 
 /**
- * Build a small reference graph rooted at a PR, following issue/PR references and
- * "issue closed by PR" relationships up to 2 layers deep.
+ * Expansion priority of an edge kind (lower first). Closing relationships are the strongest
+ * supersession signal, so within a BFS layer they are expanded before cross-references and
+ * plain mentions and are the last to be cut when the budget runs out.
+ */
+const EDGE_PRIORITY = {
+  closed_by: 0,
+  closed_by_commit: 0,
+  associated_pr: 0,
+  reverted_by: 0,
+  cross_referenced_by: 1,
+  references: 2,
+};
+
+/**
+ * `references` edges introduced by a keyword ("Fixes #1", "Superseded by #2") rank with
+ * closing edges; plain mentions keep the `references` priority.
  *
- * Traversal overview:
- * - Root PR -> (references) numbers mentioned in body/comments (layer 1)
- * - For layer-1 issues:
- *   - Issue -> (closed_by|cross_referenced_by) PRs from issue timeline
- *   - Each closing/cross-ref PR -> (references) numbers mentioned in its body/comments (layer 2)
- * - For layer-2 issues:
- *   - Issue -> (closed_by|cross_referenced_by) PR numbers from issue timeline (no further expansion)
+ * @param {string} type
+ * @param {string | undefined} refType
+ */
+function edgePriority(type, refType) {
+  if (type === "references" && refType && refType !== "mention") return 0;
+  return EDGE_PRIORITY[type] ?? 9;
+}
+
+/** Traversal limits used for any budget the caller leaves unset. */
+export const DEFAULT_GRAPH_BUDGETS = Object.freeze({ maxDepth: 4, maxApiCalls: 100, maxNodes: 200 });
+
+class BudgetExhausted extends Error {
+  /** @param {"maxApiCalls" | "maxNodes"} which */
+  constructor(which) {
+    super(`reference graph budget exhausted: ${which}`);
+    this.which = which;
+  }
+}
+
+/**
+ * Build a reference graph rooted at a PR with a breadth-first traversal.
+ *
+ * Expansion per node kind:
+ * - PR -> (references) issue/PR numbers mentioned in its body/comments; each edge carries the
+ *   `refType` from `extractTypedReferences` ("closes", "superseded_by", ..., "mention").
+ *   Code blocks, blockquotes and HTML comments are skipped unless `includeIgnoredRegions`; edges
+ *   found there carry their `region`.
+ * - Issue -> (closed_by|cross_referenced_by) PRs from the issue timeline
+ * - Issue -> (closed_by_commit) Commit -> (associated_pr) PRs from `commits/{sha}/pulls`.
+ *   The commit is resolved inline, so a commit-closed PR sits at the same depth as a PR closer.
+ * - Merged PR -> (reverted_by) PRs from its timeline that revert it (`detectRevert`). That costs a
+ *   timeline call per PR, so only merged PRs within `REVERT_CHECK_MAX_DEPTH` hops are checked;
+ *   deeper ones are listed in `stats.revertChecks.skipped`. A PR found any other way whose text
+ *   "Reverts #n" also gets a `reverted_by` edge from #n (at any depth). Edges are added
+ *   whether or not the revert merged; check the reverting node's `mergedAt`.
+ *
+ * Ordering and budgets:
+ * - Nodes are visited by (depth, edge priority, discovery order); see `EDGE_PRIORITY`.
+ * - Nodes at `maxDepth` hops from the root are added but not expanded.
+ * - `maxApiCalls` caps GitHub requests (including `GET /issues/{n}` classification of
+ *   mentioned numbers) and `maxNodes` caps graph size. When either runs out the traversal
+ *   stops; `stats.truncated` records which budget, the node being visited, and every node
+ *   left unexpanded.
+ *
+ * Fetch errors:
+ * - A reference that can't be fetched (a private or deleted repo, a token without access, a
+ *   404) doesn't fail the traversal: a node whose kind is unknown is added as an `unknown` node,
+ *   a PR/issue node keeps its type, either gets an `error`, and `stats.fetchErrors` lists them.
+ *   Only a failure to load the root PR is thrown.
  *
  * Classification:
  * - We classify a referenced number via `GET /issues/{n}`: if payload includes `pull_request`,
- *   it's a PR number; otherwise it's an Issue number.
+ *   it's a PR number; otherwise it's an Issue number. Classification is deferred until the
+ *   number is visited, so low-priority mentions don't consume budget early.
+ *
+ * Repositories:
+ * - References, closers and cross-references may point at other repos (`owner/repo#n`, URLs).
+ *   Node IDs carry the full owner/repo; other repos are fetched with `gh.forRepo(...)`.
+ * - Only the root's repo and `followRepos` are followed; anything else is counted in
+ *   `stats.skippedRepos` and left out of the graph.
  *
  * @param {object} args
  * @param {import("../github/github_fetch.mjs").GitHubFetch} args.gh
@@ -42,10 +125,14 @@ function uniquePush(arr, value) {
  * @param {string} args.repo
  * @param {number} args.prNumber
  * @param {object} [args.budgets]
- * @param {number} [args.budgets.maxLayer1References] - cap numbers extracted from the root PR
- * @param {number} [args.budgets.maxClosingPrsPerIssue] - cap PRs from an issue timeline
- * @param {number} [args.budgets.maxLayer2ReferencesPerPr] - cap numbers extracted from a 1st-layer PR
- * @param {number} [args.budgets.maxLayer2ClosingPrsPerIssue] - cap PRs from a layer-2 issue timeline
+ * @param {number} [args.budgets.maxDepth] - hops from the root PR; nodes at this depth are not expanded
+ * @param {number} [args.budgets.maxApiCalls] - total GitHub API calls for the whole traversal
+ * @param {number} [args.budgets.maxNodes] - total nodes in the graph, including the root
+ * @param {string[]} [args.followRepos] - other "owner/repo"s whose issues/PRs may be followed
+ * @param {boolean} [args.includeIgnoredRegions] - also follow references in code, quotes and HTML comments
+ * @param {Map<string, "issue" | "pr" | "unknown">} [args.kindCache] - classification cache keyed by
+ *   "owner/repo#n"; pass the same map across calls (e.g. in batch mode) to avoid re-classifying
+ *   numbers shared between PRs
  * @returns {Promise<{rootId: string, nodes: Record<string, any>, edges: any[], budgets: any, stats: any}>}
  */
 export async function buildReferenceGraph({
@@ -54,12 +141,14 @@ export async function buildReferenceGraph({
   repo,
   prNumber,
   budgets = {},
+  followRepos = [],
+  includeIgnoredRegions = false,
+  kindCache = new Map(),
 }) {
   const caps = {
-    maxLayer1References: budgets.maxLayer1References ?? 10,
-    maxClosingPrsPerIssue: budgets.maxClosingPrsPerIssue ?? 5,
-    maxLayer2ReferencesPerPr: budgets.maxLayer2ReferencesPerPr ?? 10,
-    maxLayer2ClosingPrsPerIssue: budgets.maxLayer2ClosingPrsPerIssue ?? 5,
+    maxDepth: budgets.maxDepth ?? DEFAULT_GRAPH_BUDGETS.maxDepth,
+    maxApiCalls: budgets.maxApiCalls ?? DEFAULT_GRAPH_BUDGETS.maxApiCalls,
+    maxNodes: budgets.maxNodes ?? DEFAULT_GRAPH_BUDGETS.maxNodes,
   };
 
   /** @type {{rootId: string, nodes: Record<string, any>, edges: any[], budgets: any, stats: any}} */
@@ -69,201 +158,363 @@ export async function buildReferenceGraph({
     edges: [],
     budgets: caps,
     stats: {
-      apiCalls: { getPR: 0, getIssue: 0, listPRComments: 0, getIssueTimeline: 0 },
-      truncated: { layer1Refs: false, closingPrs: 0, layer2Refs: 0, layer2ClosingPrs: 0 },
+      apiCalls: { total: 0, getPR: 0, getIssue: 0, listPRComments: 0, getIssueTimeline: 0, listPRsForCommit: 0, getPRTimeline: 0 },
+      expanded: 0,
+      maxDepthReached: 0,
+      /** @type {Record<string, number>} references into repos outside the allowlist, by "owner/repo" */
+      skippedRepos: {},
+      /** @type {{id: string, repo: string, number: number, depth: number, message: string}[]} */
+      fetchErrors: [],
+      revertChecks: {
+        maxDepth: REVERT_CHECK_MAX_DEPTH,
+        /** @type {string[]} merged PRs beyond `maxDepth` whose timelines weren't searched */
+        skipped: [],
+      },
+      truncated: {
+        /** @type {null | "maxApiCalls" | "maxNodes"} */
+        stoppedBy: null,
+        /** @type {null | {id: string | null, repo: string, number: number | null, depth: number}} */
+        stoppedAt: null,
+        /** @type {{id: string | null, repo: string, number: number | null, depth: number, reason: "maxDepth" | "budget"}[]} */
+        unexpanded: [],
+        /** Pending edges discarded when a budget ran out. */
+        droppedEdges: 0,
+      },
     },
   };
 
-  /** @type {Map<number, "issue" | "pr" | "unknown">} */
-  const kindCache = new Map();
+  function spend(method) {
+    if (graph.stats.apiCalls.total >= caps.maxApiCalls) throw new BudgetExhausted("maxApiCalls");
+    graph.stats.apiCalls.total += 1;
+    graph.stats.apiCalls[method] += 1;
+  }
 
-  async function getNumberKind(num) {
-    if (kindCache.has(num)) return kindCache.get(num);
-    graph.stats.apiCalls.getIssue += 1;
-    const issue = await gh.getIssue(num, { useCache: true });
+  function ensureNode(node) {
+    const existing = graph.nodes[node.id];
+    if (existing) {
+      // Fill in metadata we didn't have when the node was first added as a stub.
+      for (const [k, v] of Object.entries(node)) {
+        if (existing[k] == null && v != null) existing[k] = v;
+      }
+      return existing;
+    }
+    if (Object.keys(graph.nodes).length >= caps.maxNodes) throw new BudgetExhausted("maxNodes");
+    addNode(graph, node);
+    return node;
+  }
+
+  const home = { owner, repo };
+  const allowed = new Set([`${owner}/${repo}`, ...followRepos].map((r) => r.toLowerCase()));
+
+  /** @param {{owner: string, repo: string}} r */
+  const repoFull = (r) => `${r.owner}/${r.repo}`;
+  /** @param {{owner: string, repo: string, number: number}} r */
+  const refKey = (r) => `${repoFull(r)}#${r.number}`.toLowerCase();
+  /** @param {{owner: string, repo: string}} r */
+  const ghFor = (r) => (repoFull(r).toLowerCase() === repoFull(home).toLowerCase() ? gh : gh.forRepo(repoFull(r)));
+
+  /**
+   * Parse a GraphQL `repository { nameWithOwner }` (absent means the home repo) and apply the allowlist.
+   * @returns {{owner: string, repo: string} | null}
+   */
+  function followable(nameWithOwner) {
+    const full = typeof nameWithOwner === "string" && nameWithOwner.includes("/") ? nameWithOwner : repoFull(home);
+    if (!allowed.has(full.toLowerCase())) {
+      graph.stats.skippedRepos[full] = (graph.stats.skippedRepos[full] ?? 0) + 1;
+      return null;
+    }
+    const [o, r] = full.split("/");
+    return full.toLowerCase() === repoFull(home).toLowerCase() ? home : { owner: o, repo: r };
+  }
+
+  function prNode(ref, pr, depth) {
+    return {
+      id: prNodeId(ref),
+      type: "pr",
+      owner: ref.owner,
+      repo: ref.repo,
+      number: ref.number,
+      title: pr?.title ?? null,
+      url: pr?.html_url ?? pr?.url ?? null,
+      mergedAt: pr?.merged_at ?? null,
+      closedAt: pr?.closed_at ?? null,
+      state: pr?.state ?? null,
+      depth,
+    };
+  }
+
+  async function getNumberKind(ref) {
+    const key = refKey(ref);
+    if (kindCache.has(key)) return kindCache.get(key);
+    spend("getIssue");
+    const issue = await ghFor(ref).getIssue(ref.number, { useCache: true });
     const kind = issue && typeof issue === "object" ? (issue.pull_request ? "pr" : "issue") : "unknown";
-    kindCache.set(num, kind);
+    kindCache.set(key, kind);
     return kind;
   }
 
-  async function fetchPRWithComments(num) {
-    graph.stats.apiCalls.getPR += 1;
-    const pr = await gh.getPR(num, { useCache: true });
-    graph.stats.apiCalls.listPRComments += 1;
-    const comments = await gh.listPRComments(num, { useCache: true });
+  async function fetchPRWithComments(ref) {
+    spend("getPR");
+    const pr = await ghFor(ref).getPR(ref.number, { useCache: true });
+    spend("listPRComments");
+    const comments = await ghFor(ref).listPRComments(ref.number, { useCache: true });
     return { pr, comments: comments.all };
   }
 
-  function timelinePRNumbers(nodes) {
-    /** @type {{closing: number[], crossReferenced: number[]}} */
-    const out = { closing: [], crossReferenced: [] };
+  /** @type {Map<string, any[]>} */
+  const commitPRsCache = new Map();
+  async function prsForCommit(commitRepo, sha) {
+    const key = `${repoFull(commitRepo)}@${sha}`;
+    if (commitPRsCache.has(key)) return commitPRsCache.get(key);
+    spend("listPRsForCommit");
+    const prs = await ghFor(commitRepo).listPRsForCommit(sha, { useCache: true });
+    const out = (Array.isArray(prs) ? prs : []).filter((p) => p && typeof p.number === "number");
+    commitPRsCache.set(key, out);
+    return out;
+  }
+
+  function timelineRelations(nodes) {
+    /** @typedef {{owner: string, repo: string, number: number}} Ref */
+    /** @type {{closing: Ref[], crossReferenced: Ref[], closingCommits: {repo: {owner: string, repo: string}, commit: any}[]}} */
+    const out = { closing: [], crossReferenced: [], closingCommits: [] };
+    const pushRef = (list, src) => {
+      const r = followable(src.repository?.nameWithOwner);
+      if (!r) return;
+      const ref = { ...r, number: src.number };
+      if (!list.some((x) => refKey(x) === refKey(ref))) list.push(ref);
+    };
     for (const ev of nodes || []) {
       if (!ev || typeof ev !== "object") continue;
       if (ev.__typename === "ClosedEvent") {
         const closer = ev.closer;
         if (closer && closer.__typename === "PullRequest" && typeof closer.number === "number") {
-          uniquePush(out.closing, closer.number);
+          pushRef(out.closing, closer);
+        }
+        if (
+          closer &&
+          closer.__typename === "Commit" &&
+          typeof closer.oid === "string" &&
+          !out.closingCommits.some((c) => c.commit.oid === closer.oid)
+        ) {
+          const r = followable(closer.repository?.nameWithOwner);
+          if (r) out.closingCommits.push({ repo: r, commit: closer });
         }
       }
       if (ev.__typename === "CrossReferencedEvent") {
         const src = ev.source;
         if (src && src.__typename === "PullRequest" && typeof src.number === "number") {
-          uniquePush(out.crossReferenced, src.number);
+          pushRef(out.crossReferenced, src);
         }
       }
     }
-    out.closing.sort((a, b) => a - b);
-    out.crossReferenced.sort((a, b) => a - b);
+    const byRef = (a, b) => repoFull(a).localeCompare(repoFull(b)) || a.number - b.number;
+    out.closing.sort(byRef);
+    out.crossReferenced.sort(byRef);
     return out;
   }
 
-  async function addIssueTimelineEdges(issueNum, { maxPrs, edgeKindFor }) {
-    graph.stats.apiCalls.getIssueTimeline += 1;
-    const timeline = await gh.getIssueTimeline(issueNum, { useCache: true });
-    const prNums = timelinePRNumbers(timeline);
+  /**
+   * Pending visits. `kind` is null for mentioned numbers that haven't been classified yet.
+   * @type {{ref: {owner: string, repo: string, number: number}, kind: "issue" | "pr" | null, depth: number,
+   *   priority: number, seq: number, edge: {from: string, type: string, refType?: string, region?: string} | null,
+   *   edgeAdded?: boolean, payload?: any}[]}
+   */
+  const queue = [];
+  let seq = 0;
+  const expanded = new Set();
 
-    const closing = prNums.closing.slice(0, maxPrs);
-    const cross = prNums.crossReferenced.slice(0, Math.max(0, maxPrs - closing.length));
-
-    if (prNums.closing.length > closing.length) graph.stats.truncated.closingPrs += 1;
-    if (prNums.crossReferenced.length > cross.length) graph.stats.truncated.closingPrs += 1;
-
-    for (const n of closing) {
-      const pid = prNodeId({ owner, repo, number: n });
-      if (!graph.nodes[pid]) {
-        addNode(graph, { id: pid, type: "pr", owner, repo, number: n });
-      }
-      addEdge(graph, { from: issueNodeId({ owner, repo, number: issueNum }), to: pid, type: edgeKindFor("closed_by") });
+  function enqueue(item) {
+    const entry = { ...item, seq: seq++ };
+    let i = queue.length;
+    while (
+      i > 0 &&
+      (queue[i - 1].depth > entry.depth || (queue[i - 1].depth === entry.depth && queue[i - 1].priority > entry.priority))
+    ) {
+      i--;
     }
-    for (const n of cross) {
-      const pid = prNodeId({ owner, repo, number: n });
-      if (!graph.nodes[pid]) {
-        addNode(graph, { id: pid, type: "pr", owner, repo, number: n });
-      }
-      addEdge(graph, { from: issueNodeId({ owner, repo, number: issueNum }), to: pid, type: edgeKindFor("cross_referenced_by") });
-    }
-
-    return { closing, crossReferenced: cross };
+    queue.splice(i, 0, entry);
   }
 
-  // Root PR node with minimal metadata.
-  const { pr: rootPr, comments: rootComments } = await fetchPRWithComments(prNumber);
-  addNode(graph, {
-    id: graph.rootId,
-    type: "pr",
-    owner,
-    repo,
-    number: prNumber,
-    title: rootPr?.title ?? null,
-    url: rootPr?.html_url ?? rootPr?.url ?? null,
-    mergedAt: rootPr?.merged_at ?? null,
-    closedAt: rootPr?.closed_at ?? null,
-    state: rootPr?.state ?? null,
-  });
-
-  const layer1All = extractReferencedNumbersFromPRAndComments(rootPr, rootComments, { owner, repo });
-  const layer1 = layer1All.slice(0, caps.maxLayer1References);
-  if (layer1All.length > layer1.length) graph.stats.truncated.layer1Refs = true;
-
-  /** @type {number[]} */
-  const layer1Issues = [];
-  /** @type {number[]} */
-  const layer1PRs = [];
-
-  for (const n of layer1) {
-    const kind = await getNumberKind(n);
-    if (kind === "issue") layer1Issues.push(n);
-    else if (kind === "pr") layer1PRs.push(n);
+  function enqueueChild({ ref, kind, from, type, refType = undefined, region = "text", depth, payload = undefined }) {
+    const edge = refType ? { from, type, refType } : { from, type };
+    if (region !== "text") edge.region = region;
+    enqueue({ ref, kind, depth, priority: edgePriority(type, refType), edge, payload });
   }
 
-  // Add layer-1 references edges from root PR.
-  for (const n of layer1Issues) {
-    const iid = issueNodeId({ owner, repo, number: n });
-    addNode(graph, { id: iid, type: "issue", owner, repo, number: n });
-    addEdge(graph, { from: graph.rootId, to: iid, type: "references" });
-  }
-  for (const n of layer1PRs) {
-    const pid = prNodeId({ owner, repo, number: n });
-    addNode(graph, { id: pid, type: "pr", owner, repo, number: n });
-    addEdge(graph, { from: graph.rootId, to: pid, type: "references" });
+  async function expandPR(ref, depth) {
+    const { pr, comments } = await fetchPRWithComments(ref);
+    const node = ensureNode(prNode(ref, pr, depth));
+    for (const r of extractTypedReferencesFromPRAndComments(pr, comments, ref, { includeIgnoredRegions })) {
+      const target = followable(repoFull(r));
+      if (!target) continue;
+      const child = { ...target, number: r.number };
+      if (refKey(child) === refKey(ref)) continue;
+      const known = kindCache.get(refKey(child));
+      enqueueChild({
+        ref: child,
+        kind: known === "pr" || known === "issue" ? known : null,
+        from: node.id,
+        type: "references",
+        refType: r.type,
+        region: r.region,
+        depth: depth + 1,
+      });
+    }
+    if (pr?.merged_at) {
+      if (depth <= REVERT_CHECK_MAX_DEPTH) await expandReverts(ref, pr, depth);
+      else graph.stats.revertChecks.skipped.push(node.id);
+    }
   }
 
-  // Expand layer-1 issues.
-  /** @type {number[]} */
-  const layer1IssueRelatedPRs = [];
-  for (const issueNum of layer1Issues) {
-    const issueId = issueNodeId({ owner, repo, number: issueNum });
-    const related = await addIssueTimelineEdges(issueNum, {
-      maxPrs: caps.maxClosingPrsPerIssue,
-      edgeKindFor: (k) => k,
-    });
-    for (const prNum of [...related.closing, ...related.crossReferenced]) {
-      uniquePush(layer1IssueRelatedPRs, prNum);
-      // Ensure edge source node exists (it should).
-      if (!graph.nodes[issueId]) addNode(graph, { id: issueId, type: "issue", owner, repo, number: issueNum });
+  /** Queue PRs that cross-reference a merged PR and revert it (by reference or by `Revert "<title>"`). */
+  async function expandReverts(ref, pr, depth) {
+    spend("getPRTimeline");
+    const timeline = await ghFor(ref).getPRTimeline(ref.number, { useCache: true });
+    for (const ev of timeline || []) {
+      const src = ev?.__typename === "CrossReferencedEvent" ? ev.source : null;
+      if (!src || src.__typename !== "PullRequest" || typeof src.number !== "number") continue;
+      const target = followable(src.repository?.nameWithOwner);
+      if (!target) continue;
+      const revert = detectRevert(src, target);
+      const reverts =
+        revert &&
+        (revert.revertedRefs.some((r) => refKey(r) === refKey(ref)) || (revert.revertedTitle !== null && revert.revertedTitle === pr?.title));
+      if (!reverts) continue;
+      enqueueChild({
+        ref: { ...target, number: src.number },
+        kind: "pr",
+        from: prNodeId(ref),
+        type: "reverted_by",
+        depth: depth + 1,
+        payload: {
+          title: src.title ?? null,
+          html_url: src.url ?? null,
+          state: typeof src.state === "string" ? (src.state === "OPEN" ? "open" : "closed") : null,
+          merged_at: src.mergedAt ?? null,
+          closed_at: src.closedAt ?? null,
+        },
+      });
     }
   }
 
-  // Expand each related PR from layer-1 issues: extract refs (layer 2).
-  /** @type {number[]} */
-  const layer2Issues = [];
-  /** @type {number[]} */
-  const layer2PRs = [];
-
-  for (const prNum of layer1IssueRelatedPRs) {
-    const { pr, comments } = await fetchPRWithComments(prNum);
-    const pid = prNodeId({ owner, repo, number: prNum });
-    const existing = graph.nodes[pid];
-    // Upgrade PR node with metadata if we fetched it.
-    if (!existing || existing.title == null) {
-      addNode(graph, {
-        id: pid,
-        type: "pr",
-        owner,
-        repo,
-        number: prNum,
-        title: pr?.title ?? null,
-        url: pr?.html_url ?? pr?.url ?? null,
-        mergedAt: pr?.merged_at ?? null,
-        closedAt: pr?.closed_at ?? null,
-        state: pr?.state ?? null,
+  async function expandIssue(ref, depth) {
+    spend("getIssueTimeline");
+    const timeline = await ghFor(ref).getIssueTimeline(ref.number, { useCache: true });
+    const related = timelineRelations(timeline);
+    const issueId = issueNodeId(ref);
+
+    for (const r of related.closing) {
+      enqueueChild({ ref: r, kind: "pr", from: issueId, type: "closed_by", depth: depth + 1 });
+    }
+    for (const { repo: commitRepo, commit } of related.closingCommits) {
+      const cid = commitNodeId({ ...commitRepo, sha: commit.oid });
+      ensureNode({
+        id: cid,
+        type: "commit",
+        owner: commitRepo.owner,
+        repo: commitRepo.repo,
+        sha: commit.oid,
+        url: commit.url ?? null,
+        messageHeadline: commit.messageHeadline ?? null,
+        depth: depth + 1,
       });
+      addEdge(graph, { from: issueId, to: cid, type: "closed_by_commit" });
+      for (const p of await prsForCommit(commitRepo, commit.oid)) {
+        enqueueChild({ ref: { ...commitRepo, number: p.number }, kind: "pr", from: cid, type: "associated_pr", depth: depth + 1, payload: p });
+      }
+    }
+    for (const r of related.crossReferenced) {
+      enqueueChild({ ref: r, kind: "pr", from: issueId, type: "cross_referenced_by", depth: depth + 1 });
     }
+  }
+
+  /** Resolve a queued item to its node (classifying if needed), add its incoming edge, and expand it. */
+  async function visit(item) {
+    const { ref } = item;
+    const kind = item.kind ?? (await getNumberKind(ref));
+    if (kind !== "pr" && kind !== "issue") return;
 
-    const refsAll = extractReferencedNumbersFromPRAndComments(pr, comments, { owner, repo });
-    const refs = refsAll.slice(0, caps.maxLayer2ReferencesPerPr);
-    if (refsAll.length > refs.length) graph.stats.truncated.layer2Refs += 1;
-
-    for (const n of refs) {
-      const kind = await getNumberKind(n);
-      if (kind === "issue") {
-        uniquePush(layer2Issues, n);
-        const iid = issueNodeId({ owner, repo, number: n });
-        if (!graph.nodes[iid]) addNode(graph, { id: iid, type: "issue", owner, repo, number: n });
-        addEdge(graph, { from: pid, to: iid, type: "references" });
-      } else if (kind === "pr") {
-        uniquePush(layer2PRs, n);
-        const rid = prNodeId({ owner, repo, number: n });
-        if (!graph.nodes[rid]) addNode(graph, { id: rid, type: "pr", owner, repo, number: n });
-        addEdge(graph, { from: pid, to: rid, type: "references" });
+    const id = kind === "pr" ? prNodeId(ref) : issueNodeId(ref);
+    const isNew = !graph.nodes[id];
+    if (kind === "pr") ensureNode(prNode(ref, item.payload, item.depth));
+    else ensureNode({ id, type: "issue", owner: ref.owner, repo: ref.repo, number: ref.number, depth: item.depth });
+    if (item.edge) {
+      const { from, ...rest } = item.edge;
+      // A revert can be found from both ends (its "Reverts #n" and #n's timeline); keep one edge.
+      (rest.type === "reverted_by" ? addEdgeOnce : addEdge)(graph, { from, to: id, ...rest });
+      item.edgeAdded = true;
+      // "Reverts #n" from a PR: #n is reverted by it, however we got here.
+      if (kind === "pr" && rest.refType === "reverts" && from.startsWith("pr:")) {
+        addEdgeOnce(graph, { from: id, to: from, type: "reverted_by" });
       }
     }
+
+    if (!isNew || expanded.has(id)) return;
+    graph.stats.maxDepthReached = Math.max(graph.stats.maxDepthReached, item.depth);
+    if (item.depth >= caps.maxDepth) {
+      graph.stats.truncated.unexpanded.push({ id, repo: repoFull(ref), number: ref.number, depth: item.depth, reason: "maxDepth" });
+      return;
+    }
+
+    expanded.add(id);
+    if (kind === "pr") await expandPR(ref, item.depth);
+    else await expandIssue(ref, item.depth);
+    graph.stats.expanded += 1;
   }
 
-  // Expand layer-2 issues by adding their closing/cross-ref PR numbers (no further PR expansion).
-  for (const issueNum of layer2Issues) {
-    await addIssueTimelineEdges(issueNum, {
-      maxPrs: caps.maxLayer2ClosingPrsPerIssue,
-      edgeKindFor: (k) => k,
-    });
+  function nodeIdFor(item) {
+    const kind = item.kind ?? kindCache.get(refKey(item.ref));
+    if (kind === "pr") return prNodeId(item.ref);
+    if (kind === "issue") return issueNodeId(item.ref);
+    return null;
   }
 
-  // Add stubs for layer-2 PRs that weren't expanded.
-  for (const prNum of layer2PRs) {
-    const pid = prNodeId({ owner, repo, number: prNum });
-    if (!graph.nodes[pid]) addNode(graph, { id: pid, type: "pr", owner, repo, number: prNum });
+  /** Keep a reference that failed to fetch in the graph, marked with the error. */
+  function recordFetchError(item, err) {
+    const message = err instanceof Error ? err.message : String(err);
+    const known = nodeIdFor(item);
+    const id = known && graph.nodes[known] ? known : unknownNodeId(item.ref);
+    if (graph.nodes[id]) {
+      graph.nodes[id].error ??= message;
+    } else if (Object.keys(graph.nodes).length < caps.maxNodes) {
+      addNode(graph, { id, type: "unknown", owner: item.ref.owner, repo: item.ref.repo, number: item.ref.number, depth: item.depth, error: message });
+    }
+    if (item.edge && !item.edgeAdded && graph.nodes[id]) {
+      const { from, ...rest } = item.edge;
+      addEdge(graph, { from, to: id, ...rest });
+      item.edgeAdded = true;
+    }
+    graph.stats.fetchErrors.push({ id, repo: repoFull(item.ref), number: item.ref.number, depth: item.depth, message });
+  }
+
+  enqueue({ ref: { owner, repo, number: prNumber }, kind: "pr", depth: 0, priority: 0, edge: null });
+
+  while (queue.length > 0) {
+    const item = queue.shift();
+    try {
+      await visit(item);
+    } catch (err) {
+      if (!(err instanceof BudgetExhausted)) {
+        if (item.depth === 0) throw err;
+        recordFetchError(item, err);
+        continue;
+      }
+      const t = graph.stats.truncated;
+      t.stoppedBy = err.which;
+      t.stoppedAt = { id: nodeIdFor(item), repo: repoFull(item.ref), number: item.ref.number, depth: item.depth };
+      t.droppedEdges = [item, ...queue].filter((q) => q.edge && !q.edgeAdded).length;
+      // The node being visited (possibly half-expanded) plus every pending node not yet in the graph.
+      const seen = new Set();
+      for (const rest of [item, ...queue]) {
+        const id = nodeIdFor(rest);
+        const key = id ?? refKey(rest.ref);
+        if (seen.has(key) || (rest !== item && id && graph.nodes[id])) continue;
+        seen.add(key);
+        t.unexpanded.push({ id, repo: repoFull(rest.ref), number: rest.ref.number, depth: rest.depth, reason: "budget" });
+      }
+      break;
+    }
   }
 
   return graph;
 }
-
@@ -5,6 +5,9 @@ import type { QmdRunResult, QmdRunner } from "./types.js";
 
 const execFileAsync = promisify(execFile);
 
+/** Exit code a `QmdRunner` returns when the `qmd` binary isn't installed. */
+export const QMD_NOT_FOUND_EXIT_CODE = 127;
+
 /**
  * Default qmd runner.
  *
@@ -20,14 +23,15 @@ export const runQmd: QmdRunner = async (args: string[]): Promise<QmdRunResult> =
   } catch (err) {
     // execFile throws on non-zero status; capture stdout/stderr for nicer errors.
     const e = err as {
-      code?: number;
+      code?: number | string;
       stdout?: string | Buffer;
       stderr?: string | Buffer;
       message?: string;
     };
     const stdout = typeof e.stdout === "string" ? e.stdout : e.stdout ? e.stdout.toString("utf8") : "";
     const stderr = typeof e.stderr === "string" ? e.stderr : e.stderr ? e.stderr.toString("utf8") : "";
-    const exitCode = typeof e.code === "number" ? e.code : 1;
+    // A missing binary surfaces as code "ENOENT"; report it like a shell would (127).
+    const exitCode = typeof e.code === "number" ? e.code : e.code === "ENOENT" ? QMD_NOT_FOUND_EXIT_CODE : 1;
     return { exitCode, stdout, stderr: stderr || (e.message ? String(e.message) : "") };
   }
 };
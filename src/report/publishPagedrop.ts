@@ -0,0 +1,60 @@
+import type { AppConfig } from "../config/types.js";
+
+export type PublishResult = {
+  url: string;
+  endpoint: string;
+  status: number;
+};
+
+const CONTENT_TYPES: Record<"md" | "html", string> = {
+  md: "text/markdown; charset=utf-8",
+  html: "text/html; charset=utf-8"
+};
+
+/**
+ * Upload a rendered report to a pagedrop endpoint and return its share URL.
+ *
+ * Contract: `POST <pagedropUrl>` with the raw document as the request body
+ * (`Authorization: Bearer <pagedropToken>` when a token is configured). The share
+ * URL is read from a JSON response (`url` or `share_url`), falling back to the
+ * `Location` header.
+ */
+export async function publishPagedrop(opts: {
+  content: string;
+  format: "md" | "html";
+  filename: string;
+  config: Pick<AppConfig, "pagedropUrl" | "pagedropToken">;
+  fetchFn?: typeof fetch;
+}): Promise<PublishResult> {
+  const endpoint = opts.config.pagedropUrl;
+  if (!endpoint) {
+    throw new Error("Missing pagedrop endpoint: set PR_SHERIFF_PAGEDROP_URL or `pagedropUrl` in config");
+  }
+
+  const fetchFn = opts.fetchFn ?? fetch;
+  const headers: Record<string, string> = {
+    "content-type": CONTENT_TYPES[opts.format],
+    "x-pagedrop-filename": opts.filename
+  };
+  if (opts.config.pagedropToken) headers.authorization = `Bearer ${opts.config.pagedropToken}`;
+
+  const res = await fetchFn(endpoint, { method: "POST", headers, body: opts.content });
+  const raw = await res.text();
+  if (!res.ok) {
+    throw new Error(`pagedrop upload failed (${res.status}): ${raw.slice(0, 500)}`);
+  }
+
+  let url: string | null = null;
+  try {
+    const parsed = JSON.parse(raw) as any;
+    url = typeof parsed?.url === "string" ? parsed.url : typeof parsed?.share_url === "string" ? parsed.share_url : null;
+  } catch {
+    // Non-JSON response; fall back to the Location header below.
+  }
+  url ??= res.headers.get("location");
+  if (!url) {
+    throw new Error("pagedrop upload succeeded but the response did not include a share URL");
+  }
+
+  return { url: new URL(url, endpoint).toString(), endpoint, status: res.status };
+}
@@ -0,0 +1,226 @@
+/**
+ * Render a reference graph (`analyze-pr` `result.graph`, from `buildReferenceGraph`) as
+ * Graphviz DOT, a Mermaid flowchart or GraphML.
+ */
+
+export type GraphFormat = "dot" | "mermaid" | "graphml";
+
+type GraphNode = {
+  id: string;
+  type: "pr" | "issue" | "commit" | string;
+  owner?: string;
+  repo?: string;
+  number?: number;
+  sha?: string;
+  title?: string | null;
+  messageHeadline?: string | null;
+  url?: string | null;
+  state?: string | null;
+  mergedAt?: string | null;
+  depth?: number;
+};
+
+type GraphEdge = { from: string; to: string; type: string; refType?: string; region?: string };
+
+export type ReferenceGraph = { rootId: string; nodes: Record<string, GraphNode>; edges: GraphEdge[] };
+
+const MAX_TITLE_CHARS = 60;
+
+type EdgeStyle = { color: string; dot: "solid" | "dashed" | "dotted" | "bold"; mermaid: "-->" | "-.->" | "==>" };
+
+/** One look per edge type, shared by all formats: closing green, reverts red, weak links faint. */
+const EDGE_STYLES: Record<string, EdgeStyle> = {
+  closed_by: { color: "#2b8a3e", dot: "bold", mermaid: "==>" },
+  closed_by_commit: { color: "#2b8a3e", dot: "bold", mermaid: "==>" },
+  associated_pr: { color: "#2b8a3e", dot: "dashed", mermaid: "-.->" },
+  reverted_by: { color: "#c92a2a", dot: "bold", mermaid: "==>" },
+  references: { color: "#1971c2", dot: "solid", mermaid: "-->" },
+  cross_referenced_by: { color: "#868e96", dot: "dotted", mermaid: "-.->" }
+};
+const DEFAULT_EDGE_STYLE: EdgeStyle = { color: "#495057", dot: "solid", mermaid: "-->" };
+
+/** Node fill per state (see `nodeState`). */
+const STATE_FILLS: Record<string, string> = {
+  merged: "#e5dbff",
+  open: "#d3f9d8",
+  closed: "#e9ecef",
+  unknown: "#ffffff"
+};
+
+function truncate(text: string, max: number): string {
+  const flat = text.replace(/\s+/g, " ").trim();
+  return flat.length > max ? `${flat.slice(0, max - 1)}…` : flat;
+}
+
+/** "merged" | "open" | "closed" | "unknown"; commits have no state. */
+export function nodeState(node: GraphNode): string {
+  if (node.mergedAt) return "merged";
+  if (typeof node.state === "string" && node.state) return node.state.toLowerCase();
+  return "unknown";
+}
+
+/**
+ * Node label lines: reference (with owner/repo when outside the root's repo), title, state (when known).
+ */
+export function nodeLabelLines(node: GraphNode, root: GraphNode | undefined): string[] {
+  const sameRepo = root && node.owner === root.owner && node.repo === root.repo;
+  const prefix = sameRepo || !node.owner ? "" : `${node.owner}/${node.repo}`;
+  if (node.type === "commit") {
+    const lines = [`${prefix ? `${prefix}@` : ""}${(node.sha ?? node.id).slice(0, 7)}`];
+    if (node.messageHeadline) lines.push(truncate(node.messageHeadline, MAX_TITLE_CHARS));
+    return lines;
+  }
+  const kind = node.type === "issue" ? "issue " : "";
+  const lines = [`${kind}${prefix}#${node.number ?? "?"}`];
+  if (node.title) lines.push(truncate(node.title, MAX_TITLE_CHARS));
+  if (nodeState(node) !== "unknown") lines.push(nodeState(node));
+  return lines;
+}
+
+/** Edge label: the type, plus the keyword type for non-mention references and any ignored region. */
+export function edgeLabel(edge: GraphEdge): string {
+  const parts = [edge.type];
+  if (edge.refType && edge.refType !== "mention") parts.push(edge.refType);
+  if (edge.region && edge.region !== "text") parts.push(`in ${edge.region}`);
+  return parts.join(": ");
+}
+
+function sortedNodes(graph: ReferenceGraph): GraphNode[] {
+  return Object.values(graph.nodes).sort(
+    (a, b) => Number(b.id === graph.rootId) - Number(a.id === graph.rootId) || (a.depth ?? 0) - (b.depth ?? 0) || a.id.localeCompare(b.id)
+  );
+}
+
+function dotString(text: string): string {
+  return `"${text.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+}
+
+export function renderDot(graph: ReferenceGraph): string {
+  const root = graph.nodes[graph.rootId];
+  const lines = [
+    `digraph ${dotString(graph.rootId)} {`,
+    "  rankdir=LR;",
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica", fontsize=10];',
+    '  edge [fontname="Helvetica", fontsize=9];'
+  ];
+  for (const node of sortedNodes(graph)) {
+    const attrs = [
+      `label=${dotString(nodeLabelLines(node, root).join("\n"))}`,
+      `fillcolor=${dotString(STATE_FILLS[nodeState(node)] ?? STATE_FILLS.unknown!)}`
+    ];
+    if (node.type === "issue") attrs.push("shape=ellipse");
+    if (node.type === "commit") attrs.push("shape=note");
+    if (node.id === graph.rootId) attrs.push("penwidth=3");
+    if (node.url) attrs.push(`URL=${dotString(node.url)}`);
+    lines.push(`  ${dotString(node.id)} [${attrs.join(", ")}];`);
+  }
+  for (const edge of graph.edges) {
+    const style = EDGE_STYLES[edge.type] ?? DEFAULT_EDGE_STYLE;
+    lines.push(
+      `  ${dotString(edge.from)} -> ${dotString(edge.to)} [label=${dotString(edgeLabel(edge))}, color=${dotString(style.color)}, fontcolor=${dotString(style.color)}, style=${style.dot}];`
+    );
+  }
+  lines.push("}");
+  return `${lines.join("\n")}\n`;
+}
+
+/** Mermaid labels are quoted strings; quotes and angle brackets must be entity-encoded. */
+function mermaidText(text: string): string {
+  return text.replace(/"/g, "#quot;").replace(/</g, "#lt;").replace(/>/g, "#gt;");
+}
+
+export function renderMermaid(graph: ReferenceGraph): string {
+  const root = graph.nodes[graph.rootId];
+  const nodes = sortedNodes(graph);
+  // Node ids like "pr:octo/hello#10" aren't valid Mermaid ids.
+  const ids = new Map(nodes.map((n, i) => [n.id, `n${i}`]));
+  const lines = ["flowchart LR"];
+  for (const state of Object.keys(STATE_FILLS)) lines.push(`  classDef ${state} fill:${STATE_FILLS[state]},stroke:#495057`);
+  lines.push("  classDef root stroke-width:3px");
+
+  for (const node of nodes) {
+    const label = nodeLabelLines(node, root).map(mermaidText).join("<br/>");
+    const [open, close] = node.type === "issue" ? ["([", "])"] : node.type === "commit" ? ["[/", "/]"] : ["[", "]"];
+    lines.push(`  ${ids.get(node.id)}${open}"${label}"${close}`);
+    lines.push(`  class ${ids.get(node.id)} ${nodeState(node)}${node.id === graph.rootId ? ",root" : ""}`);
+    if (node.url) lines.push(`  click ${ids.get(node.id)} "${mermaidText(node.url)}"`);
+  }
+
+  const linkStyles: string[] = [];
+  let index = 0;
+  for (const edge of graph.edges) {
+    const from = ids.get(edge.from);
+    const to = ids.get(edge.to);
+    if (!from || !to) continue;
+    const style = EDGE_STYLES[edge.type] ?? DEFAULT_EDGE_STYLE;
+    lines.push(`  ${from} ${style.mermaid}|"${mermaidText(edgeLabel(edge))}"| ${to}`);
+    linkStyles.push(`  linkStyle ${index} stroke:${style.color},color:${style.color}`);
+    index += 1;
+  }
+  return `${[...lines, ...linkStyles].join("\n")}\n`;
+}
+
+function xml(text: string): string {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+const GRAPHML_NODE_KEYS = ["label", "type", "state", "repo", "number", "sha", "title", "url", "mergedAt", "depth"] as const;
+const GRAPHML_EDGE_KEYS = ["type", "refType", "region", "label", "color"] as const;
+
+export function renderGraphml(graph: ReferenceGraph): string {
+  const root = graph.nodes[graph.rootId];
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+  ];
+  for (const k of GRAPHML_NODE_KEYS) {
+    const type = k === "number" || k === "depth" ? "int" : "string";
+    lines.push(`  <key id="n_${k}" for="node" attr.name="${k}" attr.type="${type}"/>`);
+  }
+  for (const k of GRAPHML_EDGE_KEYS) lines.push(`  <key id="e_${k}" for="edge" attr.name="${k}" attr.type="string"/>`);
+  lines.push(`  <graph id="${xml(graph.rootId)}" edgedefault="directed">`);
+
+  for (const node of sortedNodes(graph)) {
+    const data: Record<(typeof GRAPHML_NODE_KEYS)[number], unknown> = {
+      label: nodeLabelLines(node, root).join(" · "),
+      type: node.type,
+      state: node.type === "commit" ? null : nodeState(node),
+      repo: node.owner ? `${node.owner}/${node.repo}` : null,
+      number: node.number ?? null,
+      sha: node.sha ?? null,
+      title: node.title ?? node.messageHeadline ?? null,
+      url: node.url ?? null,
+      mergedAt: node.mergedAt ?? null,
+      depth: node.depth ?? null
+    };
+    lines.push(`    <node id="${xml(node.id)}">`);
+    for (const k of GRAPHML_NODE_KEYS) {
+      if (data[k] != null) lines.push(`      <data key="n_${k}">${xml(String(data[k]))}</data>`);
+    }
+    lines.push("    </node>");
+  }
+
+  graph.edges.forEach((edge, i) => {
+    const data: Record<(typeof GRAPHML_EDGE_KEYS)[number], unknown> = {
+      type: edge.type,
+      refType: edge.refType ?? null,
+      region: edge.region ?? null,
+      label: edgeLabel(edge),
+      color: (EDGE_STYLES[edge.type] ?? DEFAULT_EDGE_STYLE).color
+    };
+    lines.push(`    <edge id="e${i}" source="${xml(edge.from)}" target="${xml(edge.to)}">`);
+    for (const k of GRAPHML_EDGE_KEYS) {
+      if (data[k] != null) lines.push(`      <data key="e_${k}">${xml(String(data[k]))}</data>`);
+    }
+    lines.push("    </edge>");
+  });
+
+  lines.push("  </graph>", "</graphml>");
+  return `${lines.join("\n")}\n`;
+}
+
+export function renderGraph(graph: ReferenceGraph, format: GraphFormat): string {
+  if (format === "dot") return renderDot(graph);
+  if (format === "mermaid") return renderMermaid(graph);
+  return renderGraphml(graph);
+}
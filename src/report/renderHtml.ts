@@ -0,0 +1,186 @@
+import type { ReportEntry, ReportEvidence, ReportGroup, ReportModel, ReportPrLink } from "./reportModel.js";
+
+const GROUP_TITLES: Record<ReportGroup, string> = {
+  superseded: "Superseded",
+  related: "Related / duplicate",
+  no_action: "No action"
+};
+
+function esc(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Only allow http(s) links; anything else (e.g. `javascript:`) renders as plain text.
+ */
+function safeUrl(url: string | null): string | null {
+  return url && /^https?:\/\//i.test(url) ? url : null;
+}
+
+function a(label: string, url: string | null): string {
+  const href = safeUrl(url);
+  return href ? `<a href="${esc(href)}">${esc(label)}</a>` : esc(label);
+}
+
+function pct(confidence: number | null): string {
+  return confidence === null ? "n/a" : `${Math.round(confidence * 100)}%`;
+}
+
+function ageDays(createdAt: string | null, nowMs: number): number | null {
+  if (!createdAt) return null;
+  const t = Date.parse(createdAt);
+  if (!Number.isFinite(t)) return null;
+  return Math.max(0, Math.floor((nowMs - t) / 86_400_000));
+}
+
+function anchor(e: ReportEntry): string {
+  return `pr-${e.number}`;
+}
+
+function renderLinks(links: ReportPrLink[]): string {
+  if (links.length === 0) return "";
+  return links
+    .map((l) => `${a(`#${l.number}`, l.url)}${l.relationship ? ` <span class="muted">(${esc(l.relationship)})</span>` : ""}`)
+    .join(", ");
+}
+
+function renderRow(e: ReportEntry, nowMs: number): string {
+  const age = ageDays(e.createdAt, nowMs);
+  const confidence = e.category === "not_judged" ? null : e.confidence;
+  return [
+    "<tr>",
+    `<td data-sort="${e.number}"><a href="#${anchor(e)}">#${e.number}</a></td>`,
+    `<td>${esc(e.title ?? "(untitled)")}</td>`,
+    `<td data-sort="${esc(e.author ?? "")}">${e.author ? esc(`@${e.author}`) : ""}</td>`,
+    `<td data-sort="${age ?? -1}">${age === null ? "" : `${age}d`}</td>`,
+    `<td data-sort="${confidence ?? -1}">${pct(confidence)}</td>`,
+    `<td>${renderLinks([...e.supersededBy, ...e.related])}</td>`,
+    "</tr>"
+  ].join("");
+}
+
+function renderTable(group: ReportGroup, entries: ReportEntry[], nowMs: number): string {
+  const head = `<h2>${esc(GROUP_TITLES[group])} (${entries.length})</h2>`;
+  if (entries.length === 0) return `${head}<p class="muted">None.</p>`;
+  return [
+    head,
+    '<table class="sortable">',
+    "<thead><tr>",
+    '<th data-type="number">PR</th><th>Title</th><th data-type="text">Author</th>',
+    '<th data-type="number">Age</th><th data-type="number">Confidence</th><th>Links</th>',
+    "</tr></thead>",
+    `<tbody>${entries.map((e) => renderRow(e, nowMs)).join("\n")}</tbody>`,
+    "</table>"
+  ].join("\n");
+}
+
+function renderEvidenceItem(e: ReportEvidence): string {
+  const note = e.note ? `<div class="muted">${esc(e.note)}</div>` : "";
+  return `<li><span class="tag">${a(e.source, e.url)}</span><blockquote>${esc(e.snippet)}</blockquote>${note}</li>`;
+}
+
+function renderLinkDetails(title: string, links: ReportPrLink[]): string {
+  if (links.length === 0) return "";
+  const items = links.map((l) => {
+    const evidence = l.evidence.length > 0 ? `<ul>${l.evidence.map(renderEvidenceItem).join("")}</ul>` : "";
+    const rel = l.relationship ? ` (${esc(l.relationship)})` : "";
+    return `<li>${a(`#${l.number}`, l.url)}${rel} · confidence ${pct(l.confidence)} — ${esc(l.summary)}${evidence}</li>`;
+  });
+  return `<details open><summary>${esc(title)}</summary><ul>${items.join("")}</ul></details>`;
+}
+
+function renderDetail(e: ReportEntry): string {
+  const parts = [
+    `<section class="pr" id="${anchor(e)}">`,
+    `<h3>${a(`#${e.number}`, e.url)} ${esc(e.title ?? "(untitled)")}</h3>`
+  ];
+  if (e.error) parts.push(`<p class="error">Analysis failed: ${esc(e.error)}</p>`);
+  parts.push(renderLinkDetails("Superseded by", e.supersededBy));
+  parts.push(renderLinkDetails("Related", e.related));
+  if (e.timelines.length > 0) {
+    const rows = e.timelines.map(
+      (t) =>
+        `<tr><td>${esc(t.ts)}</td><td>${esc(t.kind)}</td><td>${t.prNumber === null ? "" : a(`#${t.prNumber}`, t.url)}</td><td>${esc(t.note)}</td></tr>`
+    );
+    parts.push(`<details><summary>Timeline (${e.timelines.length})</summary><table><tbody>${rows.join("")}</tbody></table></details>`);
+  }
+  parts.push("</section>");
+  return parts.filter(Boolean).join("\n");
+}
+
+const STYLE = `
+body{font:14px/1.45 -apple-system,BlinkMacSystemFont,"Segoe UI",Helvetica,Arial,sans-serif;max-width:1100px;margin:2em auto;padding:0 1em;color:#1f2328}
+a{color:#0969da}table{border-collapse:collapse;width:100%;margin:.5em 0 1.5em}
+th,td{border-bottom:1px solid #d0d7de;padding:4px 8px;text-align:left;vertical-align:top}
+th[data-type]{cursor:pointer;user-select:none}th[data-type]:after{content:" \\2195";color:#8c959f}
+.muted{color:#656d76}.error{color:#cf222e}.tag{font-size:12px;background:#eaeef2;border-radius:4px;padding:0 4px}
+blockquote{margin:.25em 0 .5em;padding-left:.75em;border-left:3px solid #d0d7de;white-space:pre-wrap}
+section.pr{border-top:1px solid #d0d7de;padding-top:.5em}section.pr:target{background:#fff8c5}
+`.trim();
+
+// Click a header with `data-type` to sort its table; click again to reverse.
+const SCRIPT = `
+document.querySelectorAll("table.sortable th[data-type]").forEach(function(th){
+  th.addEventListener("click",function(){
+    var table=th.closest("table"),body=table.tBodies[0],idx=Array.prototype.indexOf.call(th.parentNode.children,th);
+    var dir=th.getAttribute("data-dir")==="asc"?-1:1;th.setAttribute("data-dir",dir===1?"asc":"desc");
+    var num=th.getAttribute("data-type")==="number";
+    Array.prototype.slice.call(body.rows).sort(function(x,y){
+      var a=x.cells[idx].getAttribute("data-sort"),b=y.cells[idx].getAttribute("data-sort");
+      return dir*(num?Number(a)-Number(b):String(a).localeCompare(String(b)));
+    }).forEach(function(r){body.appendChild(r);});
+  });
+});
+`.trim();
+
+/**
+ * Render a report as a single self-contained HTML page (inline CSS/JS, no external assets).
+ *
+ * @param opts.nowMs - reference time for the "Age" column (defaults to now)
+ */
+export function renderHtml(report: ReportModel, opts: { nowMs?: number } = {}): string {
+  const nowMs = opts.nowMs ?? Date.now();
+  const t = report.totals;
+  const title = `PR Sheriff report${report.repo ? `: ${report.repo}` : ""}`;
+  const all = [...report.groups.superseded, ...report.groups.related, ...report.groups.no_action, ...report.errors];
+
+  const summary =
+    `${t.total} PRs analyzed: <strong>${t.superseded} superseded</strong>, ${t.related} related / duplicate, ${t.no_action} no action` +
+    (t.notJudged > 0 ? ` (${t.notJudged} not judged)` : "") +
+    (t.errors > 0 ? `, ${t.errors} failed` : "") +
+    ".";
+
+  const body = [
+    `<h1>${esc(title)}</h1>`,
+    `<p>${summary}</p>`,
+    renderTable("superseded", report.groups.superseded, nowMs),
+    renderTable("related", report.groups.related, nowMs),
+    renderTable("no_action", report.groups.no_action, nowMs),
+    report.errors.length > 0 ? `<h2>Failed (${report.errors.length})</h2>` : "",
+    report.errors.length > 0 ? `<ul>${report.errors.map((e) => `<li><a href="#${anchor(e)}">#${e.number}</a></li>`).join("")}</ul>` : "",
+    "<h2>Details</h2>",
+    ...all.map(renderDetail)
+  ].filter(Boolean);
+
+  return [
+    "<!doctype html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${esc(title)}</title>`,
+    `<style>${STYLE}</style>`,
+    "</head>",
+    "<body>",
+    ...body,
+    `<script>${SCRIPT}</script>`,
+    "</body>",
+    "</html>",
+    ""
+  ].join("\n");
+}
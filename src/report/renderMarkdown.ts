@@ -0,0 +1,106 @@
+import type { ReportEntry, ReportEvidence, ReportModel, ReportPrLink } from "./reportModel.js";
+
+const MAX_SNIPPET_CHARS = 280;
+
+/**
+ * Escape characters that would otherwise be interpreted as Markdown/HTML in inline text.
+ */
+function escapeInline(text: string): string {
+  return text.replace(/[\\`*_[\]<>|]/g, (c) => `\\${c}`);
+}
+
+/**
+ * Escape a link label or other short field: a bracket would end the link label early and a
+ * newline would end the line.
+ */
+function escapeLabel(text: string): string {
+  return text.replace(/\s+/g, " ").trim().replace(/[\\`[\]<>|]/g, (c) => `\\${c}`);
+}
+
+/**
+ * Only allow http(s) links, with characters that would end the link destination
+ * percent-encoded; anything else renders as plain text.
+ */
+function safeUrl(url: string | null): string | null {
+  if (!url || !/^https?:\/\//i.test(url)) return null;
+  return url.replace(/[\s()<>|\\]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`);
+}
+
+function oneLine(text: string): string {
+  const flat = text.replace(/\s+/g, " ").trim();
+  return flat.length > MAX_SNIPPET_CHARS ? `${flat.slice(0, MAX_SNIPPET_CHARS - 1)}…` : flat;
+}
+
+/** `label` is raw text; it is escaped here. */
+function link(label: string, url: string | null): string {
+  const href = safeUrl(url);
+  return href ? `[${escapeLabel(label)}](${href})` : escapeLabel(label);
+}
+
+function pct(confidence: number | null): string {
+  return confidence === null ? "n/a" : `${Math.round(confidence * 100)}%`;
+}
+
+function renderEvidence(e: ReportEvidence): string {
+  const source = link(e.source, e.url ?? null);
+  const note = e.note ? ` — ${escapeInline(oneLine(e.note))}` : "";
+  return `    - _${source}_: “${escapeInline(oneLine(e.snippet))}”${note}`;
+}
+
+function renderLink(l: ReportPrLink): string[] {
+  const label = l.relationship ? `#${l.number} (${l.relationship})` : `#${l.number}`;
+  const lines = [`  - ${link(label, l.url)} · confidence ${pct(l.confidence)} — ${escapeInline(oneLine(l.summary))}`];
+  for (const e of l.evidence) lines.push(renderEvidence(e));
+  return lines;
+}
+
+function renderEntry(e: ReportEntry): string[] {
+  const title = e.title ? escapeInline(e.title.replace(/\s+/g, " ").trim()) : "(untitled)";
+  const meta = [
+    e.author ? `@${escapeLabel(e.author)}` : null,
+    e.createdAt ? `opened ${e.createdAt.slice(0, 10)}` : null,
+    e.category === "not_judged" ? "not judged" : `confidence ${pct(e.confidence)}`
+  ].filter(Boolean);
+
+  const lines = [`### ${link(`#${e.number}`, e.url)} ${title}`, "", meta.join(" · "), ""];
+  if (e.error) {
+    lines.push(`Analysis failed: \`${oneLine(e.error).replace(/`/g, "'")}\``, "");
+    return lines;
+  }
+  if (e.supersededBy.length > 0) {
+    lines.push("- Superseded by:", ...e.supersededBy.flatMap(renderLink));
+  }
+  if (e.related.length > 0) {
+    lines.push("- Related:", ...e.related.flatMap(renderLink));
+  }
+  if (e.supersededBy.length > 0 || e.related.length > 0) lines.push("");
+  return lines;
+}
+
+function renderSection(heading: string, entries: ReportEntry[], empty: string): string[] {
+  const lines = [`## ${heading} (${entries.length})`, ""];
+  if (entries.length === 0) return [...lines, `_${empty}_`, ""];
+  return [...lines, ...entries.flatMap(renderEntry)];
+}
+
+/**
+ * Render a report as Markdown for maintainers to skim before closing PRs.
+ */
+export function renderMarkdown(report: ReportModel): string {
+  const t = report.totals;
+  const lines = [
+    `# PR Sheriff report${report.repo ? `: ${escapeLabel(report.repo)}` : ""}`,
+    "",
+    `${t.total} PRs analyzed: **${t.superseded} superseded**, ${t.related} related / duplicate, ${t.no_action} no action` +
+      (t.notJudged > 0 ? ` (${t.notJudged} not judged)` : "") +
+      (t.errors > 0 ? `, ${t.errors} failed` : "") +
+      ".",
+    "",
+    ...renderSection("Superseded", report.groups.superseded, "No superseded PRs found."),
+    ...renderSection("Related / duplicate", report.groups.related, "No related or duplicate PRs found."),
+    ...renderSection("No action", report.groups.no_action, "Nothing here.")
+  ];
+  if (report.errors.length > 0) lines.push(...renderSection("Failed", report.errors, ""));
+
+  return `${lines.join("\n").trimEnd()}\n`;
+}
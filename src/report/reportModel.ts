@@ -0,0 +1,230 @@
+import fs from "node:fs/promises";
+import { classifyVerdict, type VerdictCategory } from "../analysis/classifyVerdict.js";
+import { parseCheckpoint } from "../batch/checkpoint.js";
+
+export type ReportGroup = "superseded" | "related" | "no_action";
+
+export type ReportEvidence = {
+  id: string;
+  source: string;
+  snippet: string;
+  url: string | null;
+  note: string | null;
+};
+
+export type ReportPrLink = {
+  number: number;
+  repo: string | null;
+  url: string | null;
+  summary: string;
+  confidence: number | null;
+  relationship: string | null;
+  evidence: ReportEvidence[];
+};
+
+export type ReportTimelineEvent = {
+  ts: string;
+  kind: string;
+  prNumber: number | null;
+  url: string | null;
+  note: string;
+};
+
+export type ReportEntry = {
+  repo: string | null;
+  number: number;
+  title: string | null;
+  url: string | null;
+  author: string | null;
+  state: string | null;
+  createdAt: string | null;
+  category: VerdictCategory;
+  confidence: number | null;
+  supersededBy: ReportPrLink[];
+  related: ReportPrLink[];
+  timelines: ReportTimelineEvent[];
+  error: string | null;
+};
+
+export type ReportModel = {
+  repo: string | null;
+  totals: Record<ReportGroup, number> & { total: number; notJudged: number; errors: number };
+  groups: Record<ReportGroup, ReportEntry[]>;
+  errors: ReportEntry[];
+};
+
+function str(v: unknown): string | null {
+  return typeof v === "string" && v.length > 0 ? v : null;
+}
+
+function num(v: unknown): number | null {
+  return typeof v === "number" && Number.isFinite(v) ? v : null;
+}
+
+function toLinks(links: unknown, evidenceById: Map<string, ReportEvidence>): ReportPrLink[] {
+  if (!Array.isArray(links)) return [];
+  const out: ReportPrLink[] = [];
+  for (const l of links) {
+    if (!l || typeof l !== "object" || typeof l.pr_number !== "number") continue;
+    const ids: unknown[] = Array.isArray(l.evidence_ids) ? l.evidence_ids : [];
+    out.push({
+      number: l.pr_number,
+      repo: str(l.repo),
+      url: str(l.url),
+      summary: str(l.summary) ?? "",
+      confidence: num(l.confidence),
+      relationship: str(l.relationship),
+      evidence: ids.map((id) => evidenceById.get(String(id))).filter((e): e is ReportEvidence => Boolean(e))
+    });
+  }
+  return out;
+}
+
+/**
+ * Turn one `analyze-pr` result (or a `batch` record's `analysis`) into a report entry.
+ */
+export function entryFromAnalysis(analysis: any): ReportEntry {
+  const target = analysis?.target ?? {};
+  const verdict = analysis?.verdict ?? null;
+  const summary = classifyVerdict(verdict);
+
+  const evidenceById = new Map<string, ReportEvidence>();
+  for (const e of Array.isArray(verdict?.evidence) ? verdict.evidence : []) {
+    if (!e || typeof e.id !== "string") continue;
+    evidenceById.set(e.id, {
+      id: e.id,
+      source: str(e.source) ?? "other",
+      snippet: str(e.snippet) ?? "",
+      url: str(e.url),
+      note: str(e.note)
+    });
+  }
+
+  const timelines: ReportTimelineEvent[] = [];
+  for (const t of Array.isArray(verdict?.timelines) ? verdict.timelines : []) {
+    if (!t || typeof t.ts !== "string") continue;
+    timelines.push({ ts: t.ts, kind: str(t.kind) ?? "other", prNumber: num(t.pr_number), url: str(t.url), note: str(t.note) ?? "" });
+  }
+  timelines.sort((a, b) => a.ts.localeCompare(b.ts));
+
+  return {
+    repo: str(analysis?.judgeInput?.repo),
+    number: target.number,
+    title: str(target.title),
+    url: str(target.url),
+    author: str(target.author),
+    state: str(target.state),
+    createdAt: str(target.createdAt),
+    category: summary.category,
+    confidence: summary.confidence,
+    supersededBy: toLinks(verdict?.superseded_by, evidenceById),
+    related: toLinks(verdict?.related, evidenceById),
+    timelines,
+    error: null
+  };
+}
+
+function entryFromBatchRecord(rec: any): ReportEntry | null {
+  if (!rec || typeof rec.number !== "number") return null;
+  if (rec.status === "ok" && rec.analysis) return entryFromAnalysis(rec.analysis);
+  return {
+    repo: null,
+    number: rec.number,
+    title: str(rec.title),
+    url: str(rec.url),
+    author: null,
+    state: null,
+    createdAt: null,
+    category: "not_judged",
+    confidence: null,
+    supersededBy: [],
+    related: [],
+    timelines: [],
+    error: str(rec.error?.message) ?? "unknown error"
+  };
+}
+
+/**
+ * Parse report input into entries.
+ *
+ * Accepted inputs:
+ * - the CLI JSON envelope (`{ ok, command, result }`) from `analyze-pr` or `batch`
+ * - a bare `analyze-pr` / `batch` result object
+ * - a `batch --output` NDJSON checkpoint file
+ */
+export function parseReportInput(raw: string): ReportEntry[] {
+  let parsed: any;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    parsed = undefined;
+  }
+
+  if (parsed === undefined) {
+    // Same reader as `--resume`: a line torn by a killed run is skipped, not fatal.
+    const latest = parseCheckpoint(raw);
+    if (latest.size === 0 && raw.trim()) throw new Error("Unrecognized report input: expected analyze-pr or batch output");
+    return Array.from(latest.values())
+      .map(entryFromBatchRecord)
+      .filter((e): e is ReportEntry => Boolean(e));
+  }
+
+  const result = parsed && typeof parsed === "object" && "result" in parsed ? parsed.result : parsed;
+  if (result?.kind === "analyze-pr") return [entryFromAnalysis(result)];
+  if (result?.kind === "batch") {
+    return (Array.isArray(result.results) ? result.results : [])
+      .map(entryFromBatchRecord)
+      .filter((e: ReportEntry | null): e is ReportEntry => Boolean(e));
+  }
+  if (result?.kind === "batch_result") {
+    const entry = entryFromBatchRecord(result);
+    return entry ? [entry] : [];
+  }
+
+  throw new Error("Unrecognized report input: expected analyze-pr or batch output");
+}
+
+export async function loadReportInput(filePath: string): Promise<ReportEntry[]> {
+  return parseReportInput(await fs.readFile(filePath, "utf8"));
+}
+
+function byConfidenceDesc(a: ReportEntry, b: ReportEntry): number {
+  return (b.confidence ?? -1) - (a.confidence ?? -1) || a.number - b.number;
+}
+
+/**
+ * Group entries for maintainers: superseded, related/duplicate, and no action.
+ *
+ * PRs the judge did not run on land in "no action" (there is nothing to act on);
+ * failed batch entries are listed separately.
+ */
+export function buildReport(entries: ReportEntry[]): ReportModel {
+  const groups: Record<ReportGroup, ReportEntry[]> = { superseded: [], related: [], no_action: [] };
+  const errors: ReportEntry[] = [];
+
+  for (const e of entries) {
+    if (e.error) errors.push(e);
+    else if (e.category === "superseded") groups.superseded.push(e);
+    else if (e.category === "related") groups.related.push(e);
+    else groups.no_action.push(e);
+  }
+
+  groups.superseded.sort(byConfidenceDesc);
+  groups.related.sort(byConfidenceDesc);
+  groups.no_action.sort((a, b) => a.number - b.number);
+  errors.sort((a, b) => a.number - b.number);
+
+  return {
+    repo: entries.find((e) => e.repo)?.repo ?? null,
+    totals: {
+      total: entries.length,
+      superseded: groups.superseded.length,
+      related: groups.related.length,
+      no_action: groups.no_action.length,
+      notJudged: entries.filter((e) => !e.error && e.category === "not_judged").length,
+      errors: errors.length
+    },
+    groups,
+    errors
+  };
+}
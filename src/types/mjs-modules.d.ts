@@ -6,8 +6,14 @@ declare module "*.mjs" {
   // Named exports are also `any` via casting at use sites when needed.
   export const GitHubFetch: any;
   export const buildReferenceGraph: any;
+  export const DEFAULT_GRAPH_BUDGETS: any;
   export const extractReferencedNumbers: any;
   export const extractReferencedNumbersFromPRAndComments: any;
+  export const extractTypedReferences: any;
+  export const extractTypedReferencesFromPRAndComments: any;
+  export const REFERENCE_REGIONS: any;
+  export const REFERENCE_TYPES: any;
+  export const detectRevert: any;
   export const buildJudgeSystemPrompt: any;
   export const buildJudgeUserPrompt: any;
   export const runAnthropicJudge: any;
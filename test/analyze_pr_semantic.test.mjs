@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { analyzePullRequest, makeFixtureGhRunner } from '../dist/commands/subcommands/analyzePr.js';
+import { GitHubFetch } from '../src/github/index.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, 'fixtures', 'analyze_pr');
+
+function corpusDoc({ docType, number, title, state, mergedAt = null }) {
+  return [
+    '---',
+    'schema: "pr_sheriff_corpus_v1"',
+    `doc_type: "${docType}"`,
+    'repo: "octo/hello"',
+    `number: ${number}`,
+    `title: "${title}"`,
+    `state: "${state}"`,
+    `url: "https://github.com/octo/hello/pull/${number}"`,
+    `merged_at: ${mergedAt ? `"${mergedAt}"` : 'null'}`,
+    '---',
+    '',
+  ].join('\n');
+}
+
+function stubQmd(hits, docs) {
+  const calls = [];
+  const runner = async (args) => {
+    calls.push(args);
+    if (args[0] === 'query') return { exitCode: 0, stdout: JSON.stringify(hits), stderr: '' };
+    const doc = docs[args[1]];
+    return doc ? { exitCode: 0, stdout: doc, stderr: '' } : { exitCode: 1, stdout: '', stderr: 'not found' };
+  };
+  return { runner, calls };
+}
+
+async function analyzeWithSemantic(qmdRunner) {
+  delete process.env.PR_SHERIFF_ANTHROPIC_API_KEY;
+  const gh = new GitHubFetch({ repo: 'octo/hello', ghRunner: makeFixtureGhRunner(fixturesDir) });
+  return await analyzePullRequest({
+    gh,
+    owner: 'octo',
+    repo: 'hello',
+    pr: 10,
+    useCache: false,
+    semantic: { config: { qmdCollection: 'pr-sheriff-corpus' }, qmdRunner },
+  });
+}
+
+test('analyzePullRequest adds qmd hits as semantic candidates mapped through corpus frontmatter', async () => {
+  const base = 'qmd://pr-sheriff-corpus/octo/hello';
+  const { runner, calls } = stubQmd(
+    [
+      { file: `${base}/pull/10.md`, score: 0.99 },
+      { file: `${base}/pull/300.md`, score: 0.9 },
+      { file: `${base}/issue/101.md`, score: 0.8 },
+      { file: `${base}/pull/11.md`, score: 0.7 },
+    ],
+    {
+      [`${base}/pull/10.md`]: corpusDoc({ docType: 'github_pull', number: 10, title: 'Improve foo handling', state: 'open' }),
+      [`${base}/pull/300.md`]: corpusDoc({ docType: 'github_pull', number: 300, title: 'Rework foo', state: 'closed', mergedAt: '2024-02-01T00:00:00Z' }),
+      [`${base}/issue/101.md`]: corpusDoc({ docType: 'github_issue', number: 101, title: 'foo bug', state: 'open' }),
+      [`${base}/pull/11.md`]: corpusDoc({ docType: 'github_pull', number: 11, title: 'Earlier attempt at foo fix', state: 'open' }),
+    }
+  );
+
+  const analysis = await analyzeWithSemantic(runner);
+
+  // The query is the target's title + body.
+  assert.match(calls[0][1], /^Improve foo handling Superseded by #12/);
+  assert.deepEqual(analysis.semantic.merged, [300]);
+  assert.deepEqual(analysis.semantic.open, [11]);
+  assert.equal(analysis.semantic.error, null);
+
+  const semantic = analysis.judgeInput.candidates.find((c) => c.number === 300);
+  assert.equal(semantic.source, 'semantic');
+  assert.equal(semantic.semanticScore, 0.9);
+  // #11 was already a competing PR from the graph; it keeps that source and gains the score.
+  const competing = analysis.judgeInput.competingOpenPRs.find((c) => c.number === 11);
+  assert.equal(competing.source, 'graph_duplicate');
+  assert.equal(competing.semanticScore, 0.7);
+});
+
+test('analyzePullRequest reports a missing qmd collection and keeps the other sources', async () => {
+  const runner = async () => ({ exitCode: 1, stdout: '', stderr: 'Collection not found: pr-sheriff-corpus' });
+  const analysis = await analyzeWithSemantic(runner);
+
+  assert.equal(analysis.semantic.error.code, 'QMD_COLLECTION_NOT_FOUND');
+  assert.deepEqual(analysis.semantic.merged, []);
+  assert.ok(analysis.candidates.numbers.includes(200));
+});
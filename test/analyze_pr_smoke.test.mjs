@@ -7,7 +7,7 @@ import { spawnSync } from 'node:child_process';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const repoRoot = path.join(__dirname, '..');
 
-function runAnalyzePrDry() {
+function runAnalyzePrDry(extraArgs = []) {
   const tsxBin = path.join(repoRoot, 'node_modules', '.bin', 'tsx');
   const res = spawnSync(tsxBin, [
     path.join(repoRoot, 'src', 'cli.ts'),
@@ -20,6 +20,7 @@ function runAnalyzePrDry() {
     '10',
     '--dry-fixtures',
     path.join(repoRoot, 'test', 'fixtures', 'analyze_pr'),
+    ...extraArgs,
   ], { cwd: repoRoot, encoding: 'utf8' });
 
   if (res.error) throw res.error;
@@ -43,3 +44,69 @@ test('analyze-pr returns structured JSON in dry fixtures mode', () => {
   assert.ok(candidateNums.includes(200));
 });
 
+test('analyze-pr attaches changed files and patches to the judge input', () => {
+  const out = runAnalyzePrDry();
+  const { judgeInput } = out.result;
+
+  assert.deepEqual(judgeInput.target.files.files.map((f) => f.filename), ['src/foo.ts', 'docs/foo.md']);
+  assert.match(judgeInput.target.files.files[0].patch, /DEFAULT_FOO/);
+
+  const merged = judgeInput.candidates.find((c) => c.number === 200);
+  assert.equal(merged.files.totalFiles, 2);
+  // GitHub omitted this patch; it is recovered from the full PR diff.
+  assert.match(merged.files.files[0].patch, /^@@ -10,4 \+10,6 @@/);
+
+  const competing = judgeInput.competingOpenPRs.find((c) => c.number === 11);
+  assert.equal(competing.files.files[0].filename, 'src/foo.ts');
+});
+
+test('analyze-pr types references and sends explicit ones to the judge first', () => {
+  const out = runAnalyzePrDry();
+  const byNumber = Object.fromEntries(out.result.references.issues.map((r) => [r.number, r.refType]));
+  assert.equal(byNumber[12], 'superseded_by');
+  assert.equal(byNumber[11], 'mention');
+
+  const { judgeInput } = out.result;
+  assert.equal(judgeInput.candidates[0].number, 12);
+  assert.equal(judgeInput.candidates[0].referenceType, 'superseded_by');
+  const evidence = judgeInput.evidence.find((e) => e.id === 'ref_12');
+  assert.equal(evidence.source, 'pr_body');
+  assert.equal(evidence.snippet, 'Superseded by #12');
+  assert.ok(!judgeInput.evidence.some((e) => e.id === 'ref_11'));
+});
+
+test('analyze-pr scores code overlap per candidate and passes it to the judge as diff evidence', () => {
+  const out = runAnalyzePrDry();
+  const merged = out.result.candidates.items.find((c) => c.number === 200);
+  assert.deepEqual(merged.codeOverlap.sharedFiles, ['src/foo.ts']);
+  assert.equal(merged.codeOverlap.lineRangeOverlap, 1);
+  assert.ok(merged.codeOverlap.sharedAddedLines >= 2);
+
+  const evidence = out.result.judgeInput.evidence.find((e) => e.id === 'diff_overlap_200');
+  assert.equal(evidence.source, 'diff');
+  assert.match(evidence.snippet, /1 shared file\(s\) \(src\/foo\.ts\)/);
+});
+
+test('analyze-pr marks merged candidates that were later reverted and ranks them last for the judge', () => {
+  const out = runAnalyzePrDry();
+  assert.deepEqual(out.result.reverts.prs.map((r) => [r.number, r.revertedBy.map((b) => [b.number, b.via])]), [[200, [[201, 'merged_search']]]]);
+
+  const { judgeInput } = out.result;
+  const numbers = judgeInput.candidates.map((c) => c.number);
+  assert.equal(numbers[numbers.length - 1], 200);
+  assert.equal(judgeInput.candidates.find((c) => c.number === 200).revertedBy[0].number, 201);
+  assert.equal(judgeInput.candidates.find((c) => c.number === 201).revertedBy, null);
+
+  const evidence = judgeInput.evidence.find((e) => e.id === 'revert_200_by_201');
+  assert.equal(evidence.source, 'timeline_event');
+  assert.match(evidence.snippet, /#200 was reverted by #201/);
+});
+
+test('analyze-pr fetches changed files only for the top-ranked candidates', () => {
+  const out = runAnalyzePrDry(['--top-k', '1']);
+  // 2 x top-k: #12 (explicit reference) and #11 make the cut; the merged search hits don't.
+  assert.deepEqual(out.result.fileFetches, { limit: 2, fetched: [11, 12], skipped: [200, 201] });
+  assert.equal(out.result.candidates.items.find((c) => c.number === 200).codeOverlap, null);
+  assert.ok(!out.result.judgeInput.evidence.some((e) => e.id === 'diff_overlap_200'));
+  assert.equal(out.result.judgeInput.competingOpenPRs.find((c) => c.number === 11).files.files[0].filename, 'src/foo.ts');
+});
@@ -0,0 +1,208 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { spawnSync } from 'node:child_process';
+
+import { batch } from '../dist/commands/subcommands/batch.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, '..');
+const fixturesDir = path.join(repoRoot, 'test', 'fixtures', 'analyze_pr');
+
+function runBatch(args, { cwd = repoRoot, env = {} } = {}) {
+  const tsxBin = path.join(repoRoot, 'node_modules', '.bin', 'tsx');
+  const res = spawnSync(tsxBin, [
+    path.join(repoRoot, 'src', 'cli.ts'),
+    'batch',
+    '--owner',
+    'octo',
+    '--repo',
+    'hello',
+    ...args,
+  ], { cwd, encoding: 'utf8', env: { ...process.env, PR_SHERIFF_ANTHROPIC_API_KEY: '', ...env } });
+
+  if (res.error) throw res.error;
+  assert.equal(res.status, 0, `expected exit 0, got ${res.status}\n${res.stderr || ''}\n${res.stdout || ''}`);
+  return JSON.parse(res.stdout);
+}
+
+function runBatchDry(extraArgs = [], opts = {}) {
+  return runBatch(['--dry-fixtures', fixturesDir, ...extraArgs], opts);
+}
+
+/**
+ * A `gh` on PATH that answers from the fixtures and a `qmd` with no hits, for runs that
+ * need what `--dry-fixtures` turns off (the semantic source).
+ */
+function runBatchWithFakeTools(args, opts = {}) {
+  const bin = fs.mkdtempSync(path.join(os.tmpdir(), 'pr-sheriff-bin-'));
+  const runnerUrl = pathToFileURL(path.join(repoRoot, 'dist', 'commands', 'subcommands', 'analyzePr.js')).href;
+  fs.writeFileSync(
+    path.join(bin, 'gh.mjs'),
+    `const { makeFixtureGhRunner } = await import(${JSON.stringify(runnerUrl)});
+const res = await makeFixtureGhRunner(${JSON.stringify(fixturesDir)})(process.argv.slice(2));
+process.stdout.write(res.stdout);
+`,
+  );
+  fs.writeFileSync(path.join(bin, 'gh'), `#!/bin/sh\nexec node ${JSON.stringify(path.join(bin, 'gh.mjs'))} "$@"\n`, { mode: 0o755 });
+  fs.writeFileSync(path.join(bin, 'qmd'), '#!/bin/sh\necho "[]"\n', { mode: 0o755 });
+  const env = {
+    PATH: `${bin}${path.delimiter}${process.env.PATH}`,
+    PR_SHERIFF_GITHUB_TOKEN: '',
+    PR_SHERIFF_GITHUB_TRANSPORT: 'gh',
+    PR_SHERIFF_QMD_COLLECTION: '',
+    PR_SHERIFF_QMD_INDEX: '',
+    PR_SHERIFF_CORPUS_DIR: '',
+  };
+  return runBatch(['--no-cache', ...args], { ...opts, env: { ...env, ...opts.env } });
+}
+
+test('batch analyzes every listed PR and aggregates verdicts', () => {
+  const out = runBatchDry();
+  assert.equal(out.ok, true);
+  assert.equal(out.result.kind, 'batch');
+  assert.equal(out.result.status, 'ok');
+  assert.deepEqual(out.result.results.map((r) => r.number), [11, 10]);
+  assert.equal(out.result.summary.total, 2);
+  // No API key in tests: the judge is skipped for every PR.
+  assert.equal(out.result.summary.not_judged, 2);
+  assert.equal(out.result.results[1].analysis.target.number, 10);
+  assert.ok(out.result.results[1].analysis.candidates.numbers.includes(200));
+});
+
+test('batch clusters duplicate open PRs and recommends a keeper', () => {
+  const out = runBatchDry();
+  assert.equal(out.result.summary.clusters, 1);
+  const [cluster] = out.result.clusters;
+  assert.deepEqual(cluster.members, [10, 11]);
+  // #11 is approved with green CI; #10 has changes requested and failing checks.
+  assert.equal(cluster.keeper.number, 11);
+  assert.deepEqual(cluster.closeCandidates.map((c) => c.number), [10]);
+  // Keeper lookups for both members count against the default --graph-max-calls budget.
+  assert.deepEqual(out.result.clusterStats, { maxApiCalls: 100, apiCalls: 10, skippedGroups: [] });
+  assert.deepEqual(runBatchDry(['--graph-max-calls', '9']).result.clusterStats.skippedGroups, [[10, 11]]);
+
+  assert.equal(runBatchDry(['--no-clusters']).result.clusters, null);
+});
+
+test('batch respects --limit', async () => {
+  const out = runBatchDry(['--limit', '1']);
+  assert.deepEqual(out.result.results.map((r) => r.number), [11]);
+
+  for (const bad of ['2.5', '0', 'ten']) {
+    await assert.rejects(batch(['--owner', 'octo', '--repo', 'hello', '--limit', bad], { config: {} }), new RegExp(`Invalid --limit value: ${bad}`));
+  }
+});
+
+test('batch streams NDJSON checkpoints and --resume skips completed PRs', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pr-sheriff-batch-'));
+  const checkpoint = path.join(dir, 'run.ndjson');
+
+  const first = runBatchDry(['--output', checkpoint]);
+  assert.equal(first.result.summary.resumed, 0);
+  const lines = fs.readFileSync(checkpoint, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+  assert.deepEqual(lines.map((l) => [l.kind, l.number, l.status]), [['batch_result', 11, 'ok'], ['batch_result', 10, 'ok']]);
+
+  const second = runBatchDry(['--resume', checkpoint]);
+  assert.equal(second.result.summary.resumed, 2);
+  assert.equal(second.result.summary.total, 2);
+  // Nothing new was analyzed, so nothing was appended.
+  assert.equal(fs.readFileSync(checkpoint, 'utf8').trim().split('\n').length, 2);
+});
+
+/** Run once into a fresh checkpoint, then `--resume` it with `resumeArgs`; returns the resumed run. */
+function resumeWith(firstArgs, resumeArgs, { beforeResume, run = runBatchDry } = {}) {
+  // The temp dir is also the working directory, so corpus graph caches land there.
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'pr-sheriff-batch-'));
+  const checkpoint = path.join(cwd, 'run.ndjson');
+  run(['--output', checkpoint, ...firstArgs], { cwd });
+  beforeResume?.();
+  return run(['--resume', checkpoint, ...resumeArgs], { cwd }).result.summary;
+}
+
+test('batch --resume re-analyzes when the graph budgets change', () => {
+  assert.equal(resumeWith([], ['--graph-depth', '1']).resumed, 0);
+  assert.equal(resumeWith(['--graph-max-calls', '50'], []).resumed, 0);
+  // Spelling out the defaults is the same run.
+  assert.equal(resumeWith([], ['--graph-depth', '4', '--graph-max-calls', '100']).resumed, 2);
+});
+
+test('batch --resume re-analyzes when the followed repos change', () => {
+  assert.equal(resumeWith([], ['--follow-repo', 'octo/plugins']).resumed, 0);
+  const both = ['--follow-repo', 'octo/plugins', '--follow-repo', 'octo/docs'];
+  assert.equal(resumeWith(both, ['--follow-repo', 'octo/docs', '--follow-repo', 'Octo/Plugins']).resumed, 2);
+});
+
+test('batch --resume re-analyzes when --include-ignored-refs changes', () => {
+  assert.equal(resumeWith([], ['--include-ignored-refs']).resumed, 0);
+  assert.equal(resumeWith(['--include-ignored-refs'], ['--include-ignored-refs']).resumed, 2);
+});
+
+test('batch --resume re-analyzes when the corpus or its contents change', () => {
+  const corpusDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pr-sheriff-batch-corpus-')), 'corpus');
+  const doc = path.join(corpusDir, 'octo', 'hello', 'pull', '10.md');
+  const writeDoc = (title) => {
+    fs.mkdirSync(path.dirname(doc), { recursive: true });
+    fs.writeFileSync(
+      doc,
+      `---\ndoc_type: "github_pull"\nrepo: "octo/hello"\nnumber: 10\ntitle: "${title}"\nstate: "open"\n---\n## Body\n\nFixes #101\n`,
+    );
+  };
+  writeDoc('Improve foo handling');
+
+  assert.equal(resumeWith([], ['--corpus-dir', corpusDir]).resumed, 0);
+  assert.equal(resumeWith(['--corpus-dir', corpusDir], ['--corpus-dir', corpusDir]).resumed, 2);
+  // #10's doc was re-indexed with a new title; #11 isn't in the corpus but shares the key.
+  const changed = resumeWith(['--corpus-dir', corpusDir], ['--corpus-dir', corpusDir], { beforeResume: () => writeDoc('Handle foo') });
+  assert.equal(changed.resumed, 0);
+});
+
+test('batch --resume re-analyzes when the semantic source changes', () => {
+  // Every PR spawns a handful of fake `gh`s; one PR is enough here.
+  const run = (args, opts) => runBatchWithFakeTools(['--limit', '1', '--no-clusters', ...args], opts);
+  assert.equal(resumeWith(['--no-semantic'], [], { run }).resumed, 0);
+  assert.equal(resumeWith([], ['--qmd-collection', 'other'], { run }).resumed, 0);
+  assert.equal(resumeWith([], ['--qmd-collection', 'pr-sheriff-corpus'], { run }).resumed, 1);
+});
+
+test('batch --resume re-analyzes when --top-k changes', () => {
+  assert.equal(resumeWith([], ['--top-k', '1']).resumed, 0);
+  assert.equal(resumeWith([], ['--top-k', '20']).resumed, 2);
+});
+
+test('batch --resume appends after a line truncated by a crash', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pr-sheriff-batch-'));
+  const checkpoint = path.join(dir, 'run.ndjson');
+  runBatchDry(['--output', checkpoint]);
+  // Keep #11's line and half of #10's, as if the process died mid-write.
+  const [first, second] = fs.readFileSync(checkpoint, 'utf8').split('\n');
+  fs.writeFileSync(checkpoint, `${first}\n${second.slice(0, 40)}`);
+
+  const resumed = runBatchDry(['--resume', checkpoint]);
+  assert.equal(resumed.result.summary.resumed, 1);
+  const lines = fs.readFileSync(checkpoint, 'utf8').trim().split('\n');
+  assert.equal(lines.length, 3);
+  assert.equal(JSON.parse(lines[2]).number, 10);
+
+  // The re-analyzed #10 is readable on the next resume.
+  assert.equal(runBatchDry(['--resume', checkpoint]).result.summary.resumed, 2);
+});
+
+test('batch records per-PR errors instead of aborting the run', () => {
+  const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pr-sheriff-batch-fixtures-'));
+  fs.cpSync(path.join(repoRoot, 'test', 'fixtures', 'analyze_pr'), fixturesDir, { recursive: true });
+  // PR #99 is listed but has no fixtures, so its analysis fails.
+  fs.writeFileSync(
+    path.join(fixturesDir, 'rest_list_pulls_page1.http'),
+    'HTTP/2 200\n\n[{"number":99,"title":"Broken"},{"number":10,"title":"Improve foo handling"}]\n',
+  );
+
+  const out = runBatchDry(['--dry-fixtures', fixturesDir]);
+  assert.equal(out.result.summary.errors, 1);
+  assert.equal(out.result.results[0].status, 'error');
+  assert.match(out.result.results[0].error.message, /ENOENT|no mapping/);
+  assert.equal(out.result.results[1].status, 'ok');
+});
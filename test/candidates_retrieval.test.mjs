@@ -1,7 +1,17 @@
 import test from "node:test";
 import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
 
 import { retrieveCandidates } from "../dist/candidates/retrieveCandidates.js";
+import { retrieveCandidatesForPullRequest } from "../dist/candidates/retrieveForPullRequest.js";
+import { makeFixtureGhRunner } from "../dist/commands/subcommands/analyzePr.js";
+import { updateCorpusMetadata } from "../dist/corpus/corpusMetadata.js";
+import { GitHubFetch } from "../src/github/index.mjs";
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "analyze_pr");
 
 function makeStubRunner(responses) {
   let i = 0;
@@ -96,3 +106,192 @@ test("retrieveCandidates returns a nice error when qmd collection is missing", a
   assert.equal(res.error?.code, "QMD_COLLECTION_NOT_FOUND");
 });
 
+
+test("retrieveCandidates filters on frontmatter and over-fetches to fill n", async () => {
+  const doc = (number, { docType = "github_pull", state = "closed", mergedAt = null, labels = [] } = {}) =>
+    [
+      "---",
+      'schema: "pr_sheriff_corpus_v1"',
+      `doc_type: "${docType}"`,
+      'repo: "octo/hello"',
+      `number: ${number}`,
+      `title: "Doc ${number}"`,
+      `state: "${state}"`,
+      `merged_at: ${mergedAt ? `"${mergedAt}"` : "null"}`,
+      labels.length ? `labels:\n${labels.map((l) => `  - "${l}"`).join("\n")}` : "labels: []",
+      "---",
+      "",
+    ].join("\n");
+  const docs = {
+    1: doc(1, { mergedAt: "2026-01-05T00:00:00Z", labels: ["bug"] }),
+    2: doc(2, { docType: "github_issue", state: "open" }),
+    3: doc(3, { mergedAt: "2025-12-01T00:00:00Z", labels: ["bug"] }),
+    4: doc(4, { state: "closed" }),
+    5: doc(5, { mergedAt: "2026-01-10T00:00:00Z", labels: ["Bug", "ui"] }),
+    6: doc(6, { state: "open", labels: ["bug"] }),
+    7: doc(7, { mergedAt: "2026-02-01T00:00:00Z", labels: ["bug"] }),
+    8: doc(8, { mergedAt: "2026-01-31T23:00:00Z", labels: ["bug"] }),
+  };
+  const file = (n) => `qmd://pr-sheriff-corpus/octo/hello/pull/${n}.md`;
+
+  /** @type {string[][]} */
+  const calls = [];
+  const runner = async (args) => {
+    calls.push(args);
+    if (args[0] === "query") {
+      const n = Number(args[args.indexOf("-n") + 1]);
+      const hits = Object.keys(docs).slice(0, n).map((k) => ({ file: file(k), score: 1 - Number(k) / 10 }));
+      return { exitCode: 0, stdout: JSON.stringify(hits), stderr: "" };
+    }
+    return { exitCode: 0, stdout: docs[args[1].match(/(\d+)\.md$/)[1]], stderr: "" };
+  };
+
+  const res = await retrieveCandidates({
+    summary: "s",
+    n: 3,
+    config: { qmdCollection: "pr-sheriff-corpus", qmdIndex: null },
+    filters: { docType: "github_pull", merged: true, mergedAfter: "2026-01-01", mergedBefore: "2026-01-31", labels: ["bug"], excludeNumbers: [1] },
+    qmdRunner: runner,
+  });
+
+  assert.equal(res.error, null);
+  assert.deepEqual(res.candidates.map((c) => [c.rank, c.corpus.number]), [[1, 5], [2, 8]]);
+  assert.deepEqual(res.candidates[0].corpus.labels, ["Bug", "ui"]);
+  // 3 * 3 = 9 hits asked for first; qmd only has 8, so there is no second query.
+  assert.deepEqual(calls.filter((c) => c[0] === "query").map((c) => c[c.indexOf("-n") + 1]), ["9"]);
+  assert.equal(calls.filter((c) => c[0] === "get").length, 8);
+  assert.deepEqual(res.filtering, { qmdN: 9, hits: 8, filteredOut: 6 });
+});
+
+test("retrieveCandidates re-queries with a larger -n until enough hits pass", async () => {
+  const file = (n) => `qmd://pr-sheriff-corpus/octo/hello/pull/${n}.md`;
+  const calls = [];
+  const runner = async (args) => {
+    calls.push(args);
+    if (args[0] === "query") {
+      const n = Number(args[args.indexOf("-n") + 1]);
+      const hits = Array.from({ length: n }, (_, i) => ({ file: file(i + 1) }));
+      return { exitCode: 0, stdout: JSON.stringify(hits), stderr: "" };
+    }
+    const number = Number(args[1].match(/(\d+)\.md$/)[1]);
+    // Only every fifth doc is open.
+    const state = number % 5 === 0 ? "open" : "closed";
+    return { exitCode: 0, stdout: `---\ndoc_type: "github_pull"\nnumber: ${number}\nstate: "${state}"\n---\n`, stderr: "" };
+  };
+
+  const res = await retrieveCandidates({
+    summary: "s",
+    n: 2,
+    config: { qmdCollection: "pr-sheriff-corpus", qmdIndex: null },
+    filters: { state: "open" },
+    qmdRunner: runner,
+  });
+
+  assert.deepEqual(res.candidates.map((c) => c.corpus.number), [5, 10]);
+  assert.deepEqual(calls.filter((c) => c[0] === "query").map((c) => c[c.indexOf("-n") + 1]), ["6", "12"]);
+  // Docs already read on the first pass are not fetched again.
+  assert.equal(calls.filter((c) => c[0] === "get").length, 10);
+});
+
+test("retrieveCandidates reads frontmatter from the corpus metadata index instead of qmd get", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pr-sheriff-metadata-"));
+  const corpusDir = path.join(dir, "corpus");
+  const writeDoc = async (rel, number, state) => {
+    await fs.mkdir(path.dirname(path.join(corpusDir, rel)), { recursive: true });
+    await fs.writeFile(path.join(corpusDir, rel), `---\ndoc_type: "github_pull"\nrepo: "octo/hello"\nnumber: ${number}\nstate: "${state}"\n---\n`, "utf8");
+  };
+  await writeDoc("octo/hello/pull/1.md", 1, "open");
+  await writeDoc("octo/hello/pull/2.md", 2, "closed");
+
+  const calls = [];
+  const runner = async (args) => {
+    calls.push(args);
+    if (args[0] === "query") {
+      const hits = ["octo/hello/pull/1.md", "octo/hello/pull/2.md", "octo/hello/pull/3.md"].map((f) => ({ file: `qmd://pr-sheriff-corpus/${f}` }));
+      return { exitCode: 0, stdout: JSON.stringify(hits), stderr: "" };
+    }
+    return { exitCode: 0, stdout: '---\ndoc_type: "github_pull"\nnumber: 3\nstate: "open"\n---\n', stderr: "" };
+  };
+
+  // The default index path is relative to the working directory.
+  const cwd = process.cwd();
+  process.chdir(dir);
+  let res;
+  try {
+    res = await retrieveCandidates({
+      summary: "s",
+      n: 3,
+      config: { qmdCollection: "pr-sheriff-corpus", qmdIndex: null, corpusDir },
+      qmdRunner: runner,
+    });
+  } finally {
+    process.chdir(cwd);
+  }
+
+  assert.deepEqual(res.candidates.map((c) => [c.corpus.number, c.corpus.state]), [[1, "open"], [2, "closed"], [3, "open"]]);
+  // Only the doc missing from the local corpus goes through qmd get.
+  assert.deepEqual(calls.filter((c) => c[0] === "get").map((c) => c[1]), ["qmd://pr-sheriff-corpus/octo/hello/pull/3.md"]);
+  assert.equal(res.metadata.qmdGets, 1);
+  assert.deepEqual(res.metadata.update, { scanned: 2, parsed: 2, reused: 0, removed: 0 });
+
+  // Re-running picks up changed and deleted docs and reuses the rest.
+  const indexPath = path.join(dir, "index.json");
+  await updateCorpusMetadata({ corpusDir, indexPath });
+  await writeDoc("octo/hello/pull/1.md", 1, "closed");
+  await fs.rm(path.join(corpusDir, "octo/hello/pull/2.md"));
+  const { metadata, update } = await updateCorpusMetadata({ corpusDir, indexPath });
+  assert.deepEqual(update, { scanned: 1, parsed: 1, reused: 0, removed: 1 });
+  assert.equal(metadata.docs["octo/hello/pull/1.md"].frontmatter.state, "closed");
+
+  assert.equal(await updateCorpusMetadata({ corpusDir: path.join(dir, "missing") }), null);
+});
+
+test("retrieveCandidatesForPullRequest fuses title, body and linked-issue queries and drops the target", async () => {
+  const gh = new GitHubFetch({ repo: "octo/hello", ghRunner: makeFixtureGhRunner(fixturesDir) });
+
+  const file = (n) => `qmd://pr-sheriff-corpus/octo/hello/pull/${n}.md`;
+  // #12 (the target) ranks first for its own title; #30 is found by every query, #40 only by the issue title.
+  const results = {
+    "Merged foo fix": [12, 30, 20],
+    "Merged foo fix Closes #101.": [12, 20, 30],
+    "Foo bug": [40, 30],
+  };
+  const calls = [];
+  const runner = async (args) => {
+    calls.push(args);
+    if (args[0] === "query") {
+      const hits = (results[args[1]] ?? []).map((n) => ({ file: file(n) }));
+      return { exitCode: 0, stdout: JSON.stringify(hits), stderr: "" };
+    }
+    const number = Number(args[1].match(/(\d+)\.md$/)[1]);
+    return { exitCode: 0, stdout: `---\ndoc_type: "github_pull"\nrepo: "octo/hello"\nnumber: ${number}\n---\n`, stderr: "" };
+  };
+
+  const res = await retrieveCandidatesForPullRequest({
+    gh,
+    owner: "octo",
+    repo: "hello",
+    pr: 12,
+    n: 10,
+    config: { qmdCollection: "pr-sheriff-corpus", qmdIndex: null },
+    useCache: false,
+    qmdRunner: runner,
+  });
+
+  assert.equal(res.error, null);
+  // No files fixture for #12, so there is no file-path query.
+  assert.deepEqual(res.queries.map((q) => [q.name, q.text, q.hits]), [
+    ["title", "Merged foo fix", 2],
+    ["body", "Merged foo fix Closes #101.", 2],
+    ["linked_issues", "Foo bug", 2],
+  ]);
+  assert.deepEqual(res.candidates.map((c) => [c.rank, c.corpus.number]), [[1, 30], [2, 20], [3, 40]]);
+  assert.deepEqual(res.candidates[0].fusion.queries, [
+    { name: "title", rank: 1 },
+    { name: "body", rank: 2 },
+    { name: "linked_issues", rank: 2 },
+  ]);
+  assert.equal(res.candidates[0].fusion.score, Math.round((1 / 61 + 2 / 62) * 1e6) / 1e6);
+  // Each query asks for one extra hit to make up for dropping the target.
+  assert.deepEqual(calls.filter((c) => c[0] === "query").map((c) => c[c.indexOf("-n") + 1]), ["11", "11", "11"]);
+});
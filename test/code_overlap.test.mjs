@@ -0,0 +1,41 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { computeCodeOverlap, parseHunks } from "../dist/diff/codeOverlap.js";
+
+test("parseHunks reads ranges and added/removed lines", () => {
+  const hunks = parseHunks("@@ -10,4 +10,6 @@ fn\n ctx\n-old\n+new a\n+new b\n@@ -40 +42 @@\n-x\n+y");
+  assert.equal(hunks.length, 2);
+  assert.deepEqual([hunks[0].oldStart, hunks[0].oldLines, hunks[0].newStart, hunks[0].newLines], [10, 4, 10, 6]);
+  assert.deepEqual(hunks[0].added, ["new a", "new b"]);
+  assert.deepEqual(hunks[0].removed, ["old"]);
+  assert.deepEqual([hunks[1].oldStart, hunks[1].oldLines], [40, 1]);
+});
+
+test("computeCodeOverlap combines path Jaccard, hunk overlap and added-line fingerprints", () => {
+  const target = [
+    { filename: "src/foo.ts", patch: "@@ -10,4 +10,5 @@\n-  return value;\n+  if (value === null) {\n+    return DEFAULT_FOO;\n+  }" },
+    { filename: "docs/foo.md", patch: "@@ -1 +1,2 @@\n+Foo now falls back." },
+  ];
+  const candidate = [
+    { filename: "src/foo.ts", patch: "@@ -12,2 +12,4 @@\n+  if (value === null) {\n+    return DEFAULT_FOO;\n+  }" },
+    { filename: "src/bar.ts", patch: "@@ -1 +1 @@\n-a\n+b" },
+  ];
+
+  const o = computeCodeOverlap(target, candidate);
+  assert.deepEqual(o.sharedFiles, ["src/foo.ts"]);
+  assert.equal(o.fileJaccard, 0.333);
+  assert.equal(o.lineRangeOverlap, 1);
+  assert.deepEqual(o.overlappingRanges, [{ filename: "src/foo.ts", target: [10, 13], candidate: [12, 13] }]);
+  // "}" is too short to fingerprint; the two substantive added lines match.
+  assert.equal(o.sharedAddedLines, 2);
+  assert.ok(o.score > 0.5 && o.score <= 1);
+});
+
+test("computeCodeOverlap is zero for disjoint PRs", () => {
+  const o = computeCodeOverlap([{ filename: "a.ts", patch: "@@ -1 +1 @@\n+alpha beta gamma" }], [{ filename: "b.ts", patch: "@@ -1 +1 @@\n+alpha beta gamma" }]);
+  assert.equal(o.fileJaccard, 0);
+  assert.equal(o.lineRangeOverlap, 0);
+  assert.equal(o.addedLineJaccard, 1);
+  assert.equal(o.score, 0.3);
+});
@@ -0,0 +1,187 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { analyzePullRequest, makeFixtureGhRunner } from "../dist/commands/subcommands/analyzePr.js";
+import { corpusGraphFingerprint, corpusSubgraph, splitCorpusDoc, updateCorpusGraph } from "../dist/corpus/corpusGraph.js";
+import { GitHubFetch } from "../src/github/index.mjs";
+import { DEFAULT_GRAPH_BUDGETS } from "../src/graph/index.mjs";
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "analyze_pr");
+
+function corpusDoc({ type, number, title, state = "open", mergedAt = null, body, timeline = [] }) {
+  const docType = type === "pull" ? "github_pull" : "github_issue";
+  const lines = [
+    "---",
+    'schema: "pr_sheriff_corpus_v1"',
+    `doc_type: "${docType}"`,
+    'repo: "octo/hello"',
+    `number: ${number}`,
+    `title: ${JSON.stringify(title)}`,
+    `state: "${state}"`,
+    `url: "https://github.com/octo/hello/${type}/${number}"`,
+    'updated_at: "2026-01-01T00:00:00Z"',
+    ...(type === "pull" ? [`merged: ${Boolean(mergedAt)}`, `merged_at: ${mergedAt ? `"${mergedAt}"` : "null"}`] : []),
+    "---",
+    `# ${type === "pull" ? "PR" : "Issue"} #${number}: ${title}`,
+    "",
+    `URL: https://github.com/octo/hello/${type}/${number}`,
+    "",
+    "## Body",
+    "",
+    body || "(no body)",
+    "",
+    "## Timeline",
+    ""
+  ];
+  if (timeline.length === 0) lines.push("(no timeline events ingested)");
+  for (const t of timeline) lines.push(`### 2026-01-02T00:00:00Z (comment) @someone`, "", t, "");
+  return `${lines.join("\n")}\n`;
+}
+
+async function writeDoc(corpusDir, doc) {
+  const p = path.join(corpusDir, "octo", "hello", doc.type, `${doc.number}.md`);
+  await fs.mkdir(path.dirname(p), { recursive: true });
+  await fs.writeFile(p, corpusDoc(doc), "utf8");
+  return p;
+}
+
+async function makeCorpus() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pr-sheriff-corpus-"));
+  const corpusDir = path.join(dir, "corpus");
+  await writeDoc(corpusDir, { type: "pull", number: 10, title: "Fix foo", body: "Fixes #1\n\n```\nsee #99\n```" });
+  await writeDoc(corpusDir, { type: "issue", number: 1, title: "foo is broken", body: "Crashes.", timeline: ["Dup of #2"] });
+  await writeDoc(corpusDir, { type: "issue", number: 2, title: "foo crash", body: "Also crashes." });
+  await writeDoc(corpusDir, {
+    type: "pull",
+    number: 11,
+    title: "Fix foo properly",
+    state: "closed",
+    mergedAt: "2026-01-03T00:00:00Z",
+    body: "Closes #1, see other/repo#5"
+  });
+  await writeDoc(corpusDir, {
+    type: "pull",
+    number: 12,
+    title: 'Revert "Fix foo properly"',
+    state: "closed",
+    mergedAt: "2026-01-04T00:00:00Z",
+    body: "Broke the build."
+  });
+  return { dir, corpusDir, graphPath: path.join(dir, "graph.json") };
+}
+
+test("splitCorpusDoc: separates body from timeline entries", () => {
+  const parts = splitCorpusDoc(corpusDoc({ type: "issue", number: 1, title: "t", body: "Body #3", timeline: ["one #4", "two"] }));
+  assert.equal(parts.body, "Body #3");
+  assert.deepEqual(parts.comments, ["one #4", "two"]);
+});
+
+test("updateCorpusGraph: builds the repo graph from corpus docs alone", async () => {
+  const { corpusDir, graphPath } = await makeCorpus();
+  const { graph, update } = await updateCorpusGraph({ corpusDir, repo: "octo/hello", graphPath });
+
+  assert.deepEqual(update, { scanned: 5, parsed: 5, reused: 0, removed: 0 });
+  assert.equal(Object.keys(graph.nodes).length, 5);
+  assert.equal(graph.nodes["pr:octo/hello#11"].mergedAt, "2026-01-03T00:00:00Z");
+
+  const has = (from, type, to) => graph.edges.some((e) => e.from === from && e.type === type && e.to === to);
+  assert.ok(has("pr:octo/hello#10", "references", "issue:octo/hello#1"));
+  // #10 is open, so only a timeline-style cross reference; merged #11 closes #1.
+  assert.ok(has("issue:octo/hello#1", "cross_referenced_by", "pr:octo/hello#10"));
+  assert.ok(has("issue:octo/hello#1", "closed_by", "pr:octo/hello#11"));
+  assert.ok(has("issue:octo/hello#1", "references", "issue:octo/hello#2"));
+  assert.ok(has("pr:octo/hello#11", "reverted_by", "pr:octo/hello#12"));
+  // The code-block mention of #99 is ignored; other/repo#5 has no doc.
+  assert.equal(graph.unresolved, 1);
+
+  const persisted = JSON.parse(await fs.readFile(graphPath, "utf8"));
+  assert.equal(persisted.schema, "pr_sheriff_corpus_graph_v1");
+  assert.equal(persisted.edges.length, graph.edges.length);
+});
+
+test("updateCorpusGraph: re-parses only changed docs and drops deleted ones", async () => {
+  const { corpusDir, graphPath } = await makeCorpus();
+  await updateCorpusGraph({ corpusDir, repo: "octo/hello", graphPath });
+
+  const p = await writeDoc(corpusDir, { type: "pull", number: 10, title: "Fix foo", body: "Fixes #2 instead" });
+  await fs.utimes(p, new Date(), new Date(Date.now() + 5000));
+  await fs.rm(path.join(corpusDir, "octo", "hello", "pull", "12.md"));
+
+  const { graph, update } = await updateCorpusGraph({ corpusDir, repo: "octo/hello", graphPath });
+  assert.deepEqual(update, { scanned: 4, parsed: 1, reused: 3, removed: 1 });
+  assert.ok(graph.edges.some((e) => e.from === "pr:octo/hello#10" && e.to === "issue:octo/hello#2"));
+  assert.ok(!graph.edges.some((e) => e.from === "pr:octo/hello#10" && e.to === "issue:octo/hello#1"));
+  assert.ok(!graph.edges.some((e) => e.type === "reverted_by"));
+});
+
+test("updateCorpusGraph: remembers docs it can't parse instead of re-reading them", async () => {
+  const { corpusDir, graphPath } = await makeCorpus();
+  await fs.writeFile(path.join(corpusDir, "octo", "hello", "pull", "13.md"), "# Notes without frontmatter\n", "utf8");
+
+  const first = await updateCorpusGraph({ corpusDir, repo: "octo/hello", graphPath });
+  assert.deepEqual(first.update, { scanned: 6, parsed: 6, reused: 0, removed: 0 });
+  assert.equal(first.graph.docs["pull/13.md"].node, null);
+  assert.ok(!Object.keys(first.graph.nodes).some((id) => id.endsWith("#13")));
+
+  const again = await updateCorpusGraph({ corpusDir, repo: "octo/hello", graphPath });
+  assert.deepEqual(again.update, { scanned: 6, parsed: 0, reused: 6, removed: 0 });
+  assert.equal(corpusGraphFingerprint(again.graph), corpusGraphFingerprint(first.graph));
+});
+
+test("corpusSubgraph: returns a PR's reachable graph in buildReferenceGraph shape", async () => {
+  const { corpusDir, graphPath } = await makeCorpus();
+  const { graph } = await updateCorpusGraph({ corpusDir, repo: "octo/hello", graphPath });
+
+  const sub = corpusSubgraph(graph, 10);
+  assert.equal(sub.rootId, "pr:octo/hello#10");
+  assert.equal(sub.stats.inCorpus, true);
+  assert.equal(sub.stats.apiCalls.total, 0);
+  assert.equal(sub.nodes["issue:octo/hello#1"].depth, 1);
+  assert.equal(sub.nodes["pr:octo/hello#12"].depth, 3);
+
+  assert.deepEqual(sub.budgets, { ...DEFAULT_GRAPH_BUDGETS, maxApiCalls: 0 });
+
+  const shallow = corpusSubgraph(graph, 10, { maxDepth: 1 });
+  assert.deepEqual(Object.keys(shallow.nodes).sort(), ["issue:octo/hello#1", "pr:octo/hello#10"]);
+  assert.ok(shallow.stats.truncated.unexpanded.some((u) => u.id === "issue:octo/hello#1" && u.reason === "maxDepth"));
+
+  assert.equal(corpusSubgraph(graph, 404).stats.inCorpus, false);
+});
+
+test("analyzePullRequest: re-reads open PRs of a corpus graph before treating them as competing", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pr-sheriff-corpus-"));
+  const corpusDir = path.join(dir, "corpus");
+  await writeDoc(corpusDir, { type: "pull", number: 10, title: "Improve foo handling", body: "Same as #11, #12 and #13." });
+  // All open in the snapshot; live, #12 has been closed since and #13 can't be fetched.
+  for (const number of [11, 12, 13]) await writeDoc(corpusDir, { type: "pull", number, title: `Foo attempt ${number}` });
+  const { graph: corpusGraph } = await updateCorpusGraph({ corpusDir, repo: "octo/hello", graphPath: path.join(dir, "graph.json") });
+
+  delete process.env.PR_SHERIFF_ANTHROPIC_API_KEY;
+  const analyze = async (opts = {}) => {
+    const gh = new GitHubFetch({ repo: "octo/hello", ghRunner: makeFixtureGhRunner(fixturesDir) });
+    return await analyzePullRequest({ gh, owner: "octo", repo: "hello", pr: 10, useCache: false, corpusGraph, ...opts });
+  };
+
+  const res = await analyze();
+  assert.equal(res.graph.stats.source, "corpus");
+  assert.deepEqual(res.graph.stats.refresh, { refreshed: [11, 12], closedSince: [12], failed: [13], skipped: [] });
+  assert.deepEqual(res.graph.stats.apiCalls, { total: 3, getPR: 3 });
+  assert.equal(res.graph.nodes["pr:octo/hello#12"].state, "closed");
+  assert.deepEqual(res.judgeInput.competingOpenPRs.map((c) => c.number), [11]);
+
+  // Past the API budget a node isn't refreshed, and so isn't competing either.
+  const capped = await analyze({ graphBudgets: { maxApiCalls: 1 } });
+  assert.deepEqual(capped.graph.stats.refresh, { refreshed: [11], closedSince: [], failed: [], skipped: [12, 13] });
+  assert.equal(capped.graph.nodes["pr:octo/hello#13"].staleState, true);
+  assert.deepEqual(capped.judgeInput.competingOpenPRs.map((c) => c.number), [11]);
+
+  // The corpus graph has neither other repos nor ignored regions: those options build live.
+  for (const opts of [{ followRepos: ["other/repo"] }, { includeIgnoredRegions: true }]) {
+    const live = await analyze(opts);
+    assert.notEqual(live.graph.stats.source, "corpus");
+  }
+});
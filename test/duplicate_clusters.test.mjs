@@ -0,0 +1,149 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { clusterDuplicatePRs, collectDuplicateLinks, groupLinks, summarizeCi } from "../dist/analysis/duplicateClusters.js";
+
+const analysisWith = ({ competing = [], related = [], supersededBy = [] } = {}) => ({
+  verdict: related.length || supersededBy.length ? { superseded_by: supersededBy, related } : null,
+  judgeInput: { competingOpenPRs: competing }
+});
+
+test("collectDuplicateLinks + groupLinks merge pairwise signals into connected groups", () => {
+  const links = collectDuplicateLinks(
+    [
+      { number: 1, analysis: analysisWith({ competing: [{ number: 2, referenceType: "duplicate_of", codeOverlap: null }] }) },
+      { number: 2, analysis: analysisWith({ related: [{ pr_number: 3, relationship: "duplicate", summary: "same fix" }] }) },
+      { number: 3, analysis: analysisWith({ related: [{ pr_number: 9, relationship: "depends_on", summary: "needs #9" }] }) },
+      { number: 5, analysis: analysisWith({ competing: [{ number: 6, referenceType: "mention", codeOverlap: { score: 0.1 } }] }) },
+      { number: 7, analysis: analysisWith({ supersededBy: [{ pr_number: 8, repo: "other/repo", summary: "" }] }) }
+    ],
+    "octo/hello"
+  );
+
+  assert.deepEqual(
+    links.map((l) => [l.from, l.to, l.signal]),
+    [
+      [1, 2, "duplicate_reference"],
+      [2, 3, "judge_duplicate"],
+      [5, 6, "graph_related"]
+    ]
+  );
+  assert.deepEqual(groupLinks(links), [
+    [1, 2, 3],
+    [5, 6]
+  ]);
+});
+
+test("summarizeCi: any failure wins, then pending; no statuses or runs is none", () => {
+  assert.equal(summarizeCi({ state: "pending", statuses: [] }, []), "none");
+  assert.equal(summarizeCi({ state: "success", statuses: [{}] }, [{ status: "completed", conclusion: "success" }]), "success");
+  assert.equal(summarizeCi({ state: "success", statuses: [{}] }, [{ status: "in_progress", conclusion: null }]), "pending");
+  assert.equal(summarizeCi(null, [{ status: "completed", conclusion: "skipped" }, { status: "completed", conclusion: "timed_out" }]), "failure");
+});
+
+test("clusterDuplicatePRs picks a keeper by approvals, CI, responsiveness and recency", async () => {
+  const prs = {
+    1: { number: 1, state: "open", title: "Fix A", user: { login: "ann" }, head: { sha: "s1" }, updated_at: "2026-03-01T00:00:00Z", created_at: "2026-01-01T00:00:00Z" },
+    2: { number: 2, state: "open", title: "Fix A again", user: { login: "bob" }, head: { sha: "s2" }, updated_at: "2026-03-20T00:00:00Z", created_at: "2026-02-01T00:00:00Z" },
+    3: { number: 3, state: "open", title: "Fix A (draft)", draft: true, user: { login: "cy" }, head: { sha: "s3" }, updated_at: "2026-03-25T00:00:00Z", created_at: "2026-03-01T00:00:00Z" },
+    4: { number: 4, state: "closed", title: "Old", user: { login: "dee" }, head: { sha: "s4" }, updated_at: "2025-01-01T00:00:00Z" }
+  };
+  const reviews = { 1: [{ user: { login: "rev" }, state: "APPROVED", submitted_at: "2026-02-01T00:00:00Z" }] };
+  const comments = { 2: [{ user: { login: "rev" }, created_at: "2026-02-10T00:00:00Z" }] };
+  const ci = { s1: "success", s2: "failure", s3: "success" };
+  const gh = {
+    getPR: async (n) => prs[n],
+    listPRReviews: async (n) => reviews[n] ?? [],
+    getCombinedStatus: async (sha) => ({ state: ci[sha] ?? "pending", statuses: ci[sha] ? [{ state: ci[sha] }] : [] }),
+    listCheckRuns: async () => [],
+    listPRComments: async (n) => ({ all: comments[n] ?? [] })
+  };
+
+  const { clusters } = await clusterDuplicatePRs({
+    analyses: [
+      { number: 1, analysis: analysisWith({ competing: [{ number: 2, referenceType: "mention", codeOverlap: { score: 0.8 } }] }) },
+      { number: 2, analysis: analysisWith({ competing: [{ number: 3, referenceType: "supersedes", codeOverlap: null }] }) },
+      { number: 3, analysis: analysisWith({ related: [{ pr_number: 4, relationship: "duplicate", summary: "" }] }) }
+    ],
+    repo: "octo/hello",
+    gh,
+    useCache: false,
+    maxApiCalls: 100,
+    now: new Date("2026-04-01T00:00:00Z")
+  });
+
+  assert.equal(clusters.length, 1);
+  const [c] = clusters;
+  // #4 is closed, so it is not a member.
+  assert.deepEqual(c.members, [1, 2, 3]);
+  assert.equal(c.keeper.number, 1);
+  assert.match(c.keeper.rationale, /1 approval, CI success/);
+  assert.deepEqual(
+    c.closeCandidates.map((x) => x.number),
+    [3, 2]
+  );
+  const two = c.closeCandidates.find((x) => x.number === 2);
+  assert.match(two.rationale, /^Close in favour of #1: .*CI success on #1 vs failure.*@bob hasn't answered feedback since 2026-02-10/);
+});
+
+test("clusterDuplicatePRs clusters only on duplicate-grade links and lists graph neighbours apart", async () => {
+  const fetched = [];
+  const gh = {
+    getPR: async (n) => {
+      fetched.push(n);
+      return { number: n, state: "open", title: `PR ${n}`, user: { login: `u${n}` }, head: { sha: null }, updated_at: "2026-03-01T00:00:00Z" };
+    },
+    listPRReviews: async () => [],
+    listPRComments: async () => ({ all: [] })
+  };
+
+  const { clusters } = await clusterDuplicatePRs({
+    analyses: [
+      { number: 1, analysis: analysisWith({ competing: [{ number: 2, referenceType: "duplicate_of", codeOverlap: null }, { number: 3, referenceType: "mention", codeOverlap: null }] }) },
+      // Only mentioned: a chain of weak links must not pull #4 and #5 into a cluster.
+      { number: 3, analysis: analysisWith({ competing: [{ number: 4, referenceType: "mention", codeOverlap: { score: 0.1 } }] }) },
+      { number: 4, analysis: analysisWith({ competing: [{ number: 5, referenceType: "mention", codeOverlap: null }] }) }
+    ],
+    repo: "octo/hello",
+    gh,
+    useCache: false,
+    maxApiCalls: 100,
+    now: new Date("2026-04-01T00:00:00Z")
+  });
+
+  assert.equal(clusters.length, 1);
+  const [c] = clusters;
+  assert.deepEqual(c.members, [1, 2]);
+  assert.deepEqual(c.links.map((l) => l.signal), ["duplicate_reference"]);
+  assert.deepEqual(c.related, [{ number: 3, via: [1] }]);
+  assert.deepEqual(c.closeCandidates.map((x) => x.number).concat(c.keeper.number).sort(), [1, 2]);
+  assert.deepEqual(fetched.sort(), [1, 2]);
+});
+
+test("clusterDuplicatePRs counts keeper lookups against maxApiCalls and skips groups it can't afford", async () => {
+  const pr = (n) => ({ number: n, state: "open", title: `PR ${n}`, user: { login: `u${n}` }, head: { sha: `s${n}` }, updated_at: "2026-03-01T00:00:00Z" });
+  const gh = {
+    getPR: async (n) => pr(n),
+    listPRReviews: async () => [],
+    getCombinedStatus: async () => ({ state: "success", statuses: [] }),
+    listCheckRuns: async () => [],
+    listPRComments: async () => ({ all: [] })
+  };
+  const dup = (n) => [{ number: n, referenceType: "duplicate_of", codeOverlap: null }];
+  const analyses = [
+    { number: 1, analysis: analysisWith({ competing: dup(2) }) },
+    { number: 3, analysis: analysisWith({ competing: dup(4) }) },
+    { number: 4, analysis: analysisWith({ competing: dup(5) }) }
+  ];
+
+  const run = (maxApiCalls) => clusterDuplicatePRs({ analyses, repo: "octo/hello", gh, useCache: false, maxApiCalls });
+
+  const all = await run(100);
+  assert.deepEqual(all.clusters.map((c) => c.members), [[1, 2], [3, 4, 5]]);
+  assert.deepEqual(all.stats, { maxApiCalls: 100, apiCalls: 25, skippedGroups: [] });
+
+  // Room for the pair (10 calls) but not the trio on top (15 more): the trio isn't half-ranked.
+  const capped = await run(20);
+  assert.deepEqual(capped.clusters.map((c) => c.members), [[1, 2]]);
+  assert.deepEqual(capped.stats, { maxApiCalls: 20, apiCalls: 10, skippedGroups: [[3, 4, 5]] });
+});
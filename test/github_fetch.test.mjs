@@ -6,6 +6,7 @@ import assert from 'node:assert/strict';
 import { fileURLToPath } from 'node:url';
 
 import { GitHubFetch } from '../src/github/github_fetch.mjs';
+import { createFetchRunner } from '../src/github/fetch_runner.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -108,3 +109,86 @@ test('GraphQL timeline pagination follows endCursor', async () => {
   assert.equal(nodes[1].__typename, 'ClosedEvent');
   assert.equal(calls.length, 2);
 });
+
+function makeStubFetch(responses) {
+  /** @type {{url: string, init: any}[]} */
+  const calls = [];
+  const fetchFn = async (url, init) => {
+    calls.push({ url, init });
+    const r = responses[calls.length - 1];
+    if (!r) throw new Error(`stub fetch out of responses after ${calls.length - 1} calls`);
+    return new Response(JSON.stringify(r.body), { status: r.status ?? 200, headers: r.headers ?? {} });
+  };
+  return { fetchFn, calls };
+}
+
+test('fetch runner speaks REST against githubApiUrl and follows Link pagination', async () => {
+  const { fetchFn, calls } = makeStubFetch([
+    {
+      body: [{ id: 1, created_at: '2024-01-01T00:00:00Z' }],
+      headers: { link: '<https://ghe.example.com/api/v3/repos/octo/hello/issues/3/comments?per_page=100&page=2>; rel="next"' },
+    },
+    { body: [{ id: 2, created_at: '2024-01-02T00:00:00Z' }] },
+    { body: [] },
+  ]);
+
+  const gh = new GitHubFetch({
+    repo: 'octo/hello',
+    ghRunner: createFetchRunner({ apiUrl: 'https://ghe.example.com/api/v3/', token: 't0k', fetchFn }),
+    cacheDir: fs.mkdtempSync(path.join(os.tmpdir(), 'pr-sheriff-cache-')),
+  });
+
+  const res = await gh.listPRComments(3, { useCache: false });
+  assert.deepEqual(res.all.map((c) => c.id), [1, 2]);
+  assert.equal(calls[0].url, 'https://ghe.example.com/api/v3/repos/octo/hello/issues/3/comments?per_page=100');
+  assert.equal(calls[0].init.method, 'GET');
+  assert.equal(calls[0].init.headers.authorization, 'Bearer t0k');
+  assert.equal(calls[1].url, 'https://ghe.example.com/api/v3/repos/octo/hello/issues/3/comments?per_page=100&page=2');
+});
+
+test('fetch runner posts GraphQL with typed variables and surfaces HTTP errors', async () => {
+  const { fetchFn, calls } = makeStubFetch([
+    {
+      body: {
+        data: {
+          repository: {
+            issue: { timelineItems: { nodes: [{ __typename: 'ClosedEvent' }], pageInfo: { hasNextPage: false, endCursor: null } } },
+          },
+        },
+      },
+    },
+    { status: 404, body: { message: 'Not Found' } },
+  ]);
+
+  const gh = new GitHubFetch({
+    repo: 'octo/hello',
+    ghRunner: createFetchRunner({ apiUrl: 'https://ghe.example.com/api/v3', fetchFn }),
+    cacheDir: fs.mkdtempSync(path.join(os.tmpdir(), 'pr-sheriff-cache-')),
+  });
+
+  const nodes = await gh.getIssueTimeline(7, { useCache: false });
+  assert.equal(nodes.length, 1);
+  assert.equal(calls[0].url, 'https://ghe.example.com/api/graphql');
+  assert.equal(calls[0].init.method, 'POST');
+  const payload = JSON.parse(calls[0].init.body);
+  assert.deepEqual(payload.variables, { owner: 'octo', name: 'hello', number: 7 });
+  assert.match(payload.query, /timelineItems/);
+  assert.equal(calls[0].init.headers.authorization, undefined);
+
+  await assert.rejects(gh.getPR(404, { useCache: false }), /GitHub API error 404/);
+});
+
+test('getPRDiff requests the diff media type and returns raw text', async () => {
+  const diff = 'diff --git a/x b/x\n--- a/x\n+++ b/x\n@@ -1 +1 @@\n-a\n+b\n\n';
+  const { runner, calls } = makeStubRunner([`HTTP/2 200\ncontent-type: application/vnd.github.diff\n\n${diff}`]);
+
+  const gh = new GitHubFetch({
+    repo: 'octo/hello',
+    ghRunner: runner,
+    cacheDir: fs.mkdtempSync(path.join(os.tmpdir(), 'pr-sheriff-cache-')),
+  });
+
+  assert.equal(await gh.getPRDiff(5, { useCache: false }), diff);
+  assert.ok(calls[0].includes('Accept: application/vnd.github.diff'));
+  assert.equal(calls[0][calls[0].length - 1], '/repos/octo/hello/pulls/5');
+});
@@ -0,0 +1,57 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { extractGraph } from "../dist/commands/subcommands/graph.js";
+import { renderDot, renderGraphml, renderMermaid } from "../dist/report/renderGraph.js";
+
+const graph = {
+  rootId: "pr:octo/hello#10",
+  nodes: {
+    "pr:octo/hello#10": { id: "pr:octo/hello#10", type: "pr", owner: "octo", repo: "hello", number: 10, title: 'Improve "foo" <fast>', state: "open", mergedAt: null, url: "https://github.com/octo/hello/pull/10", depth: 0 },
+    "issue:octo/hello#101": { id: "issue:octo/hello#101", type: "issue", owner: "octo", repo: "hello", number: 101, depth: 1 },
+    "pr:octo/hello#12": { id: "pr:octo/hello#12", type: "pr", owner: "octo", repo: "hello", number: 12, title: "Merged foo fix", state: "closed", mergedAt: "2024-01-13T00:00:00Z", depth: 2 },
+    "pr:octo/plugin#5": { id: "pr:octo/plugin#5", type: "pr", owner: "octo", repo: "plugin", number: 5, title: "Plugin side", state: "open", mergedAt: null, depth: 1 },
+  },
+  edges: [
+    { from: "pr:octo/hello#10", to: "issue:octo/hello#101", type: "references", refType: "closes" },
+    { from: "issue:octo/hello#101", to: "pr:octo/hello#12", type: "closed_by" },
+    { from: "pr:octo/hello#10", to: "pr:octo/plugin#5", type: "references", refType: "mention", region: "quote" },
+  ],
+};
+
+test("renderDot labels nodes with title and state and styles edges by type", () => {
+  const dot = renderDot(graph);
+  assert.match(dot, /^digraph "pr:octo\/hello#10" \{/);
+  assert.match(dot, /"pr:octo\/hello#10" \[label="#10\\nImprove \\"foo\\" <fast>\\nopen", fillcolor="#d3f9d8", penwidth=3/);
+  assert.match(dot, /"pr:octo\/hello#12" \[label="#12\\nMerged foo fix\\nmerged"/);
+  assert.match(dot, /"pr:octo\/plugin#5" \[label="octo\/plugin#5\\nPlugin side\\nopen"/);
+  assert.match(dot, /"issue:octo\/hello#101" -> "pr:octo\/hello#12" \[label="closed_by", color="#2b8a3e", fontcolor="#2b8a3e", style=bold\];/);
+  assert.match(dot, /\[label="references: closes", color="#1971c2"/);
+  assert.match(dot, /\[label="references: in quote"/);
+});
+
+test("renderMermaid uses safe node ids, escaped labels and per-edge link styles", () => {
+  const mermaid = renderMermaid(graph);
+  const lines = mermaid.trim().split("\n");
+  assert.equal(lines[0], "flowchart LR");
+  assert.ok(lines.includes('  n0["#10<br/>Improve #quot;foo#quot; #lt;fast#gt;<br/>open"]'));
+  assert.ok(lines.includes("  class n0 open,root"));
+  assert.ok(lines.includes('  n1(["issue #101"])'));
+  assert.ok(lines.includes('  n1 ==>|"closed_by"| n3'));
+  assert.ok(lines.includes("  linkStyle 1 stroke:#2b8a3e,color:#2b8a3e"));
+});
+
+test("renderGraphml declares keys and escapes attribute values", () => {
+  const xml = renderGraphml(graph);
+  assert.match(xml, /<key id="n_state" for="node" attr.name="state" attr.type="string"\/>/);
+  assert.match(xml, /<data key="n_title">Improve &quot;foo&quot; &lt;fast&gt;<\/data>/);
+  assert.match(xml, /<edge id="e1" source="issue:octo\/hello#101" target="pr:octo\/hello#12">\n {6}<data key="e_type">closed_by<\/data>/);
+  assert.equal((xml.match(/<node /g) ?? []).length, 4);
+});
+
+test("extractGraph finds the graph in CLI envelopes, results and batch lines", () => {
+  assert.equal(extractGraph({ ok: true, result: { graph } }), graph);
+  assert.equal(extractGraph({ analysis: { graph } }), graph);
+  assert.equal(extractGraph(graph), graph);
+  assert.throws(() => extractGraph({ ok: true, result: {} }), /no reference graph/);
+});
@@ -0,0 +1,104 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { indexCorpus } from "../dist/corpus/indexCorpus.js";
+import { parseCorpusFrontmatter } from "../dist/candidates/parseFrontmatter.js";
+import { makeFixtureGhRunner } from "../dist/commands/subcommands/analyzePr.js";
+import { GitHubFetch } from "../src/github/index.mjs";
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "analyze_pr");
+
+function stubQmd(addExitCode) {
+  const calls = [];
+  const runner = async (args) => {
+    calls.push(args);
+    const exitCode = args.includes("add") ? addExitCode : 0;
+    return { exitCode, stdout: "", stderr: exitCode ? "Collection already exists" : "" };
+  };
+  return { runner, calls };
+}
+
+async function run(corpusDir, qmdRunner, extra = {}, ghRunner = makeFixtureGhRunner(fixturesDir)) {
+  const gh = new GitHubFetch({ repo: "octo/hello", ghRunner });
+  return await indexCorpus({
+    gh,
+    repo: "octo/hello",
+    corpusDir,
+    types: { pulls: true, issues: true },
+    maxComments: 200,
+    maxReviews: 200,
+    useCache: false,
+    qmd: { config: { qmdCollection: "pr-sheriff-corpus", qmdIndex: "pr-sheriff" }, qmdRunner },
+    ...extra,
+  });
+}
+
+test("indexCorpus writes PR and issue docs through GitHubFetch and registers the qmd collection", async () => {
+  const corpusDir = path.join(await fs.mkdtemp(path.join(os.tmpdir(), "pr-sheriff-index-")), "corpus");
+  const { runner, calls } = stubQmd(0);
+  const res = await run(corpusDir, runner);
+
+  // The issue list's PR entry (#10) is not an issue.
+  assert.deepEqual(res.listed, { pulls: 2, issues: 1 });
+  assert.deepEqual(res.docs, { written: 3, updated: 0, unchanged: 0 });
+  assert.deepEqual(
+    res.items.map((i) => [i.type, i.number, i.status]),
+    [
+      ["issue", 101, "written"],
+      ["pull", 10, "written"],
+      ["pull", 11, "written"],
+    ]
+  );
+  assert.deepEqual(calls, [["--index", "pr-sheriff", "collection", "add", corpusDir, "--name", "pr-sheriff-corpus", "--mask", "*.md"]]);
+  assert.deepEqual(res.qmd, { command: "collection add", exitCode: 0, error: null });
+
+  const pr = await fs.readFile(path.join(corpusDir, "octo/hello/pull/10.md"), "utf8");
+  const fm = parseCorpusFrontmatter(pr);
+  assert.equal(fm.doc_type, "github_pull");
+  assert.equal(fm.repo, "octo/hello");
+  assert.equal(fm.number, 10);
+  // Issue comment and review, interleaved by time.
+  assert.match(pr, /### 2024-01-10T12:00:00Z \(comment\) @bob\n\nI think #11 already tried this approach\.\n\n### 2024-01-10T12:00:00Z \(review: CHANGES_REQUESTED\) @dave\n\n\(no body\)/);
+  const issue = await fs.readFile(path.join(corpusDir, "octo/hello/issue/101.md"), "utf8");
+  assert.match(issue, /^# Issue #101: Foo bug$/m);
+  assert.match(issue, /@erin\n\nFixed by #12, closing\./);
+});
+
+test("indexCorpus leaves unchanged docs alone and falls back to qmd update", async () => {
+  const corpusDir = path.join(await fs.mkdtemp(path.join(os.tmpdir(), "pr-sheriff-index-")), "corpus");
+  await run(corpusDir, stubQmd(0).runner);
+  await fs.writeFile(path.join(corpusDir, "octo/hello/pull/11.md"), "stale\n", "utf8");
+  const before = (await fs.stat(path.join(corpusDir, "octo/hello/pull/10.md"))).mtimeMs;
+
+  const { runner, calls } = stubQmd(1);
+  const res = await run(corpusDir, runner, { types: { pulls: true, issues: false }, limit: 5 });
+
+  assert.deepEqual(res.docs, { written: 0, updated: 1, unchanged: 1 });
+  assert.equal((await fs.stat(path.join(corpusDir, "octo/hello/pull/10.md"))).mtimeMs, before);
+  assert.deepEqual(calls.map((c) => c.slice(2, 4)), [["collection", "add"], ["update"]]);
+  assert.deepEqual(res.qmd, { command: "update", exitCode: 0, error: null });
+
+  const dry = await run(path.join(corpusDir, "..", "dry"), runner, { dryRun: true });
+  assert.equal(dry.docs.written, 3);
+  assert.equal(dry.qmd, null);
+  await assert.rejects(fs.stat(path.join(corpusDir, "..", "dry")));
+});
+
+test("indexCorpus asks GitHub for pages no larger than --limit", async () => {
+  const corpusDir = path.join(await fs.mkdtemp(path.join(os.tmpdir(), "pr-sheriff-index-")), "corpus");
+  const fixtureRunner = makeFixtureGhRunner(fixturesDir);
+  const endpoints = [];
+  const ghRunner = async (args) => {
+    endpoints.push(args.find((a) => a.startsWith("/repos/")));
+    return await fixtureRunner(args);
+  };
+
+  await run(corpusDir, stubQmd(0).runner, { limit: 2, dryRun: true }, ghRunner);
+  const lists = endpoints.filter((e) => /\/(pulls|issues)\?/.test(e));
+  assert.equal(lists.length, 2);
+  for (const e of lists) assert.match(e, /[?&]per_page=2(&|$)/);
+});
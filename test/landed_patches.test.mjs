@@ -0,0 +1,98 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { findLandedPatches, prNumberFromSubject } from "../dist/git/landedPatches.js";
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+  GIT_CONFIG_GLOBAL: "/dev/null",
+  GIT_CONFIG_NOSYSTEM: "1",
+};
+
+function makeRepo() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pr-sheriff-landed-"));
+  const git = (...args) => execFileSync("git", args, { cwd: dir, env: GIT_ENV, encoding: "utf8" }).trim();
+  const write = (file, text) => fs.writeFileSync(path.join(dir, file), text);
+  git("init", "-q", "-b", "main");
+  write("a.txt", "one\n");
+  write("b.txt", "two\n");
+  git("add", ".");
+  git("commit", "-q", "-m", "init");
+  return { dir, git, write };
+}
+
+test("prNumberFromSubject reads squash and merge-commit subjects", () => {
+  assert.equal(prNumberFromSubject("Fix foo (#123)"), 123);
+  assert.equal(prNumberFromSubject("Merge pull request #45 from someone/branch"), 45);
+  assert.equal(prNumberFromSubject("Fix #9 in foo"), null);
+});
+
+test("findLandedPatches reports cherry-picked commits and the PR that merged them", async () => {
+  const { dir, git, write } = makeRepo();
+  try {
+    git("checkout", "-q", "-b", "contrib");
+    write("a.txt", "one\nfix\n");
+    git("commit", "-q", "-am", "Fix a");
+    const fixA = git("rev-parse", "HEAD");
+    write("b.txt", "two\nfeature\n");
+    git("commit", "-q", "-am", "Add feature to b");
+
+    // A maintainer cherry-picks "Fix a" into their own PR branch, merged as #77.
+    git("checkout", "-q", "main");
+    write("c.txt", "unrelated\n");
+    git("add", "c.txt");
+    git("commit", "-q", "-m", "Unrelated change on main");
+    git("checkout", "-q", "-b", "maintainer");
+    git("cherry-pick", fixA);
+    git("commit", "-q", "--amend", "-m", "Fix a (picked from contrib)");
+    git("checkout", "-q", "main");
+    git("merge", "-q", "--no-ff", "-m", "Merge pull request #77 from maintainer/fixes", "maintainer");
+
+    const res = await findLandedPatches({ gitDir: dir, baseRef: "main", headRef: "contrib" });
+    assert.equal(res.summary.total, 2);
+    assert.equal(res.summary.landed, 1);
+    assert.equal(res.summary.allLanded, false);
+    assert.equal(res.squashed, null);
+
+    const [first, second] = res.commits;
+    assert.equal(first.subject, "Fix a");
+    assert.equal(first.landed, true);
+    assert.notEqual(first.landedAs, first.sha);
+    assert.equal(first.mergedPr, 77);
+    assert.equal(second.landed, false);
+    assert.equal(second.mergedPr, null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("findLandedPatches detects a squash of the whole PR", async () => {
+  const { dir, git, write } = makeRepo();
+  try {
+    git("checkout", "-q", "-b", "contrib");
+    write("a.txt", "one\nfix\n");
+    git("commit", "-q", "-am", "Fix a");
+    write("b.txt", "two\nfeature\n");
+    git("commit", "-q", "-am", "Add feature to b");
+
+    git("checkout", "-q", "main");
+    git("merge", "-q", "--squash", "contrib");
+    git("commit", "-q", "-m", "Fix a and add feature (#81)");
+
+    const res = await findLandedPatches({ gitDir: dir, baseRef: "main", headRef: "contrib" });
+    assert.equal(res.summary.landed, 0);
+    assert.ok(res.squashed);
+    assert.equal(res.squashed.mergedPr, 81);
+    assert.equal(res.summary.allLanded, true);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,119 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { retrieveCandidates } from "../dist/candidates/retrieveCandidates.js";
+import { searchLexicalIndex, tokenize, updateLexicalIndex } from "../dist/corpus/lexicalIndex.js";
+
+function corpusDoc({ type, number, title, body, timeline = [], mergedAt = null }) {
+  return [
+    "---",
+    'schema: "pr_sheriff_corpus_v1"',
+    `doc_type: "${type === "pull" ? "github_pull" : "github_issue"}"`,
+    'repo: "octo/hello"',
+    `number: ${number}`,
+    `title: "${title}"`,
+    `state: "${mergedAt ? "closed" : "open"}"`,
+    `merged_at: ${mergedAt ? `"${mergedAt}"` : "null"}`,
+    "---",
+    `# ${type === "pull" ? "PR" : "Issue"} #${number}: ${title}`,
+    "",
+    "## Body",
+    body,
+    "",
+    "## Timeline",
+    ...timeline.flatMap((t, i) => [`### 2026-01-0${i + 1}T00:00:00Z (comment) @someone`, t, ""]),
+  ].join("\n");
+}
+
+async function makeCorpus() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pr-sheriff-lexical-"));
+  const corpusDir = path.join(dir, "corpus");
+  const docs = [
+    { type: "pull", number: 1, title: "Fix resize latency", body: "Debounce the handler.", mergedAt: "2026-01-02T00:00:00Z" },
+    { type: "pull", number: 2, title: "Update docs", body: "Mentions resize latency once." },
+    { type: "issue", number: 3, title: "Crash on launch", body: "Stack trace attached.", timeline: ["Maybe resize latency related?"] },
+    { type: "pull", number: 4, title: "Bump deps", body: "Nothing relevant." },
+  ];
+  for (const doc of docs) {
+    const p = path.join(corpusDir, "octo", "hello", doc.type, `${doc.number}.md`);
+    await fs.mkdir(path.dirname(p), { recursive: true });
+    await fs.writeFile(p, corpusDoc(doc), "utf8");
+  }
+  return { dir, corpusDir };
+}
+
+test("tokenize lowercases, splits on punctuation and drops stopwords", () => {
+  assert.deepEqual(tokenize("Fix the input-latency on resize (#742)"), ["fix", "input", "latency", "resize", "742"]);
+});
+
+test("searchLexicalIndex weights title over body over timeline matches", async () => {
+  const { dir, corpusDir } = await makeCorpus();
+  const { index, update } = await updateLexicalIndex({ corpusDir, indexPath: path.join(dir, "lexical.json") });
+  assert.deepEqual(update, { scanned: 4, parsed: 4, reused: 0, removed: 0 });
+
+  const hits = searchLexicalIndex(index, "resize latency", 10);
+  assert.deepEqual(
+    hits.map((h) => h.file),
+    ["octo/hello/pull/1.md", "octo/hello/pull/2.md", "octo/hello/issue/3.md"]
+  );
+  assert.ok(hits[0].score > 0.5 && hits[0].score < 1);
+  assert.equal(hits[0].title, "Fix resize latency");
+  assert.ok(hits[1].score < hits[0].score && hits[2].score < hits[1].score);
+
+  // Scores aren't relative to the best hit: matching one of the query's terms stays low.
+  const weak = searchLexicalIndex(index, "launch debounce docs deps", 10);
+  assert.equal(weak.length, 4);
+  assert.ok(weak[0].score < 0.5);
+
+  // Words no doc contains (most of a PR body used as the query) don't drag scores down.
+  const long = searchLexicalIndex(index, `resize latency ${"quux zorblat frobnicate wibble flux capacitor ".repeat(20)}`, 10);
+  assert.deepEqual(long.map((h) => [h.file, h.score]), hits.map((h) => [h.file, h.score]));
+
+  const again = await updateLexicalIndex({ corpusDir, indexPath: path.join(dir, "lexical.json") });
+  assert.deepEqual(again.update, { scanned: 4, parsed: 0, reused: 4, removed: 0 });
+});
+
+test("retrieveCandidates falls back to the lexical index when qmd isn't installed", async () => {
+  const { dir, corpusDir } = await makeCorpus();
+  const calls = [];
+  const runner = async (args) => {
+    calls.push(args);
+    return { exitCode: 127, stdout: "", stderr: "spawn qmd ENOENT" };
+  };
+
+  // Default index paths are relative to the working directory.
+  const cwd = process.cwd();
+  process.chdir(dir);
+  let res;
+  try {
+    res = await retrieveCandidates({
+      summary: "resize latency",
+      n: 2,
+      config: { qmdCollection: "pr-sheriff-corpus", qmdIndex: null, corpusDir },
+      filters: { docType: "github_pull" },
+      qmdRunner: runner,
+    });
+  } finally {
+    process.chdir(cwd);
+  }
+
+  assert.equal(res.error, null);
+  assert.deepEqual(res.candidates.map((c) => [c.rank, c.corpus.number, c.corpus.docType]), [[1, 1, "github_pull"], [2, 2, "github_pull"]]);
+  assert.equal(res.candidates[0].corpus.mergedAt, "2026-01-02T00:00:00Z");
+  assert.ok(res.candidates[0].qmd.score < 1 && res.candidates[1].qmd.score < res.candidates[0].qmd.score);
+  assert.equal(res.lexical.update.scanned, 4);
+  // One failed qmd query; nothing else shells out.
+  assert.equal(calls.length, 1);
+
+  const missing = await retrieveCandidates({
+    summary: "x",
+    n: 2,
+    config: { qmdCollection: "pr-sheriff-corpus", qmdIndex: null, corpusDir: path.join(dir, "nope") },
+    qmdRunner: runner,
+  });
+  assert.equal(missing.error.code, "QMD_QUERY_FAILED");
+  assert.match(missing.error.message, /qmd is not installed/);
+});
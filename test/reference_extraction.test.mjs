@@ -1,7 +1,11 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 
-import { extractReferencedNumbers } from "../src/graph/reference_extraction.mjs";
+import {
+  extractReferencedNumbers,
+  extractTypedReferences,
+  extractTypedReferencesFromPRAndComments,
+} from "../src/graph/reference_extraction.mjs";
 
 test("extractReferencedNumbers: shorthand and qualified references (same repo only)", () => {
   const nums = extractReferencedNumbers(
@@ -22,3 +26,115 @@ test("extractReferencedNumbers: avoids matching inside identifiers", () => {
   assert.deepEqual(nums, [14]);
 });
 
+test("extractTypedReferences: classifies keywords and keeps the strongest type per number", () => {
+  const refs = extractTypedReferences(
+    [
+      "**Fixes**: #12, see #7. Not related to #8.",
+      "Superseded by octo/hello#50; supersedes #40 and replaces #41.",
+      "This is not a duplicate of #9. Duplicate of https://github.com/octo/hello/issues/10",
+      "Reverts octo/hello#3",
+      "Passing mention of #12 and #40 again.",
+    ].join("\n"),
+    { owner: "octo", repo: "hello" },
+  );
+  assert.deepEqual(
+    refs.map((r) => [r.number, r.type]),
+    [
+      [3, "reverts"],
+      [7, "mention"],
+      [8, "mention"],
+      [9, "mention"],
+      [10, "duplicate_of"],
+      [12, "closes"],
+      [40, "supersedes"],
+      [41, "replaces"],
+      [50, "superseded_by"],
+    ],
+  );
+  assert.equal(refs.find((r) => r.number === 12).snippet, "**Fixes**: #12");
+  assert.equal(refs.find((r) => r.number === 50).snippet, "Superseded by octo/hello#50");
+});
+
+test("extractTypedReferences: keeps cross-repo references with their own repo", () => {
+  const refs = extractTypedReferences(
+    [
+      "Fixes Octo/Hello#5 and octo/plugin#5.",
+      "Superseded by https://github.com/other/lib/pull/9, see #2.",
+    ].join("\n"),
+    { owner: "octo", repo: "hello" },
+  );
+  assert.deepEqual(
+    refs.map((r) => [`${r.owner}/${r.repo}`, r.number, r.type]),
+    [
+      ["octo/hello", 2, "mention"],
+      ["octo/hello", 5, "closes"],
+      ["octo/plugin", 5, "mention"],
+      ["other/lib", 9, "superseded_by"],
+    ],
+  );
+});
+
+test("extractTypedReferences: URL paths with fragments aren't cross-repo references", () => {
+  const refs = extractTypedReferences(
+    [
+      "See https://example.com/docs/page#12 and example.com/guide/setup#3.",
+      "Also http://wiki.local:8080/team/notes#4, but (other/lib#6) counts.",
+    ].join("\n"),
+    { owner: "octo", repo: "hello" },
+  );
+  assert.deepEqual(
+    refs.map((r) => [`${r.owner}/${r.repo}`, r.number]),
+    [["other/lib", 6]],
+  );
+});
+
+test("extractTypedReferences: skips code, quotes and HTML comments unless asked, and reports the region", () => {
+  const body = [
+    "Fixes #1.",
+    "",
+    "```",
+    "Error at step #2",
+    "```",
+    "",
+    "    worker #3 crashed",
+    "",
+    "> Duplicate of #4",
+    "<!-- Please link the issue, e.g. Closes #5 -->",
+    "Also see #6.",
+    "~~~ unterminated fence",
+    "#7",
+  ].join("\n");
+  const home = { owner: "octo", repo: "hello" };
+
+  assert.deepEqual(
+    extractTypedReferences(body, home).map((r) => [r.number, r.region]),
+    [
+      [1, "text"],
+      [6, "text"],
+    ],
+  );
+  assert.deepEqual(
+    extractTypedReferences(body, home, { includeIgnoredRegions: true }).map((r) => [r.number, r.type, r.region]),
+    [
+      [1, "closes", "text"],
+      [2, "mention", "code"],
+      [3, "mention", "code"],
+      [4, "duplicate_of", "quote"],
+      [5, "closes", "html_comment"],
+      [6, "mention", "text"],
+      [7, "mention", "code"],
+    ],
+  );
+});
+
+test("extractTypedReferencesFromPRAndComments: an unclosed fence in the body doesn't hide comments", () => {
+  const refs = extractTypedReferencesFromPRAndComments(
+    { body: "Logs:\n```\n#1 failed" },
+    [{ body: "Superseded by #2" }],
+    { owner: "octo", repo: "hello" },
+  );
+  assert.deepEqual(
+    refs.map((r) => [r.number, r.type]),
+    [[2, "superseded_by"]],
+  );
+});
@@ -3,7 +3,7 @@ import assert from "node:assert/strict";
 
 import { buildReferenceGraph } from "../src/graph/reference_graph_builder.mjs";
 
-function makeStubGitHubFetch({ prsByNumber, issuesByNumber, commentsByNumber, timelinesByIssue }) {
+function makeStubGitHubFetch({ prsByNumber, issuesByNumber, commentsByNumber, timelinesByIssue, timelinesByPR = {}, prsByCommit = {}, otherRepos = {} }) {
   /** @type {string[]} */
   const calls = [];
   return {
@@ -29,13 +29,28 @@ function makeStubGitHubFetch({ prsByNumber, issuesByNumber, commentsByNumber, ti
       calls.push(`getIssueTimeline:${number}`);
       return timelinesByIssue[number] ?? [];
     },
+    async getPRTimeline(number) {
+      calls.push(`getPRTimeline:${number}`);
+      return timelinesByPR[number] ?? [];
+    },
+    async listPRsForCommit(sha) {
+      calls.push(`listPRsForCommit:${sha}`);
+      return prsByCommit[sha] ?? [];
+    },
+    forRepo(repo) {
+      calls.push(`forRepo:${repo}`);
+      const other = otherRepos[repo];
+      if (!other) throw new Error(`missing stub repo ${repo}`);
+      return other;
+    },
   };
 }
 
-test("buildReferenceGraph: traverses 2 layers with classification and caps", async () => {
+test("buildReferenceGraph: traverses issues, closing PRs and their references", async () => {
   const gh = makeStubGitHubFetch({
     prsByNumber: {
       10: { number: 10, title: "Root", body: "Fixes #1 and refs #2", html_url: "u10", merged_at: null, closed_at: null, state: "open" },
+      2: { number: 2, title: "Referenced PR", body: "", html_url: "u2", merged_at: null, closed_at: null, state: "open" },
       20: { number: 20, title: "Closer", body: "Follow-up for #3", html_url: "u20", merged_at: "2020-01-01T00:00:00Z", closed_at: null, state: "closed" },
       30: { number: 30, title: "L2 closer", body: "", html_url: "u30", merged_at: null, closed_at: null, state: "closed" },
     },
@@ -65,12 +80,7 @@ test("buildReferenceGraph: traverses 2 layers with classification and caps", asy
     owner: "octo",
     repo: "hello",
     prNumber: 10,
-    budgets: {
-      maxLayer1References: 10,
-      maxClosingPrsPerIssue: 5,
-      maxLayer2ReferencesPerPr: 10,
-      maxLayer2ClosingPrsPerIssue: 5,
-    },
+    budgets: { maxDepth: 4 },
   });
 
   assert.equal(graph.rootId, "pr:octo/hello#10");
@@ -82,6 +92,9 @@ test("buildReferenceGraph: traverses 2 layers with classification and caps", asy
   const edgeTypes = graph.edges.map((e) => `${e.type}:${e.from}->${e.to}`);
   assert.ok(edgeTypes.includes("references:pr:octo/hello#10->issue:octo/hello#1"));
   assert.ok(edgeTypes.includes("references:pr:octo/hello#10->pr:octo/hello#2"));
+  // Reference edges carry the keyword type from the text.
+  const refTypes = Object.fromEntries(graph.edges.filter((e) => e.from === graph.rootId).map((e) => [e.to, e.refType]));
+  assert.deepEqual(refTypes, { "issue:octo/hello#1": "closes", "pr:octo/hello#2": "mention" });
 
   // Issue #1 closed by PR #20 (timeline).
   assert.ok(graph.nodes["pr:octo/hello#20"]);
@@ -93,7 +106,249 @@ test("buildReferenceGraph: traverses 2 layers with classification and caps", asy
   assert.ok(graph.nodes["pr:octo/hello#30"]);
   assert.ok(edgeTypes.includes("closed_by:issue:octo/hello#3->pr:octo/hello#30"));
 
-  // Sanity check: we didn't need to fetch PR #2 itself (just classified).
-  assert.ok(!gh.calls.includes("getPR:2"));
+  // PR #30 sits at the depth limit: added, but not fetched or expanded.
+  assert.equal(graph.nodes["pr:octo/hello#30"].depth, 4);
+  assert.ok(!gh.calls.includes("getPR:30"));
+  assert.deepEqual(graph.stats.truncated.unexpanded, [{ id: "pr:octo/hello#30", repo: "octo/hello", number: 30, depth: 4, reason: "maxDepth" }]);
+  assert.equal(graph.stats.truncated.stoppedBy, null);
+});
+
+test("buildReferenceGraph: follows fix chains past the old two-layer limit", async () => {
+  const gh = makeStubGitHubFetch({
+    prsByNumber: {
+      10: { number: 10, body: "Refs #1" },
+      20: { number: 20, body: "Follow-up to #3" },
+      30: { number: 30, body: "Follow-up to #5" },
+      50: { number: 50, title: "Final fix", body: "" },
+    },
+    issuesByNumber: { 1: { number: 1 }, 3: { number: 3 }, 5: { number: 5 } },
+    commentsByNumber: {},
+    timelinesByIssue: {
+      1: [{ __typename: "ClosedEvent", closer: { __typename: "PullRequest", number: 20 } }],
+      3: [{ __typename: "ClosedEvent", closer: { __typename: "PullRequest", number: 30 } }],
+      5: [{ __typename: "ClosedEvent", closer: { __typename: "PullRequest", number: 50 } }],
+    },
+  });
+
+  const graph = await buildReferenceGraph({ gh, owner: "octo", repo: "hello", prNumber: 10, budgets: { maxDepth: 6 } });
+
+  assert.equal(graph.nodes["pr:octo/hello#50"].depth, 6);
+  assert.ok(graph.edges.some((e) => e.type === "closed_by" && e.from === "issue:octo/hello#5" && e.to === "pr:octo/hello#50"));
+  assert.equal(graph.stats.maxDepthReached, 6);
+});
+
+test("buildReferenceGraph: expands closing edges before mentions and reports where the budget stopped", async () => {
+  const gh = makeStubGitHubFetch({
+    prsByNumber: {
+      10: { number: 10, body: "See #1 and #2" },
+      1: { number: 1, body: "Mentions #7" },
+      20: { number: 20, title: "Closer", body: "" },
+    },
+    issuesByNumber: { 1: { number: 1, pull_request: {} }, 2: { number: 2 }, 7: { number: 7 } },
+    commentsByNumber: {},
+    timelinesByIssue: {
+      2: [{ __typename: "ClosedEvent", closer: { __typename: "PullRequest", number: 20 } }],
+    },
+  });
+
+  // root (2) + #1 classify/fetch (3) + #2 classify/timeline (2) + #20 fetch (2) = 9 calls;
+  // the mention #7 was discovered before #20 but is visited after it and gets cut.
+  const graph = await buildReferenceGraph({ gh, owner: "octo", repo: "hello", prNumber: 10, budgets: { maxApiCalls: 9 } });
+
+  assert.ok(gh.calls.includes("getPR:20"));
+  assert.ok(!gh.calls.includes("getIssue:7"));
+  assert.equal(graph.stats.apiCalls.total, 9);
+  assert.deepEqual(graph.stats.truncated, {
+    stoppedBy: "maxApiCalls",
+    stoppedAt: { id: null, repo: "octo/hello", number: 7, depth: 2 },
+    unexpanded: [{ id: null, repo: "octo/hello", number: 7, depth: 2, reason: "budget" }],
+    droppedEdges: 1,
+  });
+});
+
+test("buildReferenceGraph: resolves commit closers to their PRs", async () => {
+  const gh = makeStubGitHubFetch({
+    prsByNumber: {
+      10: { number: 10, title: "Root", body: "Fixes #1", html_url: "u10", state: "open" },
+      40: { number: 40, title: "Landed fix", body: "", html_url: "u40", merged_at: "2020-02-01T00:00:00Z", state: "closed" },
+    },
+    issuesByNumber: { 1: { number: 1, title: "Issue 1" } },
+    commentsByNumber: {},
+    timelinesByIssue: {
+      1: [
+        {
+          __typename: "ClosedEvent",
+          closer: { __typename: "Commit", oid: "abc123", url: "c1", messageHeadline: "Fix #1", repository: { nameWithOwner: "octo/hello" } },
+        },
+        // Closed from a fork's commit: can't be resolved through this repo's commits API.
+        {
+          __typename: "ClosedEvent",
+          closer: { __typename: "Commit", oid: "fff999", repository: { nameWithOwner: "someone/fork" } },
+        },
+      ],
+    },
+    prsByCommit: {
+      abc123: [{ number: 40, title: "Landed fix", html_url: "u40", merged_at: "2020-02-01T00:00:00Z", state: "closed" }],
+    },
+  });
+
+  const graph = await buildReferenceGraph({ gh, owner: "octo", repo: "hello", prNumber: 10 });
+
+  const commit = graph.nodes["commit:octo/hello@abc123"];
+  assert.equal(commit.type, "commit");
+  assert.equal(commit.messageHeadline, "Fix #1");
+  assert.equal(graph.nodes["commit:octo/hello@fff999"], undefined);
+
+  const edgeTypes = graph.edges.map((e) => `${e.type}:${e.from}->${e.to}`);
+  assert.ok(edgeTypes.includes("closed_by_commit:issue:octo/hello#1->commit:octo/hello@abc123"));
+  assert.ok(edgeTypes.includes("associated_pr:commit:octo/hello@abc123->pr:octo/hello#40"));
+  assert.ok(!edgeTypes.includes("closed_by:issue:octo/hello#1->pr:octo/hello#40"));
+
+  // The resolved PR is expanded like any other closing PR.
+  assert.equal(graph.nodes["pr:octo/hello#40"].title, "Landed fix");
+  assert.ok(gh.calls.includes("getPR:40"));
+  assert.deepEqual(gh.calls.filter((c) => c.startsWith("listPRsForCommit")), ["listPRsForCommit:abc123"]);
+  assert.equal(graph.stats.apiCalls.listPRsForCommit, 1);
+});
+
+test("buildReferenceGraph: follows allowlisted cross-repo references with repo-qualified node ids", async () => {
+  const plugin = makeStubGitHubFetch({
+    prsByNumber: { 7: { number: 7, title: "Plugin fix", body: "", state: "closed" } },
+    issuesByNumber: { 5: { number: 5, title: "Plugin issue" } },
+    commentsByNumber: {},
+    timelinesByIssue: {
+      5: [
+        { __typename: "ClosedEvent", closer: { __typename: "PullRequest", number: 7, repository: { nameWithOwner: "octo/plugin" } } },
+        { __typename: "CrossReferencedEvent", source: { __typename: "PullRequest", number: 12, repository: { nameWithOwner: "octo/hello" } } },
+      ],
+    },
+  });
+  const gh = makeStubGitHubFetch({
+    prsByNumber: {
+      10: { number: 10, body: "Fixes octo/plugin#5, see https://github.com/other/ignored/issues/9" },
+      12: { number: 12, title: "Core side", body: "" },
+    },
+    issuesByNumber: {},
+    commentsByNumber: {},
+    timelinesByIssue: {},
+    otherRepos: { "octo/plugin": plugin },
+  });
+
+  const graph = await buildReferenceGraph({ gh, owner: "octo", repo: "hello", prNumber: 10, followRepos: ["octo/plugin"] });
+
+  assert.equal(graph.nodes["issue:octo/plugin#5"].repo, "plugin");
+  assert.equal(graph.nodes["pr:octo/plugin#7"].title, "Plugin fix");
+  assert.equal(graph.nodes["pr:octo/hello#12"].title, "Core side");
+  const edgeTypes = graph.edges.map((e) => `${e.type}:${e.from}->${e.to}`);
+  assert.ok(edgeTypes.includes("references:pr:octo/hello#10->issue:octo/plugin#5"));
+  assert.ok(edgeTypes.includes("closed_by:issue:octo/plugin#5->pr:octo/plugin#7"));
+  assert.ok(edgeTypes.includes("cross_referenced_by:issue:octo/plugin#5->pr:octo/hello#12"));
+
+  // Same number in different repos doesn't collide, and non-allowlisted repos are never fetched.
+  assert.ok(plugin.calls.includes("getIssue:5"));
+  assert.ok(!gh.calls.includes("getIssue:5"));
+  assert.ok(!gh.calls.includes("forRepo:other/ignored"));
+  assert.deepEqual(graph.stats.skippedRepos, { "other/ignored": 1 });
 });
 
+test("buildReferenceGraph: keeps going when a followed repo can't be fetched", async () => {
+  const gone = {
+    async getIssue() {
+      throw new Error("gh: Not Found (HTTP 404)");
+    },
+  };
+  const plugin = makeStubGitHubFetch({
+    prsByNumber: { 7: { number: 7, title: "Plugin fix", body: "" } },
+    issuesByNumber: { 7: { number: 7, pull_request: {} } },
+    commentsByNumber: {},
+    timelinesByIssue: {},
+  });
+  const gh = makeStubGitHubFetch({
+    prsByNumber: { 10: { number: 10, body: "Fixes octo/private#5, see octo/plugin#7 and #12" }, 12: { number: 12, title: "Core", body: "" } },
+    issuesByNumber: { 12: { number: 12, pull_request: {} } },
+    commentsByNumber: {},
+    timelinesByIssue: {},
+    otherRepos: { "octo/private": gone, "octo/plugin": plugin },
+  });
+
+  const graph = await buildReferenceGraph({ gh, owner: "octo", repo: "hello", prNumber: 10, followRepos: ["octo/private", "octo/plugin"] });
+
+  assert.deepEqual(graph.nodes["unknown:octo/private#5"], {
+    id: "unknown:octo/private#5",
+    type: "unknown",
+    owner: "octo",
+    repo: "private",
+    number: 5,
+    depth: 1,
+    error: "gh: Not Found (HTTP 404)",
+  });
+  assert.ok(graph.edges.some((e) => e.from === "pr:octo/hello#10" && e.to === "unknown:octo/private#5" && e.refType === "closes"));
+  assert.deepEqual(graph.stats.fetchErrors, [
+    { id: "unknown:octo/private#5", repo: "octo/private", number: 5, depth: 1, message: "gh: Not Found (HTTP 404)" },
+  ]);
+  // The rest of the traversal still happened.
+  assert.equal(graph.nodes["pr:octo/plugin#7"].title, "Plugin fix");
+  assert.equal(graph.nodes["pr:octo/hello#12"].title, "Core");
+  assert.equal(graph.stats.truncated.stoppedBy, null);
+
+  // The root PR itself still has to load.
+  await assert.rejects(buildReferenceGraph({ gh, owner: "octo", repo: "hello", prNumber: 99 }), /missing stub PR 99/);
+});
+
+test("buildReferenceGraph: adds one reverted_by edge when a merged PR's revert is found from both ends", async () => {
+  const revert = {
+    __typename: "PullRequest",
+    number: 41,
+    title: 'Revert "Faster foo"',
+    body: "Reverts octo/hello#40",
+    url: "u41",
+    state: "MERGED",
+    mergedAt: "2020-03-02T00:00:00Z",
+    closedAt: "2020-03-02T00:00:00Z",
+  };
+  const gh = makeStubGitHubFetch({
+    prsByNumber: {
+      10: { number: 10, body: "Superseded by #40" },
+      40: { number: 40, title: "Faster foo", body: "", merged_at: "2020-03-01T00:00:00Z", state: "closed" },
+      41: { number: 41, title: revert.title, body: revert.body, html_url: "u41", merged_at: revert.mergedAt, state: "closed" },
+    },
+    issuesByNumber: { 40: { number: 40, pull_request: {} } },
+    commentsByNumber: {},
+    timelinesByIssue: {},
+    timelinesByPR: {
+      40: [
+        { __typename: "CrossReferencedEvent", source: revert },
+        { __typename: "CrossReferencedEvent", source: { __typename: "PullRequest", number: 42, title: "Unrelated", body: "See #40" } },
+      ],
+    },
+  });
+
+  const graph = await buildReferenceGraph({ gh, owner: "octo", repo: "hello", prNumber: 10 });
+
+  const reverted = graph.edges.filter((e) => e.type === "reverted_by");
+  assert.deepEqual(reverted, [{ from: "pr:octo/hello#40", to: "pr:octo/hello#41", type: "reverted_by" }]);
+  assert.equal(graph.nodes["pr:octo/hello#41"].mergedAt, "2020-03-02T00:00:00Z");
+  assert.ok(!graph.nodes["pr:octo/hello#42"]);
+  // #41 is two hops out, so only #40's timeline is searched.
+  assert.equal(graph.stats.apiCalls.getPRTimeline, 1);
+  assert.deepEqual(graph.stats.revertChecks.skipped, ["pr:octo/hello#41"]);
+});
+
+test("buildReferenceGraph: only searches timelines for reverts near the root", async () => {
+  const gh = makeStubGitHubFetch({
+    prsByNumber: {
+      10: { number: 10, body: "Follows up on #20", merged_at: "2020-01-03T00:00:00Z", state: "closed" },
+      20: { number: 20, body: "Builds on #30", merged_at: "2020-01-02T00:00:00Z", state: "closed" },
+      30: { number: 30, body: "", merged_at: "2020-01-01T00:00:00Z", state: "closed" },
+    },
+    issuesByNumber: { 20: { number: 20, pull_request: {} }, 30: { number: 30, pull_request: {} } },
+    commentsByNumber: {},
+    timelinesByIssue: {},
+  });
+
+  const graph = await buildReferenceGraph({ gh, owner: "octo", repo: "hello", prNumber: 10 });
+
+  assert.ok(graph.nodes["pr:octo/hello#30"]);
+  assert.deepEqual(gh.calls.filter((c) => c.startsWith("getPRTimeline")), ["getPRTimeline:10", "getPRTimeline:20"]);
+  assert.deepEqual(graph.stats.revertChecks, { maxDepth: 1, skipped: ["pr:octo/hello#30"] });
+});
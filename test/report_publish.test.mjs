@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+import { publishPagedrop } from "../dist/report/publishPagedrop.js";
+
+async function withServer(handler, fn) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  try {
+    return await fn(`http://127.0.0.1:${port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test("publishPagedrop uploads the report and returns the share URL", async () => {
+  /** @type {{method?: string, headers?: any, body?: string}} */
+  const seen = {};
+  await withServer(
+    (req, res) => {
+      let body = "";
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        Object.assign(seen, { method: req.method, headers: req.headers, body });
+        res.writeHead(201, { "content-type": "application/json" });
+        res.end(JSON.stringify({ url: "/p/abc123" }));
+      });
+    },
+    async (base) => {
+      const res = await publishPagedrop({
+        content: "<!doctype html><p>hi</p>",
+        format: "html",
+        filename: "report.html",
+        config: { pagedropUrl: `${base}/upload`, pagedropToken: "secret" },
+      });
+      assert.equal(res.url, `${base}/p/abc123`);
+      assert.equal(res.status, 201);
+    },
+  );
+
+  assert.equal(seen.method, "POST");
+  assert.equal(seen.headers.authorization, "Bearer secret");
+  assert.equal(seen.headers["content-type"], "text/html; charset=utf-8");
+  assert.equal(seen.headers["x-pagedrop-filename"], "report.html");
+  assert.equal(seen.body, "<!doctype html><p>hi</p>");
+});
+
+test("publishPagedrop surfaces upload failures and missing config", async () => {
+  await withServer(
+    (_req, res) => {
+      res.writeHead(403);
+      res.end("forbidden");
+    },
+    async (base) => {
+      await assert.rejects(
+        publishPagedrop({ content: "x", format: "md", filename: "r.md", config: { pagedropUrl: base } }),
+        /pagedrop upload failed \(403\): forbidden/,
+      );
+    },
+  );
+
+  await assert.rejects(
+    publishPagedrop({ content: "x", format: "md", filename: "r.md", config: {} }),
+    /Missing pagedrop endpoint/,
+  );
+});
@@ -0,0 +1,153 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { buildReport, parseReportInput } from "../dist/report/reportModel.js";
+import { renderHtml } from "../dist/report/renderHtml.js";
+import { renderMarkdown } from "../dist/report/renderMarkdown.js";
+
+function makeAnalysis(number, verdict) {
+  return {
+    kind: "analyze-pr",
+    status: "ok",
+    target: {
+      number,
+      title: `PR ${number}`,
+      url: `https://github.com/octo/hello/pull/${number}`,
+      state: "open",
+      createdAt: "2024-01-10T00:00:00Z",
+      author: "alice",
+    },
+    judgeInput: { repo: "octo/hello" },
+    verdict,
+  };
+}
+
+const superseded = {
+  superseded_by: [
+    {
+      pr_number: 200,
+      repo: "octo/hello",
+      url: "https://github.com/octo/hello/pull/200",
+      summary: "Same fix, merged later.",
+      evidence_ids: ["e1"],
+      confidence: 0.9,
+    },
+  ],
+  related: [],
+  evidence: [{ id: "e1", source: "pr_comment", snippet: "Superseded by #200", url: "https://github.com/octo/hello/pull/10#c1" }],
+  confidence: 0.9,
+  timelines: [],
+};
+
+const related = {
+  superseded_by: [],
+  related: [
+    {
+      pr_number: 12,
+      repo: "octo/hello",
+      url: "https://github.com/octo/hello/pull/12",
+      relationship: "duplicate",
+      summary: "Touches the same handler.",
+      evidence_ids: [],
+      confidence: 0.5,
+    },
+  ],
+  evidence: [],
+  confidence: 0.5,
+  timelines: [],
+};
+
+test("parseReportInput accepts the CLI envelope for analyze-pr and batch", () => {
+  const single = parseReportInput(JSON.stringify({ ok: true, command: "analyze-pr", result: makeAnalysis(10, superseded) }));
+  assert.equal(single.length, 1);
+  assert.equal(single[0].category, "superseded");
+  assert.equal(single[0].supersededBy[0].evidence[0].snippet, "Superseded by #200");
+
+  const batch = parseReportInput(
+    JSON.stringify({
+      ok: true,
+      command: "batch",
+      result: {
+        kind: "batch",
+        results: [
+          { number: 10, status: "ok", analysis: makeAnalysis(10, superseded) },
+          { number: 11, status: "error", title: "Broken", error: { message: "boom" } },
+        ],
+      },
+    }),
+  );
+  assert.deepEqual(batch.map((e) => [e.number, e.error]), [[10, null], [11, "boom"]]);
+});
+
+test("parseReportInput reads NDJSON checkpoints, keeping the latest line per PR", () => {
+  const lines = [
+    { kind: "batch_result", number: 10, status: "error", error: { message: "rate limited" } },
+    { kind: "batch_result", number: 10, status: "ok", analysis: makeAnalysis(10, related) },
+  ].map((l) => JSON.stringify(l));
+  const entries = parseReportInput(lines.join("\n"));
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].category, "related");
+});
+
+test("parseReportInput skips a checkpoint line torn by a killed run", () => {
+  const lines = [
+    { kind: "batch_result", number: 10, status: "ok", analysis: makeAnalysis(10, related) },
+    { kind: "batch_result", number: 11, status: "ok", analysis: makeAnalysis(11, superseded) },
+  ].map((l) => JSON.stringify(l));
+  const torn = `${lines[0]}\n${lines[1].slice(0, 40)}`;
+  assert.deepEqual(parseReportInput(torn).map((e) => e.number), [10]);
+  assert.throws(() => parseReportInput("not json\n{also not"), /Unrecognized report input/);
+});
+
+test("renderMarkdown groups PRs and includes links and evidence", () => {
+  const report = buildReport([
+    ...parseReportInput(JSON.stringify(makeAnalysis(10, superseded))),
+    ...parseReportInput(JSON.stringify(makeAnalysis(11, related))),
+    ...parseReportInput(JSON.stringify(makeAnalysis(13, null))),
+  ]);
+  assert.deepEqual(report.totals, { total: 3, superseded: 1, related: 1, no_action: 1, notJudged: 1, errors: 0 });
+
+  const md = renderMarkdown(report);
+  assert.match(md, /^# PR Sheriff report: octo\/hello/);
+  assert.match(md, /## Superseded \(1\)\n\n### \[#10\]\(https:\/\/github\.com\/octo\/hello\/pull\/10\) PR 10/);
+  assert.match(md, /\[#200\]\(https:\/\/github\.com\/octo\/hello\/pull\/200\) · confidence 90%/);
+  assert.match(md, /_\[pr_comment\]\(https:\/\/github\.com\/octo\/hello\/pull\/10#c1\)_: “Superseded by #200”/);
+  assert.match(md, /## Related \/ duplicate \(1\)[\s\S]*#12 \(duplicate\)/);
+  assert.match(md, /## No action \(1\)[\s\S]*#13/);
+});
+
+test("renderMarkdown escapes titles, sources and URLs", () => {
+  const analysis = makeAnalysis(10, {
+    ...superseded,
+    evidence: [{ id: "e1", source: "pr]comment|x", snippet: "s", url: "https://example.com/a b)c" }],
+  });
+  analysis.target.title = "Fix [x] | y\nand z";
+  analysis.target.url = "javascript:alert(1)";
+  const md = renderMarkdown(buildReport(parseReportInput(JSON.stringify(analysis))));
+
+  assert.match(md, /^### #10 Fix \\\[x\\\] \\\| y and z$/m);
+  assert.doesNotMatch(md, /javascript:/);
+  assert.ok(md.includes("_[pr\\]comment\\|x](https://example.com/a%20b%29c)_"));
+});
+
+test("renderHtml is self-contained with sortable tables, anchors and expandable sections", () => {
+  const analysis = makeAnalysis(10, {
+    ...superseded,
+    timelines: [{ ts: "2024-01-20T00:00:00Z", kind: "merged", pr_number: 200, note: "Superseding PR merged" }],
+  });
+  analysis.target.title = "<script>alert(1)</script>";
+  const report = buildReport(parseReportInput(JSON.stringify(analysis)));
+  const html = renderHtml(report, { nowMs: Date.parse("2024-01-20T00:00:00Z") });
+
+  assert.match(html, /^<!doctype html>/);
+  assert.doesNotMatch(html, /<(link|img)\b|<script src=/);
+  assert.match(html, /<table class="sortable">/);
+  assert.match(html, /<th data-type="number">Confidence<\/th>/);
+  assert.match(html, /<td data-sort="10">10d<\/td>/);
+  assert.match(html, /<td data-sort="0.9">90%<\/td>/);
+  assert.match(html, /<a href="#pr-10">#10<\/a>/);
+  assert.match(html, /<section class="pr" id="pr-10">/);
+  assert.match(html, /<details><summary>Timeline \(1\)<\/summary>/);
+  assert.match(html, /<blockquote>Superseded by #200<\/blockquote>/);
+  assert.ok(html.includes("&lt;script&gt;alert(1)&lt;/script&gt;"));
+});
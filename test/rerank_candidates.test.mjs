@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { rerankCandidates, RERANK_WEIGHTS } from "../dist/analysis/rerankCandidates.js";
+
+const base = {
+  mergedAt: null,
+  refType: null,
+  semanticScore: null,
+  codeOverlapScore: null,
+  graphDepth: null,
+  graphEdges: [],
+  closingIssues: [],
+  reverted: false
+};
+
+const ctx = { targetCreatedAt: "2026-01-01T00:00:00Z", targetClosingIssues: [7, 8], now: new Date("2026-01-31T00:00:00Z") };
+
+test("rerankCandidates scores each signal and keeps the breakdown", () => {
+  const [item] = rerankCandidates(
+    [
+      {
+        ...base,
+        number: 5,
+        mergedAt: "2026-01-31T00:00:00Z",
+        semanticScore: 0.8,
+        codeOverlapScore: 0.5,
+        graphDepth: 2,
+        graphEdges: [{ type: "cross_referenced_by" }, { type: "closed_by" }],
+        closingIssues: [7]
+      }
+    ],
+    ctx
+  );
+
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(item.signals).map(([k, v]) => [k, v.value])),
+    {
+      explicitReference: 0,
+      sharedClosingIssues: 0.5,
+      fileOverlap: 0.5,
+      semantic: 0.8,
+      graphProximity: 0.5,
+      mergedAfterTarget: 1,
+      mergeRecency: 1,
+      reverted: 0
+    }
+  );
+  assert.equal(item.signals.semantic.contribution, 1.2);
+  assert.equal(item.signals.reverted.contribution, 0);
+  assert.equal(item.score, 0.5 * RERANK_WEIGHTS.sharedClosingIssues + 1 + 1.2 + 0.5 + 1 + 0.5);
+});
+
+test("rerankCandidates selects the top K, always keeping explicit references", () => {
+  const items = rerankCandidates(
+    [
+      { ...base, number: 1, mergedAt: "2025-06-01T00:00:00Z" },
+      { ...base, number: 2, refType: "superseded_by" },
+      { ...base, number: 3, mergedAt: "2026-01-20T00:00:00Z", codeOverlapScore: 0.9 },
+      { ...base, number: 4, mergedAt: "2026-01-20T00:00:00Z", codeOverlapScore: 0.9, reverted: true },
+      { ...base, number: 5, refType: "duplicate_of", reverted: true }
+    ],
+    { ...ctx, topK: 1 }
+  );
+
+  assert.deepEqual(
+    items.map((i) => [i.number, i.rank, i.selected]),
+    [
+      // Fresh merge with a big diff overlap outranks the explicit reference; a revert sinks #4.
+      [3, 1, true],
+      [2, 2, true],
+      [4, 3, false],
+      [5, 4, true],
+      [1, 5, false]
+    ]
+  );
+});
@@ -0,0 +1,101 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { demoteRevertedSupersessions, effectiveReverts } from "../dist/analysis/reverts.js";
+import { findRevertCommits } from "../dist/git/revertCommits.js";
+import { detectRevert } from "../src/graph/reference_extraction.mjs";
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+  GIT_CONFIG_GLOBAL: "/dev/null",
+  GIT_CONFIG_NOSYSTEM: "1",
+};
+
+test("detectRevert reads GitHub revert PRs, keyword references and git revert messages", () => {
+  const home = { owner: "octo", repo: "hello" };
+  assert.deepEqual(detectRevert({ title: 'Revert "Faster foo"', body: "Reverts octo/hello#40" }, home), {
+    revertedTitle: "Faster foo",
+    revertedRefs: [{ owner: "octo", repo: "hello", number: 40 }],
+    revertedCommits: [],
+  });
+  assert.deepEqual(detectRevert({ title: 'Revert "Fix foo (#123)"', body: "This reverts commit ABCDEF1234." }, home), {
+    revertedTitle: "Fix foo (#123)",
+    revertedRefs: [{ owner: "octo", repo: "hello", number: 123 }],
+    revertedCommits: ["abcdef1234"],
+  });
+  assert.equal(detectRevert({ title: "Fix foo", body: "Not a revert of #12, see #13" }, home), null);
+});
+
+test("findRevertCommits maps revert commits to PRs and skips reverts that were re-applied", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pr-sheriff-reverts-"));
+  const git = (...args) => execFileSync("git", args, { cwd: dir, env: GIT_ENV, encoding: "utf8" }).trim();
+  try {
+    git("init", "-q", "-b", "main");
+    fs.writeFileSync(path.join(dir, "a.txt"), "one\n");
+    git("add", ".");
+    git("commit", "-q", "-m", "init");
+    fs.writeFileSync(path.join(dir, "a.txt"), "one\ntwo\n");
+    git("commit", "-q", "-am", "Add two (#7)");
+    fs.writeFileSync(path.join(dir, "b.txt"), "b\n");
+    git("add", "b.txt");
+    git("commit", "-q", "-m", "Add b (#8)");
+    git("revert", "--no-edit", "HEAD~1");
+    git("revert", "--no-edit", "HEAD~1");
+    git("revert", "--no-edit", "HEAD");
+
+    const commits = await findRevertCommits({ gitDir: dir, baseRef: "main" });
+    const bySubject = Object.fromEntries(commits.map((c) => [c.subject, c]));
+    assert.equal(commits.length, 3);
+    assert.equal(bySubject['Revert "Add two (#7)"'].revertedPr, 7);
+    assert.equal(bySubject['Revert "Add two (#7)"'].undoneBy, null);
+    assert.equal(bySubject['Revert "Add b (#8)"'].revertedPr, 8);
+    assert.equal(bySubject['Revert "Add b (#8)"'].undoneBy, bySubject['Revert "Revert "Add b (#8)""'].sha);
+    assert.equal(bySubject['Revert "Revert "Add b (#8)""'].revertedPr, null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("demoteRevertedSupersessions moves reverted superseding PRs into related", () => {
+  const link = (n) => ({ pr_number: n, repo: "octo/hello", url: `u${n}`, summary: "Same fix", evidence_ids: [], confidence: 0.9 });
+  const verdict = { superseded_by: [link(40), link(50)], related: [], evidence: [], confidence: 0.9, timelines: [] };
+  const reverted = new Map([[40, [{ kind: "pr", repo: "octo/hello", number: 41, title: 'Revert "Faster foo"', url: "u41", mergedAt: "t", via: "graph" }]]]);
+
+  const out = demoteRevertedSupersessions(verdict, reverted, "octo/hello");
+  assert.deepEqual(out.superseded_by.map((l) => l.pr_number), [50]);
+  assert.equal(out.related[0].pr_number, 40);
+  assert.equal(out.related[0].relationship, "other");
+  assert.match(out.related[0].summary, /^Reverted by #41 "Revert "Faster foo""; cannot supersede\./);
+});
+
+test("effectiveReverts resolves revert-of-revert chains regardless of discovery order", () => {
+  const byPr = (n) => ({ kind: "pr", repo: "octo/hello", number: n, title: `PR ${n}`, url: null, mergedAt: "t", via: "merged_search" });
+  // #43 reverts #42, which reverted #41, which reverted #40: #40 stays reverted, #41 is re-applied.
+  const entries = [
+    [40, [byPr(41)]],
+    [41, [byPr(42)]],
+    [42, [byPr(43)]]
+  ];
+  for (const order of [entries, [...entries].reverse(), [entries[1], entries[0], entries[2]]]) {
+    const out = effectiveReverts(new Map(order), "octo/hello");
+    assert.deepEqual([...out.keys()].sort(), [40, 42]);
+  }
+
+  // A revert PR in another repo isn't looked up; a commit revert always counts.
+  const mixed = effectiveReverts(
+    new Map([
+      [40, [{ ...byPr(41), repo: "other/repo" }]],
+      [41, [{ kind: "commit", sha: "abc", subject: "Revert", via: "git" }]]
+    ]),
+    "Octo/Hello"
+  );
+  assert.deepEqual([...mixed.keys()].sort(), [40, 41]);
+});